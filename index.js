@@ -7,7 +7,13 @@
  *   node index.js                           # Process all pipelines
  *   node index.js all                       # Process all pipelines
  *   node index.js <pipeline-name>           # Process specific pipeline
+ *   node index.js <pipeline-name> --dry-run # Preview: load in a rolled-back transaction, no S3 writes
+ *   node index.js all --dry-run             # Preview all pipelines
  *   node index.js list                      # List available pipelines
+ *   node index.js plan                      # Show the order `all` runs pipelines in (dependsOn stages)
+ *   node index.js check-schema [pipeline]   # Compare pipelines with their target tables
+ *   node index.js rejects list <pipeline>   # Show unresolved rows in etl_rejected_rows
+ *   node index.js rejects retry <pipeline>  # Re-run them through the pipeline (--dry-run to preview)
  *   node index.js extract <extractor-name>  # Extract data from external source
  *   node index.js extract list              # List available extractors
  *
@@ -34,9 +40,11 @@
 const config = require('./src/config');
 const { S3Handler, DatabaseConnection } = require('./src/core');
 const Orchestrator = require('./src/etl/Orchestrator');
+const SchemaChecker = require('./src/etl/SchemaChecker');
 const pipelines = require('./src/pipelines');
 const { SalesforceExtractor, MagicTouchExtractor } = require('./src/extractors');
 const logger = require('./src/utils/logger');
+const { describeCsvFormat } = require('./src/utils/csvFormat');
 
 // ==================== Initialize Services ====================
 
@@ -62,11 +70,11 @@ process.on('SIGTERM', shutdown);
  * Allows programmatic access to ETL functionality
  */
 module.exports = {
-    // Process specific pipeline
-    processPipeline: (name) => orchestrator.processPipeline(name),
+    // Process specific pipeline (options: { dryRun })
+    processPipeline: (name, options) => orchestrator.processPipeline(name, options),
 
-    // Process all pipelines
-    processAllPipelines: () => orchestrator.processAllPipelines(),
+    // Process all pipelines (options: { dryRun })
+    processAllPipelines: (options) => orchestrator.processAllPipelines(options),
 
     // Get list of available pipelines
     getAvailablePipelines: () => orchestrator.getAvailablePipelines(),
@@ -138,11 +146,66 @@ async function runExtractorForPipeline(pipelineName) {
     return null;
 }
 
+/**
+ * Print per-file dry-run counts for one pipeline's results
+ * @param {string} pipelineName - Name of the pipeline
+ * @param {Object} pipelineResult - Result of orchestrator.processPipeline()
+ */
+function printDryRunSummary(pipelineName, pipelineResult) {
+    console.log(`\n[dry run] ${pipelineName}`);
+    if (pipelineResult.error) {
+        console.log(`  Failed: ${pipelineResult.error}`);
+        return;
+    }
+    if (pipelineResult.skipped) {
+        console.log(`  ${pipelineResult.reason}`);
+        return;
+    }
+    if (!pipelineResult.results || pipelineResult.results.length === 0) {
+        console.log('  No files to process');
+        return;
+    }
+    for (const result of pipelineResult.results) {
+        if (result.error || result.rejected) {
+            console.log(`  ${result.file}: would fail - ${result.error || result.reason}`);
+            continue;
+        }
+        if (result.unordered || result.held) {
+            console.log(`  ${result.file}: left in source folder - ${result.reason}`);
+            continue;
+        }
+        if (result.skipped) {
+            console.log(`  ${result.file}: empty file, skipped`);
+            continue;
+        }
+        console.log(`  ${result.file}: ${result.rowCount} rows - would insert ${result.wouldInsert}, ` +
+            `update ${result.wouldUpdate}, skip ${result.wouldSkip}, fail ${result.wouldFail}` +
+            (result.quarantinedCount ? ` (${result.quarantinedCount} quarantined)` : ''));
+        const categories = Object.entries(result.errorCategories || {});
+        if (categories.length > 0) {
+            console.log(`    Failures: ${categories.map(([category, count]) => `${category} ${count}`).join(', ')}`);
+        }
+        for (const format of (result.sourceFormats || []).filter(source => source.format === 'csv')) {
+            console.log(`    Format: ${format.entry} - ${describeCsvFormat(format)}`);
+        }
+        if (result.snapshot) {
+            console.log(result.snapshot.skipped
+                ? `    Snapshot deletes skipped: ${result.snapshot.skipped}`
+                : `    Would soft-delete ${result.snapshot.deletedCount} rows missing from the snapshot`);
+        }
+        if (result.history) {
+            console.log(`    History: would close ${result.history.closedCount} and open ${result.history.openedCount} versions`);
+        }
+        console.log(`    Log: ${result.localLogPath}`);
+    }
+}
+
 // ==================== CLI Execution ====================
 
 if (require.main === module) {
-    const command = process.argv[2];
-    const subCommand = process.argv[3];
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const [command, subCommand, target] = args.filter(arg => !arg.startsWith('--'));
 
     (async () => {
         try {
@@ -211,14 +274,94 @@ if (require.main === module) {
                 process.exit(1);
             }
 
+            // ==================== CHECK-SCHEMA COMMAND ====================
+            // Compare pipelines with their target tables (exit code 1 on errors)
+            if (command === 'check-schema') {
+                const available = orchestrator.getAvailablePipelines();
+                if (subCommand && !available.includes(subCommand)) {
+                    console.error(`\nUnknown pipeline: ${subCommand}`);
+                    console.log('\nUsage: node index.js check-schema [pipeline-name]\n');
+                    process.exit(1);
+                }
+
+                const reports = await orchestrator.schemaChecker.checkPipelines(subCommand ? [subCommand] : available);
+                console.log('\nSchema check:');
+                reports.forEach(report => console.log(SchemaChecker.formatReport(report)));
+
+                const failed = reports.filter(report => report.errors.length > 0).length;
+                console.log(`\n${reports.length - failed} OK, ${failed} failed\n`);
+                if (failed > 0) {
+                    await dbConnection.close();
+                    process.exit(1);
+                }
+                await shutdown();
+                return;
+            }
+
+            // ==================== REJECTS COMMAND ====================
+            // List or retry rows kept in etl_rejected_rows
+            if (command === 'rejects') {
+                const available = orchestrator.getAvailablePipelines();
+                if (!['list', 'retry'].includes(subCommand) || !available.includes(target)) {
+                    if (target && !available.includes(target)) console.error(`\nUnknown pipeline: ${target}`);
+                    console.log('\nUsage: node index.js rejects list <pipeline-name>');
+                    console.log('       node index.js rejects retry <pipeline-name> [--dry-run]\n');
+                    process.exit(1);
+                }
+
+                if (subCommand === 'list') {
+                    const { total, rows } = await orchestrator.rejectedRows.list(target);
+                    console.log(`\n${total} unresolved rejected rows for ${target}${total > rows.length ? ` (oldest ${rows.length} shown)` : ''}`);
+                    rows.forEach(row => {
+                        console.log(`  #${row.id} ${row.file_name} row ${row.row_number}` +
+                            `${row.quarantined ? ' [quarantined]' : ''}${row.error_code ? ` [${row.error_code}]` : ''}` +
+                            `${row.retry_count > 0 ? ` (retried ${row.retry_count}x)` : ''}: ${row.reason}`);
+                    });
+                    console.log('');
+                    await shutdown();
+                    return;
+                }
+
+                const summary = await orchestrator.rejectedRows.retry(target, { dryRun, runId: orchestrator.runId });
+                console.log(`\n${dryRun ? '[dry run] ' : ''}Retried ${summary.retried} rows for ${target}: ` +
+                    `${summary.resolved} ${dryRun ? 'would load' : 'loaded'}, ${summary.failed} still failing, ` +
+                    `${summary.quarantined} still quarantined`);
+                summary.files.forEach(file => {
+                    console.log(`  ${file.fileName}: ${file.resolved}/${file.retried} loaded`);
+                });
+                console.log('');
+                await shutdown();
+                return;
+            }
+
+            // ==================== PLAN COMMAND ====================
+            // Show the stages processAllPipelines runs (exit code 1 on a bad graph)
+            if (command === 'plan') {
+                let graph;
+                try {
+                    graph = orchestrator.getPipelineGraph();
+                } catch (error) {
+                    console.error(`\n${error.message}\n`);
+                    await dbConnection.close();
+                    process.exit(1);
+                }
+                console.log(`\n${graph.formatPlan({ concurrency: config.processing.pipelineConcurrency })}`);
+                console.log('\nA pipeline starts once everything it runs after has succeeded; if one fails, its dependents are skipped.\n');
+                await shutdown();
+                return;
+            }
+
             // ==================== LIST COMMAND ====================
             // Show available pipelines
             if (command === 'list') {
                 const available = orchestrator.getAvailablePipelines();
                 console.log('\nAvailable pipelines:');
                 available.forEach(name => console.log(`  - ${name}`));
-                console.log('\nUsage: node index.js <pipeline-name>');
-                console.log('       node index.js all');
+                console.log('\nUsage: node index.js <pipeline-name> [--dry-run]');
+                console.log('       node index.js all [--dry-run]');
+                console.log('       node index.js plan');
+                console.log('       node index.js check-schema [pipeline-name]');
+                console.log('       node index.js rejects list|retry <pipeline-name>');
                 console.log('       node index.js extract <extractor-name>\n');
                 await shutdown();
                 return;
@@ -226,10 +369,10 @@ if (require.main === module) {
 
             // Process all pipelines
             if (!command || command === 'all') {
-                logger.info('Processing all pipelines...');
+                logger.info('Processing all pipelines...', { dryRun });
 
-                // Run all extractors first
-                for (const pipelineName of Object.keys(PIPELINE_EXTRACTORS)) {
+                // Run all extractors first (they write to S3, so not in a dry run)
+                for (const pipelineName of dryRun ? [] : Object.keys(PIPELINE_EXTRACTORS)) {
                     try {
                         await runExtractorForPipeline(pipelineName);
                     } catch (error) {
@@ -239,12 +382,19 @@ if (require.main === module) {
                     }
                 }
 
-                const results = await orchestrator.processAllPipelines();
+                const results = await orchestrator.processAllPipelines({ dryRun });
                 logger.info('All pipelines completed', {
                     totalProcessed: results.processed,
                     successful: results.successful,
-                    failed: results.failed
+                    failed: results.failed,
+                    unordered: results.unordered,
+                    held: results.held,
+                    dryRun
                 });
+                if (dryRun) {
+                    Object.entries(results.pipelines).forEach(([name, result]) => printDryRunSummary(name, result));
+                    console.log('');
+                }
                 await shutdown();
                 return;
             }
@@ -252,22 +402,31 @@ if (require.main === module) {
             // Process specific pipeline
             const available = orchestrator.getAvailablePipelines();
             if (available.includes(command)) {
-                // Run extractor first if one exists for this pipeline
-                try {
-                    await runExtractorForPipeline(command);
-                } catch (error) {
-                    logger.error(`Extractor failed for ${command}, continuing with ETL`, {
-                        error: error.message
-                    });
+                // Run extractor first if one exists for this pipeline (not in a dry run)
+                if (!dryRun) {
+                    try {
+                        await runExtractorForPipeline(command);
+                    } catch (error) {
+                        logger.error(`Extractor failed for ${command}, continuing with ETL`, {
+                            error: error.message
+                        });
+                    }
                 }
 
-                logger.info(`Processing pipeline: ${command}`);
-                const result = await orchestrator.processPipeline(command);
+                logger.info(`Processing pipeline: ${command}`, { dryRun });
+                const result = await orchestrator.processPipeline(command, { dryRun });
                 logger.info(`Pipeline ${command} completed`, {
                     processed: result.processed,
                     successful: result.successful,
-                    failed: result.failed
+                    failed: result.failed,
+                    unordered: result.unordered || 0,
+                    held: result.held || 0,
+                    dryRun
                 });
+                if (dryRun) {
+                    printDryRunSummary(command, result);
+                    console.log('');
+                }
                 await shutdown();
                 return;
             }
@@ -276,9 +435,12 @@ if (require.main === module) {
             console.error(`\nUnknown command: ${command}`);
             console.log('\nAvailable pipelines:');
             available.forEach(name => console.log(`  - ${name}`));
-            console.log('\nUsage: node index.js <pipeline-name>');
-            console.log('       node index.js all');
+            console.log('\nUsage: node index.js <pipeline-name> [--dry-run]');
+            console.log('       node index.js all [--dry-run]');
             console.log('       node index.js list');
+            console.log('       node index.js plan');
+            console.log('       node index.js check-schema [pipeline-name]');
+            console.log('       node index.js rejects list|retry <pipeline-name>');
             console.log('       node index.js extract <extractor-name>\n');
             process.exit(1);
 
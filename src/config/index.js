@@ -34,6 +34,30 @@ function getBooleanEnv(name, defaultValue) {
     return value === 'true' || value === '1';
 }
 
+/**
+ * Read the sheet / header row settings of a pipeline's .xlsx files
+ * An all-digit sheet is a 0-based index in workbook order, anything else a
+ * sheet name; settings left unset are not returned.
+ * @param {string} prefix - e.g. 'PRODUCT_LAB_MARKUP' for PRODUCT_LAB_MARKUP_SHEET / _HEADER_ROW
+ * @returns {{ sheet?: string|number, headerRow?: number }}
+ * @throws {Error} When the header row is not a positive integer
+ */
+function getWorkbookEnv(prefix) {
+    const workbook = {};
+    const sheet = getOptionalEnv(`${prefix}_SHEET`, '');
+    if (sheet) {
+        workbook.sheet = /^\d+$/.test(sheet) ? Number(sheet) : sheet;
+    }
+    const headerRow = getOptionalEnv(`${prefix}_HEADER_ROW`, '').trim();
+    if (headerRow) {
+        if (!/^[1-9]\d*$/.test(headerRow)) {
+            throw new Error(`${prefix}_HEADER_ROW must be a positive row number, got '${headerRow}'`);
+        }
+        workbook.headerRow = Number(headerRow);
+    }
+    return workbook;
+}
+
 module.exports = {
     /**
      * AWS / S3 Configuration
@@ -98,7 +122,56 @@ module.exports = {
      */
     processing: {
         // Number of rows to process per batch
-        batchSize: parseInt(getOptionalEnv('BATCH_SIZE', '100'), 10)
+        batchSize: parseInt(getOptionalEnv('BATCH_SIZE', '100'), 10),
+        // Default load mode for pipelines that don't set one: 'row', 'batch' or 'copy'
+        loadMode: getOptionalEnv('LOAD_MODE', 'row'),
+        // Load mode overrides by pipeline name - full MagicTouch order exports run
+        // to hundreds of thousands of rows, so orders can COPY on its own
+        loadModes: {
+            orders: getOptionalEnv('ORDERS_LOAD_MODE', null)
+        },
+        // Number of rows per COPY chunk for pipelines using loadMode 'copy'
+        copyBatchSize: parseInt(getOptionalEnv('COPY_BATCH_SIZE', '5000'), 10),
+        // Abort and roll back a file when more rows than this fail (unset = no limit)
+        maxErrorCount: process.env.MAX_ERROR_COUNT ? parseInt(process.env.MAX_ERROR_COUNT, 10) : null,
+        // Abort and roll back a file when this fraction of its rows fail, e.g. 0.5 (unset = no limit)
+        maxErrorRatio: process.env.MAX_ERROR_RATIO ? parseFloat(process.env.MAX_ERROR_RATIO) : null,
+        // Compare pipelines with their target tables before processing any file
+        schemaCheck: getBooleanEnv('SCHEMA_CHECK', true),
+        // Default policy when a file is missing expected headers: 'warn' or 'reject'
+        headerMismatch: getOptionalEnv('HEADER_MISMATCH', 'warn'),
+        // Soft-delete rows missing from full-snapshot files (pipelines that declare a snapshot)
+        snapshotDeletes: getBooleanEnv('SNAPSHOT_DELETES', false),
+        // Skip snapshot deletes when a file has fewer keys than this
+        snapshotMinRows: parseInt(getOptionalEnv('SNAPSHOT_MIN_ROWS', '1'), 10),
+        // Skip snapshot deletes when a file has fewer keys than this fraction of the live rows
+        snapshotMinRatio: parseFloat(getOptionalEnv('SNAPSHOT_MIN_RATIO', '0.5')),
+        // Store a business-attribute hash and skip upserts whose hash is unchanged
+        rowHashes: getBooleanEnv('ROW_HASHES', false),
+        // Write etl_run_id / source_file_key / source_row_number / loaded_at for pipelines that declare provenance
+        provenanceColumns: getBooleanEnv('PROVENANCE_COLUMNS', false),
+        // Keep failed and quarantined rows in etl_rejected_rows for `rejects list` / `rejects retry`
+        storeRejectedRows: getBooleanEnv('STORE_REJECTED_ROWS', false),
+        // Maintain SCD type 2 history tables for pipelines that declare history
+        historyTracking: getBooleanEnv('HISTORY_TRACKING', false),
+        // Pipelines run at the same time by processAllPipelines (dependencies still load first)
+        pipelineConcurrency: parseInt(getOptionalEnv('PIPELINE_CONCURRENCY', '1'), 10),
+        // Files run at the same time within pipelines that declare orderIndependent
+        fileConcurrency: parseInt(getOptionalEnv('FILE_CONCURRENCY', '1'), 10),
+        // Default order waiting files load in: 'lastModified', 'fileNameTimestamp', 'sequence' or 'name'
+        fileOrder: getOptionalEnv('FILE_ORDER', 'lastModified'),
+        // Expected orders casestatus values (comma-separated); others are reported as warnings
+        orderCaseStatuses: getOptionalEnv('ORDER_CASE_STATUSES', '')
+            .split(',')
+            .map(status => status.trim())
+            .filter(Boolean),
+        // Refuse (move to rejected/) files older than the last one loaded per pipeline (needs etl_file_watermarks)
+        rejectOutOfOrderFiles: getBooleanEnv('REJECT_OUT_OF_ORDER_FILES', false),
+        // Sheet and header row of .xlsx drops, by pipeline name (see BasePipeline.workbook)
+        workbooks: {
+            'product-lab-markup': getWorkbookEnv('PRODUCT_LAB_MARKUP'),
+            'product-lab-rev-share': getWorkbookEnv('PRODUCT_LAB_REV_SHARE')
+        }
     },
 
     /**
@@ -17,13 +17,59 @@
  *     mapRow(row) { return { id: row.id, name: row.name }; }
  *     buildInsertQuery(row) { return { sql: '...', values: [...] }; }
  * }
+ *
+ * @example
+ * // Declarative alternative: mapRow, requiredFields, buildInsertQuery,
+ * // bulkColumns and conflictClause are all derived from the column spec
+ * class MyPipeline extends BasePipeline {
+ *     get name() { return 'my-pipeline'; }
+ *     get tableName() { return 'my_table'; }
+ *     get columns() {
+ *         return [
+ *             { header: 'id', column: 'id', type: 'integer', required: true, conflictKey: true },
+ *             { header: 'name', column: 'name', type: 'text', required: true }
+ *         ];
+ *     }
+ * }
  */
 
 const csv = require('csv-parser');
-const { Readable } = require('stream');
+const { Readable, pipeline } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
 const { getPipelineLogger } = require('../utils/logger');
+const { createRowCoercer, RowCoercionError } = require('../utils/coerce');
+const { generateRowHash } = require('../utils/hash');
+const { readSheetRows } = require('../utils/xlsx');
+const { sniffCsvStream, describeCsvFormat } = require('../utils/csvFormat');
+const { readJsonRecords, flattenRecord } = require('../utils/json');
+const { applyRules } = require('../utils/validate');
+const { checkHeaders, describeHeaderDrift } = require('../utils/headers');
+const { ERROR_CATEGORIES, classifyDatabaseError, classifyCoercionError } = require('../utils/errorCategories');
+const { ErrorThresholdError, HeaderContractError } = require('./errors');
+
+// PostgreSQL limit on bind parameters per statement
+const MAX_QUERY_PARAMS = 65535;
+
+// Max error rows kept in the returned missingFieldErrors when rows are streamed to handlers
+const ERROR_SAMPLE_LIMIT = 100;
+
+// Default provenance column names (see provenance)
+const PROVENANCE_COLUMNS = {
+    runId: 'etl_run_id',
+    sourceFileKey: 'source_file_key',
+    sourceRowNumber: 'source_row_number',
+    loadedAt: 'loaded_at'
+};
 
 class BasePipeline {
+    /**
+     * Pipelines (by pipelineName) that must load first in processAllPipelines;
+     * this pipeline is skipped when one of them fails (see etl/PipelineGraph)
+     * @type {string[]}
+     */
+    static dependsOn = [];
+
     /**
      * @param {Object} dbPool - PostgreSQL connection pool
      * @param {Object} s3Handler - S3 handler instance
@@ -34,7 +80,9 @@ class BasePipeline {
         this.s3Handler = s3Handler;
         this.config = config;
         this.batchSize = config.batchSize || 100;
+        this.copyBatchSize = config.copyBatchSize || 5000;
         this._logger = null;
+        this.loadStartedAt = null;
     }
 
     /**
@@ -68,9 +116,13 @@ class BasePipeline {
 
     /**
      * Fields that must be present and non-empty for row to be valid
+     * Derived from columns when the pipeline uses a column spec
      * @returns {string[]} Array of required field names
      */
     get requiredFields() {
+        if (this.columns) {
+            return this.columns.filter(col => col.required).map(col => col.column);
+        }
         throw new Error('Pipeline must implement "requiredFields" getter');
     }
 
@@ -84,22 +136,181 @@ class BasePipeline {
 
     /**
      * Transform normalized CSV row to database schema
+     * Derived from columns when the pipeline uses a column spec
+     * Throw RowCoercionError (via createRowCoercer().finish()) to reject the row
      * @param {Object} normalizedRow - Row with lowercase keys, no special chars
      * @returns {Object} Mapped row ready for database insertion
      */
     mapRow(normalizedRow) {
+        if (this.columns) {
+            const coercer = createRowCoercer();
+            const mapped = {};
+            for (const col of this.columns) {
+                const value = normalizedRow[this.normalizeHeader(col.header)];
+                mapped[col.column] = coercer.coerce(col.type || 'text', col.column, value, col);
+            }
+            return coercer.finish(mapped);
+        }
         throw new Error('Pipeline must implement "mapRow" method');
     }
 
     /**
      * Build INSERT query for a single row
+     * Derived from columns when the pipeline uses a column spec
      * @param {Object} mappedRow - Row returned from mapRow()
      * @returns {{ sql: string, values: any[] }} SQL query and parameter values
      */
     buildInsertQuery(mappedRow) {
+        if (this.columns) {
+            const sql = this.buildColumnSpecInsert(this.bulkColumns);
+            const values = this.columns.map(col => mappedRow[col.column]);
+            if (this.rowHashEnabled) {
+                values.push(generateRowHash(mappedRow, this.rowHashSettings.columns));
+            }
+            return { sql, values };
+        }
         throw new Error('Pipeline must implement "buildInsertQuery" method');
     }
 
+    /**
+     * Single-row INSERT for a column-spec pipeline
+     * @param {string[]} columns - Columns in parameter order
+     * @returns {string} SQL with $1..$n placeholders and the conflict clause
+     */
+    buildColumnSpecInsert(columns) {
+        const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+        return `
+            INSERT INTO ${this.tableName} (${columns.join(', ')})
+            VALUES (${placeholders})
+            ${this.conflictClause}
+        `;
+    }
+
+    // ==================== COLUMN SPEC (Alternative to mapRow/buildInsertQuery) ====================
+
+    /**
+     * Declarative column spec. When defined, BasePipeline derives mapRow,
+     * requiredFields, buildInsertQuery, bulkColumns and conflictClause from it.
+     *
+     * Each entry:
+     * - header:           CSV header (normalized like row keys, e.g. 'Dental Group ID' -> 'dentalgroupid')
+     * - column:           Target DB column and mapped row key
+     * - type:             'text' (default), 'integer', 'decimal', 'boolean', 'date' or 'enum'
+     *                     (see utils/coerce; values that don't parse become row errors)
+     * - values / aliases: Allowed values and alternate spellings for 'enum'
+     * - required:         Row is rejected when the value is empty
+     * - conflictKey:      Part of the ON CONFLICT target
+     * - updateOnConflict: Overwrite on conflict (default: true for non-key columns)
+     * - headerAliases:    Other header names accepted for this column (reported as renamed)
+     * - headerOptional:   Header may be absent from the file (default: expected)
+     *
+     * @returns {Object[]|null} Column spec, or null for hand-written pipelines
+     */
+    get columns() {
+        return null;
+    }
+
+    /**
+     * Build the ON CONFLICT clause from the column spec
+     * No key columns: no clause. Key but nothing to update: DO NOTHING.
+     * The update only fires when a value actually differs, so identical rows
+     * are left untouched and reported as 'unchanged' (see appendWriteReturning).
+     * @returns {string}
+     */
+    buildConflictClause() {
+        const keys = this.conflictKeys;
+        if (keys.length === 0) return '';
+
+        const updateColumns = this.updateColumns;
+        const updates = updateColumns.map(column => `${column} = EXCLUDED.${column}`);
+        // The existing row is referenced by its unqualified table name
+        const target = this.tableName.split('.').pop();
+        let changed = [];
+        if (this.rowHashEnabled && updateColumns.length > 0) {
+            // One hash comparison instead of comparing every column
+            const hashColumn = this.rowHashSettings.column;
+            updates.push(`${hashColumn} = EXCLUDED.${hashColumn}`);
+            changed = [`${target}.${hashColumn} IS DISTINCT FROM EXCLUDED.${hashColumn}`];
+        } else if (updateColumns.length > 0) {
+            changed = [`(${updateColumns.map(column => `${target}.${column}`).join(', ')}) IS DISTINCT FROM ` +
+                `(${updateColumns.map(column => `EXCLUDED.${column}`).join(', ')})`];
+        }
+        if (changed.length > 0) {
+            // Provenance follows the last load that changed the row
+            updates.push(...this.provenanceColumns.map(([, column]) => `${column} = EXCLUDED.${column}`));
+        }
+        if (this.snapshotEnabled) {
+            // A key that reappears in a snapshot is live again
+            const { deletedAtColumn } = this.snapshotSettings;
+            updates.push(`${deletedAtColumn} = NULL`);
+            changed.push(`${target}.${deletedAtColumn} IS NOT NULL`);
+        }
+
+        return updates.length > 0
+            ? `ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${updates.join(', ')} WHERE ${changed.join(' OR ')}`
+            : `ON CONFLICT (${keys.join(', ')}) DO NOTHING`;
+    }
+
+    /**
+     * Non-key columns overwritten by ON CONFLICT DO UPDATE (derived from columns)
+     * @returns {string[]}
+     */
+    get updateColumns() {
+        return this.columns
+            ? this.columns.filter(col => !col.conflictKey && col.updateOnConflict !== false).map(col => col.column)
+            : [];
+    }
+
+    /**
+     * Change detection by hash: a hash of the business attributes is stored
+     * with each row, and ON CONFLICT DO UPDATE only fires when it differs, so
+     * re-loading an unchanged row writes nothing (no WAL, no update triggers).
+     * Only applied when ROW_HASHES=true; the table needs the hash column.
+     *
+     * - column:  Hash column (default: 'row_hash')
+     * - columns: Business attributes hashed (default: updateColumns)
+     *
+     * @returns {{ column?: string, columns?: string[] }|null} null to compare column by column
+     *
+     * @example
+     * get rowHash() {
+     *     return { column: 'row_hash' };
+     * }
+     */
+    get rowHash() {
+        return null;
+    }
+
+    /**
+     * Whether rows are written with a change-detection hash
+     * Needs a column spec (the hash is added to the generated INSERT)
+     * @returns {boolean}
+     */
+    get rowHashEnabled() {
+        return !!this.rowHash && !!this.columns && !!this.config.rowHashes;
+    }
+
+    /**
+     * Row hash settings with defaults applied
+     * @returns {{ column: string, columns: string[] }}
+     */
+    get rowHashSettings() {
+        return {
+            column: 'row_hash',
+            columns: this.updateColumns,
+            ...this.rowHash
+        };
+    }
+
+    /**
+     * Columns of the ON CONFLICT target (derived from columns)
+     * Used to match bulk RETURNING rows back to their source rows
+     * @returns {string[]}
+     */
+    get conflictKeys() {
+        return this.columns ? this.columns.filter(col => col.conflictKey).map(col => col.column) : [];
+    }
+
     // ==================== OPTIONAL OVERRIDES ====================
 
     /**
@@ -110,6 +321,91 @@ class BasePipeline {
         return false;
     }
 
+    /**
+     * Whether files of this pipeline can load at the same time (default: false)
+     * Concurrent files commit in whichever order they finish, so only declare
+     * this when no two files share a key (e.g. one file per lab) - a newer
+     * file's values are not guaranteed to win. Also needs fileOrder strategy
+     * 'name' without rejectOlder (see fileConcurrency).
+     * @returns {boolean}
+     */
+    get orderIndependent() {
+        return false;
+    }
+
+    /**
+     * Files of this pipeline processed at the same time, each on its own
+     * connection and transaction: FILE_CONCURRENCY for order-independent
+     * pipelines, 1 for everything else. Truncating pipelines and full-snapshot
+     * or history pipelines are always serial - their result depends on which
+     * file loads last - and so are pipelines that load files oldest first
+     * (any fileOrder strategy but 'name', or rejectOlder), which concurrent
+     * commits could not keep.
+     * @returns {number}
+     */
+    get fileConcurrency() {
+        if (!this.orderIndependent || this.shouldTruncate || this.snapshot || this.history) return 1;
+        const { strategy, rejectOlder } = this.fileOrder;
+        if (strategy !== 'name' || rejectOlder) return 1;
+        return Math.max(1, this.config.fileConcurrency || 1);
+    }
+
+    /**
+     * Order files are loaded in (see utils/fileOrder)
+     * - strategy: 'lastModified', 'fileNameTimestamp', 'sequence' or 'name' (FILE_ORDER)
+     * - pattern: RegExp finding the timestamp / sequence number in the file name
+     * - rejectOlder: move files older than the last one loaded to rejected/
+     *   (REJECT_OUT_OF_ORDER_FILES; not available with 'name')
+     * @returns {{ strategy: string, pattern: RegExp|string|null, rejectOlder: boolean }}
+     */
+    get fileOrder() {
+        return {
+            strategy: this.config.fileOrder || 'lastModified',
+            pattern: null,
+            rejectOlder: !!this.config.rejectOutOfOrderFiles
+        };
+    }
+
+    /**
+     * Declarative validation rules applied after required-field checks
+     * See utils/validate for rule shapes. Rules with severity 'reject' (default)
+     * keep the row out of the table; 'warn' rules load the row and report it.
+     * @returns {Object[]} Rule definitions
+     *
+     * @example
+     * get validationRules() {
+     *     return [
+     *         { field: 'zip', pattern: 'zip', severity: 'warn' },
+     *         { field: 'revenue_share', min: 0, max: 1 },
+     *         { field: 'shippingdate', compare: '>=', to: 'casedate' }
+     *     ];
+     * }
+     */
+    get validationRules() {
+        return [];
+    }
+
+    /**
+     * Foreign references checked in bulk against their tables before insert
+     * Rows whose reference is not found are quarantined instead of loaded.
+     *
+     * Each entry:
+     * - field / fields:   Mapped row field(s) holding the reference
+     * - table:            Referenced table
+     * - column / columns: Referenced column(s), same order as fields
+     * - label:            Used in the reason, e.g. 'dental group' -> "unknown dental group 123"
+     *
+     * @returns {Object[]} Reference definitions
+     *
+     * @example
+     * get references() {
+     *     return [{ field: 'dental_group_id', table: 'dental_groups', column: 'dental_group_id', label: 'dental group' }];
+     * }
+     */
+    get references() {
+        return [];
+    }
+
     /**
      * Post-processing hook called after all rows are inserted
      * Override to call stored procedures, update stats, etc.
@@ -128,19 +424,415 @@ class BasePipeline {
         this.logger.info(`Table ${this.tableName} truncated`);
     }
 
+    /**
+     * How valid rows are written to the database
+     * (default: config.loadModes[name], e.g. ORDERS_LOAD_MODE, then
+     * config.loadMode from LOAD_MODE, else 'row')
+     * - 'row':   one INSERT per row, each wrapped in a SAVEPOINT
+     * - 'batch': one multi-row INSERT ... VALUES (...),(...) per batchSize rows;
+     *            a failing batch is split in half recursively until the bad
+     *            rows are isolated (requires bulkColumns)
+     * - 'copy':  rows are streamed via COPY FROM STDIN into a temp table in
+     *            chunks of copyBatchSize, then upserted with one set-based
+     *            statement per chunk (requires bulkColumns)
+     * @returns {string}
+     */
+    get loadMode() {
+        return (this.config.loadModes || {})[this.name] || this.config.loadMode || 'row';
+    }
+
+    /**
+     * Target columns for 'batch' and 'copy' loading, in the same order as
+     * the values array returned by buildInsertQuery()
+     * @returns {string[]|null}
+     */
+    get bulkColumns() {
+        if (!this.columns) return null;
+        const columns = this.columns.map(col => col.column);
+        return this.rowHashEnabled ? [...columns, this.rowHashSettings.column] : columns;
+    }
+
+    /**
+     * Provenance columns written with every row, so each row records which run
+     * and file last inserted or changed it. Added by BasePipeline to the
+     * generated load statements, so it needs a column spec; a pipeline with a
+     * hand-written buildInsertQuery that opts in fails before loading.
+     * Only applied when PROVENANCE_COLUMNS=true; the table needs the columns.
+     *
+     * - runId:           etl_run_id - id of the ETL run (one per process)
+     * - sourceFileKey:   source_file_key - S3 source path + file name
+     * - sourceRowNumber: source_row_number - 1-based data row in the file
+     * - loadedAt:        loaded_at - when the file's load started
+     *
+     * @returns {boolean|Object<string, string|false>} true for the standard
+     *          columns, an object to rename (or set false to skip) columns,
+     *          false for none
+     *
+     * @example
+     * get provenance() {
+     *     return true;
+     * }
+     */
+    get provenance() {
+        return false;
+    }
+
+    /**
+     * Provenance column names with defaults applied (false = not written)
+     * @returns {Object<string, string|false>}
+     */
+    get provenanceSettings() {
+        return { ...PROVENANCE_COLUMNS, ...(this.provenance === true ? {} : this.provenance) };
+    }
+
+    /**
+     * Enabled provenance columns as [kind, column] pairs, in load order
+     * @returns {Array<[string, string]>} Empty when provenance is off
+     */
+    get provenanceColumns() {
+        if (!this.provenance || !this.config.provenanceColumns) return [];
+        const names = this.provenanceSettings;
+        return Object.keys(PROVENANCE_COLUMNS)
+            .filter(kind => names[kind])
+            .map(kind => [kind, names[kind]]);
+    }
+
+    /**
+     * Provenance values for one row, in provenanceColumns order
+     * @param {string} fileName - Source file name
+     * @param {number} rowNumber - 1-based data row number
+     * @returns {any[]}
+     */
+    provenanceValues(fileName, rowNumber) {
+        const values = {
+            runId: this.config.runId || null,
+            sourceFileKey: (this.config.sourcePath || '') + (fileName || ''),
+            // Retries load a subset of a file; sourceRowNumbers maps back to the original rows
+            sourceRowNumber: this.config.sourceRowNumbers ? this.config.sourceRowNumbers[rowNumber - 1] : (rowNumber ?? null),
+            loadedAt: this.loadStartedAt || new Date()
+        };
+        return this.provenanceColumns.map(([kind]) => values[kind]);
+    }
+
+    /**
+     * Columns actually written by 'batch' and 'copy' loads:
+     * bulkColumns followed by the provenance columns
+     * @returns {string[]|null}
+     */
+    get loadColumns() {
+        if (!this.bulkColumns) return null;
+        return [...this.bulkColumns, ...this.provenanceColumns.map(([, column]) => column)];
+    }
+
+    /**
+     * buildInsertQuery() plus the provenance columns
+     * The statement is regenerated from loadColumns, keeping the values of
+     * buildInsertQuery() and appending the provenance values
+     * @param {Object} mappedRow - Row returned from mapRow()
+     * @param {string} fileName - Source file name
+     * @param {number} [rowNumber] - 1-based data row number
+     * @returns {{ sql: string, values: any[] }}
+     */
+    buildLoadQuery(mappedRow, fileName, rowNumber) {
+        const query = this.buildInsertQuery(mappedRow, fileName);
+        if (this.provenanceColumns.length === 0) return query;
+        if (!this.columns) {
+            throw new Error(`Pipeline ${this.name} declares provenance but has no column spec`);
+        }
+        return {
+            sql: this.buildColumnSpecInsert(this.loadColumns),
+            values: [...query.values, ...this.provenanceValues(fileName, rowNumber)]
+        };
+    }
+
+    /**
+     * ON CONFLICT clause appended to the multi-row INSERT ('batch') and
+     * the set-based upsert ('copy')
+     * e.g. 'ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name'
+     * @returns {string}
+     */
+    get conflictClause() {
+        return this.columns ? this.buildConflictClause() : '';
+    }
+
+    /**
+     * Headers each file must have (see utils/headers), derived from columns:
+     * every spec header is expected unless headerOptional, with headerAliases
+     * @returns {{ expected: string[], optional: string[], aliases: Object<string, string[]> }|null}
+     *          null disables the header check
+     */
+    get headerContract() {
+        if (!this.columns) return null;
+        return {
+            expected: this.columns.filter(col => !col.headerOptional).map(col => col.header),
+            optional: this.columns.filter(col => col.headerOptional).map(col => col.header),
+            aliases: Object.fromEntries(
+                this.columns.filter(col => col.headerAliases).map(col => [col.header, col.headerAliases])
+            )
+        };
+    }
+
+    /**
+     * What to do when a file's header is missing expected columns
+     * (default: config.headerMismatch from HEADER_MISMATCH, else 'warn')
+     * - 'warn':   load the file and report the drift
+     * - 'reject': reject the file before any row is loaded
+     * @returns {string}
+     */
+    get headerMismatchPolicy() {
+        return this.config.headerMismatch || 'warn';
+    }
+
+    /**
+     * Full-snapshot soft deletes: each complete file lists every live key, so
+     * rows whose conflict key is absent from the file get deleted_at set
+     * (and are revived by the upsert if they come back).
+     * Only applied when SNAPSHOT_DELETES=true; the table needs the deletedAt column.
+     *
+     * Safety checks (deletes are skipped, the load still commits):
+     * - minRows:  file must contain at least this many keys (default: SNAPSHOT_MIN_ROWS or 1)
+     * - minRatio: file keys must be at least this fraction of the live rows
+     *             before the load (default: SNAPSHOT_MIN_RATIO or 0.5)
+     * - every row's key must be readable (rows failing mapRow block deletes)
+     *
+     * @returns {{ deletedAtColumn?: string, minRows?: number, minRatio?: number }|null}
+     *          null for pipelines that only upsert
+     *
+     * @example
+     * get snapshot() {
+     *     return { deletedAtColumn: 'deleted_at' };
+     * }
+     */
+    get snapshot() {
+        return null;
+    }
+
+    /**
+     * Whether snapshot soft deletes run for this pipeline
+     * @returns {boolean}
+     */
+    get snapshotEnabled() {
+        return !!this.snapshot && !!this.config.snapshotDeletes;
+    }
+
+    /**
+     * Snapshot settings with defaults applied
+     * @returns {{ deletedAtColumn: string, minRows: number, minRatio: number }}
+     */
+    get snapshotSettings() {
+        return {
+            deletedAtColumn: 'deleted_at',
+            minRows: this.config.snapshotMinRows ?? 1,
+            minRatio: this.config.snapshotMinRatio ?? 0.5,
+            ...this.snapshot
+        };
+    }
+
+    /**
+     * Slowly-changing-dimension (type 2) history: a companion table keeps one
+     * row per version of each key, with valid_from/valid_to (valid_to NULL =
+     * current version). After each file is loaded, versions whose tracked
+     * columns differ from the main table are closed and a new version is
+     * opened; keys whose tracked values did not change keep their version.
+     * Only applied when HISTORY_TRACKING=true; the history table must exist with
+     * the conflict key columns, the tracked columns and validFrom/validTo.
+     *
+     * - table:          History table name (default: <tableName>_history)
+     * - trackedColumns: Columns whose changes open a new version
+     *                   (default: every non-key column in the column spec)
+     * - validFromColumn / validToColumn: default 'valid_from' / 'valid_to'
+     *
+     * @returns {{ table?: string, trackedColumns?: string[], validFromColumn?: string, validToColumn?: string }|null}
+     *          null for pipelines without history
+     *
+     * @example
+     * get history() {
+     *     return { table: 'dental_groups_history', trackedColumns: ['name', 'sales_rep'] };
+     * }
+     */
+    get history() {
+        return null;
+    }
+
+    /**
+     * Whether SCD history is maintained for this pipeline
+     * @returns {boolean}
+     */
+    get historyEnabled() {
+        return !!this.history && !!this.config.historyTracking;
+    }
+
+    /**
+     * History settings with defaults applied
+     * @returns {{ table: string, trackedColumns: string[], validFromColumn: string, validToColumn: string }}
+     */
+    get historySettings() {
+        return {
+            table: `${this.tableName}_history`,
+            trackedColumns: (this.columns || []).filter(col => !col.conflictKey).map(col => col.column),
+            validFromColumn: 'valid_from',
+            validToColumn: 'valid_to',
+            ...this.history
+        };
+    }
+
+    /**
+     * Sheet and header row read from .xlsx source files (see utils/xlsx)
+     * - sheet: sheet name, or 0-based index in workbook order
+     * - headerRow: 1-based row holding the headers; rows above it are skipped
+     * @returns {{ sheet: string|number, headerRow: number }}
+     */
+    get workbook() {
+        return { sheet: 0, headerRow: 1 };
+    }
+
+    /**
+     * Forced CSV settings (see utils/csvFormat); anything left out is sniffed
+     * from each file
+     * - delimiter: ',', ';', '\t' or '|'
+     * - quote: '"' or "'"
+     * - encoding: 'utf8', 'utf16le', 'windows-1252' or 'latin1'
+     * @returns {{ delimiter?: string, quote?: string, encoding?: string }}
+     */
+    get csvFormat() {
+        return {};
+    }
+
+    /**
+     * Header -> dot path mapping for .json/.ndjson source files (see utils/json)
+     * Each header is filled from its path ('doctor.name', 'items.0.sku') and
+     * then normalized like a CSV header. null flattens every nested field into
+     * a dot-joined header instead ('doctor.name' -> 'doctorname').
+     * @returns {Object<string, string>|null}
+     */
+    get jsonFields() {
+        return null;
+    }
+
+    /**
+     * Maximum failed rows per file before the whole load is rolled back
+     * (default: MAX_ERROR_COUNT / MAX_ERROR_RATIO; null disables a limit)
+     * - maxErrorCount: checked as rows are processed, aborting early
+     * - maxErrorRatio: errorCount / rowCount, checked once the file is read
+     * @returns {{ maxErrorCount: number|null, maxErrorRatio: number|null }}
+     */
+    get errorThreshold() {
+        return {
+            maxErrorCount: this.config.maxErrorCount ?? null,
+            maxErrorRatio: this.config.maxErrorRatio ?? null
+        };
+    }
+
     // ==================== CORE PROCESSING LOGIC ====================
 
+    /**
+     * Create a streaming CSV parser for a file
+     * The returned stream is async-iterable and yields one row object at a time,
+     * so it can be passed straight to processRows() without buffering the file.
+     * @param {Buffer|Stream} stream - UTF-8 CSV data (see sniffCsvStream())
+     * @param {Object} [format] - Detected format ({ delimiter, quote }); defaults to ',' and '"'
+     * @returns {Stream} Object-mode stream of parsed rows
+     */
+    createRowStream(stream, format = {}) {
+        return pipeline(Readable.from(stream), this.createCsvParser(format), () => {});
+    }
+
+    /**
+     * csv-parser instance for a detected format
+     * @param {Object} format - { delimiter, quote }
+     * @returns {Stream}
+     */
+    createCsvParser({ delimiter = ',', quote = '"' } = {}) {
+        return csv({ separator: delimiter, quote, escape: quote });
+    }
+
+    /**
+     * Parse every part of a source file into one row stream
+     * Each entry (one per CSV in a zip) is parsed with its own header row and
+     * its own sniffed delimiter, quote, encoding and BOM, transcoded to UTF-8;
+     * workbooks are read from the sheet and header row in `workbook`, and JSON
+     * records are flattened per `jsonFields`. Every entry after the first must
+     * have the first entry's columns (see checkEntryHeaders()).
+     * @param {AsyncIterable<Object>} entries - From utils/sourceFiles openSourceEntries()
+     * @param {Object[]} [formats] - Receives the format read for each entry, in order
+     * @returns {AsyncGenerator<Object>} Rows of all entries, in order
+     * @throws {HeaderContractError} When an entry's columns differ from the first entry's
+     */
+    async *createSourceRowStream(entries, formats = []) {
+        let firstEntry = null;
+        for await (const entry of entries) {
+            let headerChecked = false;
+            for await (const row of this.createEntryRowStream(entry, formats)) {
+                if (!headerChecked) {
+                    headerChecked = true;
+                    const headers = Object.keys(row);
+                    if (firstEntry) {
+                        this.checkEntryHeaders(entry.name, headers, firstEntry);
+                    } else {
+                        firstEntry = { name: entry.name, headers };
+                    }
+                }
+                yield row;
+            }
+        }
+    }
+
+    /**
+     * Rows of one source entry
+     * @param {Object} entry - One entry from openSourceEntries()
+     * @param {Object[]} formats - Receives the format read for the entry
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *createEntryRowStream(entry, formats) {
+        if (entry.format === 'xlsx') {
+            const { sheet, headerRow } = this.workbook;
+            formats.push({ entry: entry.name, format: 'xlsx', sheet, headerRow });
+            yield* readSheetRows(entry.filePath, this.workbook);
+        } else if (entry.format === 'json' || entry.format === 'ndjson') {
+            const fields = this.jsonFields;
+            formats.push({ entry: entry.name, format: entry.format, fields: fields ? 'mapped' : 'flattened' });
+            for await (const record of readJsonRecords(entry.stream, entry.format)) {
+                yield flattenRecord(record, fields);
+            }
+        } else {
+            const { format, stream } = await sniffCsvStream(entry.stream, this.csvFormat);
+            formats.push({ entry: entry.name, format: 'csv', ...format });
+            this.logger.info(`CSV format: ${describeCsvFormat(format)}`, { entry: entry.name, sniffed: format.sniffed });
+            yield* this.createRowStream(stream, format);
+        }
+    }
+
+    /**
+     * Check a later entry of a multi-entry source (CSVs in a zip) against the first
+     * The header contract, header aliases and the processed/log CSV columns
+     * are all taken from the first entry's header row, so an entry with other
+     * columns (order aside) could not be loaded or logged correctly.
+     * @param {string} entryName - Entry being read
+     * @param {string[]} headers - Its header row
+     * @param {{ name: string, headers: string[] }} firstEntry - First entry of the file
+     * @throws {HeaderContractError} When the columns differ
+     */
+    checkEntryHeaders(entryName, headers, firstEntry) {
+        const report = checkHeaders({ expected: firstEntry.headers, optional: [], aliases: {} }, headers, key => key);
+        if (report.satisfied && report.unexpected.length === 0) return;
+        throw new HeaderContractError(
+            `Header contract not satisfied: ${entryName} has other columns than ${firstEntry.name} (${describeHeaderDrift(report)})`,
+            report
+        );
+    }
+
     /**
      * Parse CSV buffer/stream into array of row objects
-     * @param {Buffer|Stream} stream - CSV data
+     * Buffers the whole file - prefer createRowStream() for large files
+     * @param {Buffer|Stream} stream - CSV data in any supported encoding
      * @returns {Promise<Object[]>} Parsed rows
      */
     async parseCSV(stream) {
+        const { format, stream: utf8 } = await sniffCsvStream(stream, this.csvFormat);
         return new Promise((resolve, reject) => {
             const rows = [];
-            const readable = Readable.from(stream);
-            readable
-                .pipe(csv())
+            utf8
+                .pipe(this.createCsvParser(format))
                 .on('data', (row) => rows.push(row))
                 .on('end', () => resolve(rows))
                 .on('error', reject);
@@ -150,20 +842,41 @@ class BasePipeline {
     /**
      * Normalize CSV row - lowercase keys, remove special characters
      * @param {Object} row - Raw CSV row
+     * @param {Object<string, string>} [headerMap] - Normalized alias header -> canonical header
      * @returns {Object} Normalized row
      */
-    normalizeRow(row) {
+    normalizeRow(row, headerMap = {}) {
         const normalized = {};
         for (const [key, value] of Object.entries(row)) {
-            const normalizedKey = key
-                .toLowerCase()
-                .trim()
-                .replace(/[^a-z0-9]/g, '');
-            normalized[normalizedKey] = value;
+            const header = this.normalizeHeader(key);
+            normalized[headerMap[header] || header] = value;
         }
         return normalized;
     }
 
+    /**
+     * Check a file's header row against headerContract
+     * @param {string[]} headers - Header row as read from the file
+     * @returns {Object|null} Header report (see utils/headers), null without a contract
+     */
+    checkHeaderContract(headers) {
+        const contract = this.headerContract;
+        if (!contract) return null;
+        return checkHeaders(contract, headers, key => this.normalizeHeader(key));
+    }
+
+    /**
+     * Normalize a single CSV header - lowercase, remove special characters
+     * @param {string} key - Raw header
+     * @returns {string} Normalized header (e.g., 'Lab Product ID' -> 'labproductid')
+     */
+    normalizeHeader(key) {
+        return key
+            .toLowerCase()
+            .trim()
+            .replace(/[^a-z0-9]/g, '');
+    }
+
     /**
      * Validate that all required fields are present and non-empty
      * @param {Object} mappedRow - Row after mapping
@@ -177,48 +890,704 @@ class BasePipeline {
         );
     }
 
+    /**
+     * Run validationRules against a mapped row
+     * @param {Object} mappedRow - Row after mapping
+     * @returns {{ rejections: string[], warnings: string[] }} Failure messages by severity
+     */
+    applyValidationRules(mappedRow) {
+        return applyRules(this.validationRules, mappedRow);
+    }
+
+    /**
+     * Check declared references for a chunk of rows with one lookup per reference
+     * Keys already seen in the target table are cached for the rest of the file.
+     * @param {Object} client - Database client within transaction
+     * @param {{ mappedRow: Object }[]} records - Validated rows
+     * @param {Set<string>[]} knownKeys - Per-reference cache of keys found so far
+     * @returns {Promise<({ reason: string, column: string }|null)[]>} Orphan reason and reference
+     *          field(s) per record (null when all references resolve)
+     */
+    async findOrphans(client, records, knownKeys) {
+        const reasons = records.map(() => null);
+        const keyOf = values => values.map(String).join('\u0000');
+
+        for (const [index, ref] of this.references.entries()) {
+            const fields = ref.fields || [ref.field];
+            const columns = ref.columns || [ref.column];
+            const known = knownKeys[index] || (knownKeys[index] = new Set());
+
+            // Collect keys not yet known, skipping empty references (requiredFields handles those)
+            const rowKeys = records.map(({ mappedRow }) => {
+                const values = fields.map(field => mappedRow[field]);
+                if (values.some(v => v === null || v === undefined || v === '')) return null;
+                return { key: keyOf(values), values };
+            });
+            const lookups = rowKeys.filter(k => k && !known.has(k.key));
+
+            if (lookups.length > 0) {
+                const where = columns.map((column, n) => `${column} = ANY($${n + 1})`).join(' AND ');
+                const params = columns.map((_, n) => [...new Set(lookups.map(k => k.values[n]))]);
+                const result = await client.query(
+                    `SELECT DISTINCT ${columns.join(', ')} FROM ${ref.table} WHERE ${where}`,
+                    params
+                );
+                result.rows.forEach(dbRow => known.add(keyOf(columns.map(column => dbRow[column]))));
+            }
+
+            rowKeys.forEach((k, n) => {
+                if (k && !reasons[n] && !known.has(k.key)) {
+                    reasons[n] = {
+                        reason: `unknown ${ref.label || ref.table} ${k.values.join('/')}`,
+                        column: fields.join(', ')
+                    };
+                }
+            });
+        }
+
+        return reasons;
+    }
+
     /**
      * Insert a single row into the database
      * @param {Object} client - Database client
      * @param {Object} mappedRow - Row to insert
-     * @returns {Promise<{ success: boolean, errorRow?: Object }>}
+     * @param {string} [fileName] - Source file name (passed through to buildInsertQuery)
+     * @param {number} [rowNumber] - 1-based data row number (provenance)
+     * @returns {Promise<{ success: boolean, action?: string|null, errorRow?: Object }>}
+     *          action: 'insert', 'update' (ON CONFLICT DO UPDATE changed a value) or
+     *          'unchanged' (conflicting row already had these values, or DO NOTHING)
      */
-    async insertRow(client, mappedRow) {
-        const { sql, values } = this.buildInsertQuery(mappedRow);
+    async insertRow(client, mappedRow, fileName, rowNumber) {
+        const { sql, values } = this.buildLoadQuery(mappedRow, fileName, rowNumber);
+        // Only plain INSERTs can report insert vs update; anything else has no action
+        const reportsAction = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
 
         try {
             // Use SAVEPOINT to prevent single row error from aborting entire transaction
             await client.query('SAVEPOINT insert_row');
-            await client.query(sql, values);
+            const result = await client.query(reportsAction ? this.appendWriteReturning(sql) : sql, values);
             await client.query('RELEASE SAVEPOINT insert_row');
-            return { success: true };
+            if (!reportsAction) return { success: true, action: null };
+            const returned = result.rows && result.rows[0];
+            return { success: true, action: returned ? (returned.etl_inserted ? 'insert' : 'update') : 'unchanged' };
         } catch (error) {
             // Rollback to savepoint to recover transaction state
             await client.query('ROLLBACK TO SAVEPOINT insert_row');
+            const { category, column } = classifyDatabaseError(error, mappedRow);
             return {
                 success: false,
                 errorRow: {
                     row: mappedRow,
                     error_code: error.code,
-                    error_message: error.message
+                    error_message: error.message,
+                    error_category: category,
+                    error_column: column
                 }
             };
         }
     }
 
+    /**
+     * Append a RETURNING clause that reports what a load statement did:
+     * etl_inserted is true for new rows and false for rows changed by
+     * ON CONFLICT DO UPDATE; rows left alone by the conflict clause (DO NOTHING,
+     * or a DO UPDATE whose WHERE found no changed value) are not returned
+     * @param {string} sql - INSERT statement
+     * @param {string[]} [keyColumns] - Extra columns to return (to match rows back)
+     * @returns {string}
+     */
+    appendWriteReturning(sql, keyColumns = []) {
+        const returning = ['(xmax = 0) AS etl_inserted', ...keyColumns].join(', ');
+        return `${sql.trim().replace(/;$/, '')}\n            RETURNING ${returning}`;
+    }
+
+    /**
+     * Work out the action ('insert', 'update' or 'unchanged') for each row of
+     * a bulk statement from its RETURNING rows, matched on the conflict keys
+     * @param {any[][]} valueRows - Values arrays (loadColumns order), one per record
+     * @param {Object[]|null} returnedRows - RETURNING rows, or null when the statement had no conflict clause
+     * @returns {string[]} Action per record
+     */
+    resolveBulkActions(valueRows, returnedRows) {
+        if (!returnedRows) return valueRows.map(() => 'insert');
+
+        const keys = this.conflictKeys;
+        const keyIndexes = keys.map(key => this.loadColumns.indexOf(key));
+        const keyOf = values => values.map(String).join('\u0000');
+
+        const actions = new Map(returnedRows.map(row => [
+            keyOf(keys.map(key => row[key])),
+            row.etl_inserted ? 'insert' : 'update'
+        ]));
+        return valueRows.map(values => actions.get(keyOf(keyIndexes.map(i => values[i]))) || 'unchanged');
+    }
+
+    /**
+     * Run a bulk load statement and resolve the action for each of its rows
+     * @param {Object} client - Database client within transaction
+     * @param {string} sql - Multi-row INSERT or set-based upsert
+     * @param {any[]} values - Bind parameters
+     * @param {any[][]} valueRows - Values arrays (loadColumns order), one per record
+     * @returns {Promise<{ success: boolean, action: string|null }[]>}
+     */
+    async runBulkStatement(client, sql, values, valueRows) {
+        if (!this.conflictClause) {
+            await client.query(sql, values);
+            return this.resolveBulkActions(valueRows, null).map(action => ({ success: true, action }));
+        }
+        const keys = this.conflictKeys;
+        if (keys.length === 0 || keys.some(key => !this.loadColumns.includes(key))) {
+            // Hand-written conflict clause without declared keys: rows can't be matched
+            await client.query(sql, values);
+            return valueRows.map(() => ({ success: true, action: null }));
+        }
+        const result = await client.query(this.appendWriteReturning(sql, keys), values);
+        return this.resolveBulkActions(valueRows, result.rows).map(action => ({ success: true, action }));
+    }
+
+    /**
+     * Name of the temp table used as COPY target
+     * @returns {string}
+     */
+    get copyStagingTable() {
+        return `etl_copy_${this.tableName.replace(/\W/g, '_')}`;
+    }
+
+    /**
+     * Create the COPY staging table for the current transaction
+     * Column types are taken from the target table; constraints are not copied
+     * @param {Object} client - Database client within transaction
+     */
+    async createCopyStagingTable(client) {
+        const columns = this.loadColumns.join(', ');
+        await client.query(`
+            CREATE TEMP TABLE IF NOT EXISTS ${this.copyStagingTable}
+            ON COMMIT DROP
+            AS SELECT ${columns} FROM ${this.tableName} WITH NO DATA
+        `);
+    }
+
+    /**
+     * Build the set-based statement that moves staged rows into the target table
+     * @returns {string} SQL statement
+     */
+    buildCopyUpsertQuery() {
+        const columns = this.loadColumns.join(', ');
+        return `
+            INSERT INTO ${this.tableName} (${columns})
+            SELECT ${columns} FROM ${this.copyStagingTable}
+            ${this.conflictClause}
+        `;
+    }
+
+    /**
+     * Format a single value for COPY ... WITH (FORMAT csv)
+     * Unquoted empty field is NULL, quoted empty field is an empty string
+     * @param {any} value - Value to format
+     * @returns {string}
+     */
+    formatCopyValue(value) {
+        if (value === null || value === undefined) return '';
+        let text;
+        if (value instanceof Date) {
+            text = value.toISOString();
+        } else if (typeof value === 'object') {
+            text = JSON.stringify(value);
+        } else {
+            text = String(value);
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Load a chunk of validated rows via COPY + set-based upsert
+     * If the chunk fails (bad value, duplicate key within the chunk, etc.)
+     * it is rolled back and replayed row by row so every failing row still
+     * gets its own error entry.
+     * @param {Object} client - Database client within transaction
+     * @param {{ mappedRow: Object }[]} records - Validated rows to load
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{ success: boolean, action?: string|null, errorRow?: Object }[]>} Results in input order
+     */
+    async copyRows(client, records, fileName) {
+        if (records.length === 0) return [];
+        const columns = this.loadColumns;
+
+        try {
+            await client.query('SAVEPOINT copy_batch');
+            await client.query(`TRUNCATE ${this.copyStagingTable}`);
+
+            const valueRows = records.map(({ mappedRow, rowNumber }) => this.buildLoadQuery(mappedRow, fileName, rowNumber).values);
+            const lines = valueRows.map(values => values.map(v => this.formatCopyValue(v)).join(',') + '\n');
+            const copyStream = client.query(copyFrom(
+                `COPY ${this.copyStagingTable} (${columns.join(', ')}) FROM STDIN WITH (FORMAT csv)`
+            ));
+            await pipelineAsync(Readable.from(lines), copyStream);
+
+            const results = await this.runBulkStatement(client, this.buildCopyUpsertQuery(), [], valueRows);
+            await client.query('RELEASE SAVEPOINT copy_batch');
+
+            return results;
+        } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT copy_batch');
+            this.logger.warn('COPY chunk failed, falling back to row-by-row inserts', {
+                pipeline: this.name,
+                fileName,
+                chunkSize: records.length,
+                error: error.message
+            });
+
+            const results = [];
+            for (const { mappedRow, rowNumber } of records) {
+                results.push(await this.insertRow(client, mappedRow, fileName, rowNumber));
+            }
+            return results;
+        }
+    }
+
+    /**
+     * Build a multi-row INSERT for several rows
+     * @param {any[][]} rowValues - Values arrays from buildLoadQuery(), one per row
+     * @returns {{ sql: string, values: any[] }} SQL query and flattened parameter values
+     */
+    buildBatchInsertQuery(rowValues) {
+        const columns = this.loadColumns;
+        const values = [];
+        const tuples = rowValues.map(rowValue => {
+            const placeholders = rowValue.map(value => {
+                values.push(value);
+                return `$${values.length}`;
+            });
+            return `(${placeholders.join(', ')})`;
+        });
+
+        const sql = `
+            INSERT INTO ${this.tableName} (${columns.join(', ')})
+            VALUES ${tuples.join(',\n                   ')}
+            ${this.conflictClause}
+        `;
+        return { sql, values };
+    }
+
+    /**
+     * Load a batch of validated rows with one multi-row INSERT
+     * If the batch fails it is rolled back and split in half, recursively,
+     * until the failing rows are isolated and inserted (and reported) one by one.
+     * Batches larger than the bind parameter limit are split up front.
+     * @param {Object} client - Database client within transaction
+     * @param {{ mappedRow: Object }[]} records - Validated rows to load
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{ success: boolean, action?: string|null, errorRow?: Object }[]>} Results in input order
+     */
+    async batchInsertRows(client, records, fileName) {
+        // An empty INSERT would fail and bisect into itself forever
+        if (records.length === 0) return [];
+        if (records.length === 1) {
+            return [await this.insertRow(client, records[0].mappedRow, fileName, records[0].rowNumber)];
+        }
+
+        const maxRows = Math.floor(MAX_QUERY_PARAMS / this.loadColumns.length);
+        if (records.length <= maxRows) {
+            const valueRows = records.map(({ mappedRow, rowNumber }) => this.buildLoadQuery(mappedRow, fileName, rowNumber).values);
+            const { sql, values } = this.buildBatchInsertQuery(valueRows);
+
+            try {
+                await client.query('SAVEPOINT insert_batch');
+                const results = await this.runBulkStatement(client, sql, values, valueRows);
+                await client.query('RELEASE SAVEPOINT insert_batch');
+                return results;
+            } catch (error) {
+                await client.query('ROLLBACK TO SAVEPOINT insert_batch');
+                this.logger.debug('Batch insert failed, bisecting', {
+                    pipeline: this.name,
+                    fileName,
+                    batchSize: records.length,
+                    error: error.message
+                });
+            }
+        }
+
+        const middle = Math.ceil(records.length / 2);
+        const left = await this.batchInsertRows(client, records.slice(0, middle), fileName);
+        const right = await this.batchInsertRows(client, records.slice(middle), fileName);
+        return [...left, ...right];
+    }
+
+    /**
+     * Count live (not soft-deleted) rows, used by the snapshot ratio check
+     * @param {Object} client - Database client within transaction
+     * @returns {Promise<number>}
+     */
+    async countLiveRows(client) {
+        const { deletedAtColumn } = this.snapshotSettings;
+        const result = await client.query(
+            `SELECT COUNT(*)::int AS count FROM ${this.tableName} WHERE ${deletedAtColumn} IS NULL`
+        );
+        return result.rows[0].count;
+    }
+
+    /**
+     * Soft-delete live rows whose conflict key was not in the snapshot file
+     * Keys are compared as text, so conflict key columns should be integer or text.
+     * @param {Object} client - Database client within transaction
+     * @param {Map<string, any[]>} fileKeys - Conflict key values seen in the file
+     * @param {Object} stats
+     * @param {number} stats.unkeyedRows - Rows whose key could not be read
+     * @param {number} stats.liveRowsBefore - Live rows before the load
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{ deletedCount: number, skipped: string|null }>}
+     */
+    async applySnapshotDeletes(client, fileKeys, { unkeyedRows, liveRowsBefore }, fileName) {
+        const { deletedAtColumn, minRows, minRatio } = this.snapshotSettings;
+
+        let skipped = null;
+        if (unkeyedRows > 0) {
+            skipped = `${unkeyedRows} row(s) had no readable key, file is not a complete snapshot`;
+        } else if (fileKeys.size < minRows) {
+            skipped = `file has ${fileKeys.size} keys, fewer than the minimum of ${minRows}`;
+        } else if (fileKeys.size < liveRowsBefore * minRatio) {
+            skipped = `file has ${fileKeys.size} keys, under ${minRatio * 100}% of the ${liveRowsBefore} live rows`;
+        }
+        if (skipped) {
+            this.logger.warn('Snapshot deletes skipped', { pipeline: this.name, fileName, reason: skipped });
+            return { deletedCount: 0, skipped };
+        }
+
+        const keys = this.conflictKeys;
+        const keyValues = [...fileKeys.values()];
+        const params = keys.map((_, i) => keyValues.map(values => String(values[i])));
+        const unnestArgs = keys.map((_, i) => `$${i + 1}::text[]`).join(', ');
+        const match = keys.map(key => `s.${key} = t.${key}::text`).join(' AND ');
+
+        const result = await client.query(`
+            UPDATE ${this.tableName} AS t
+            SET ${deletedAtColumn} = NOW()
+            WHERE t.${deletedAtColumn} IS NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM unnest(${unnestArgs}) AS s(${keys.join(', ')})
+                  WHERE ${match}
+              )
+        `, params);
+
+        this.logger.info('Snapshot deletes applied', {
+            pipeline: this.name,
+            fileName,
+            fileKeys: fileKeys.size,
+            deletedCount: result.rowCount
+        });
+        return { deletedCount: result.rowCount, skipped: null };
+    }
+
+    /**
+     * Bring the history table in line with the main table
+     * Runs over the whole table (dimension tables are small), so rows changed
+     * outside the ETL are versioned too. Soft-deleted rows (snapshot pipelines)
+     * have their current version closed and get no new one until they return.
+     * All versions written in one transaction share NOW() as their boundary.
+     * @param {Object} client - Database client within transaction
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{ closedCount: number, openedCount: number }>}
+     */
+    async applyHistory(client, fileName) {
+        const { table, trackedColumns, validFromColumn, validToColumn } = this.historySettings;
+        const keys = this.conflictKeys;
+        const keyMatch = keys.map(key => `h.${key} = m.${key}`).join(' AND ');
+        const changed = trackedColumns.map(column => `h.${column} IS DISTINCT FROM m.${column}`);
+        const deletedAt = this.snapshotEnabled ? `m.${this.snapshotSettings.deletedAtColumn}` : null;
+        if (deletedAt) changed.push(`${deletedAt} IS NOT NULL`);
+
+        const closed = await client.query(`
+            UPDATE ${table} AS h
+            SET ${validToColumn} = NOW()
+            FROM ${this.tableName} AS m
+            WHERE h.${validToColumn} IS NULL
+              AND ${keyMatch}
+              AND (${changed.join(' OR ')})
+        `);
+
+        const historyColumns = [...keys, ...trackedColumns];
+        const opened = await client.query(`
+            INSERT INTO ${table} (${historyColumns.join(', ')}, ${validFromColumn})
+            SELECT ${historyColumns.map(column => `m.${column}`).join(', ')}, NOW()
+            FROM ${this.tableName} AS m
+            WHERE ${deletedAt ? `${deletedAt} IS NULL AND ` : ''}NOT EXISTS (
+                SELECT 1 FROM ${table} AS h
+                WHERE h.${validToColumn} IS NULL AND ${keyMatch}
+            )
+        `);
+
+        this.logger.info('History updated', {
+            pipeline: this.name,
+            fileName,
+            historyTable: table,
+            closedCount: closed.rowCount,
+            openedCount: opened.rowCount
+        });
+        return { closedCount: closed.rowCount, openedCount: opened.rowCount };
+    }
+
     /**
      * Process all rows from CSV with transaction handling
-     * @param {Object[]} rows - Parsed CSV rows
+     *
+     * Rows may be an array or any (async) iterable such as createRowStream().
+     * When handlers are given, each outcome is passed to them as soon as it is
+     * known and validRows/errorRows are not accumulated, which keeps memory
+     * bounded regardless of file size. Without handlers, the arrays are returned
+     * as before.
+     *
+     * With config.dryRun the whole load (including postProcess) runs as usual
+     * but the transaction is rolled back instead of committed.
+     *
+     * For snapshot pipelines, rows whose key is missing from the file are
+     * soft-deleted after the last chunk is loaded (see snapshot); pipelines
+     * with history then get their history table versioned (see history).
+     *
+     * With config.rejectSink ({ record(client, entry), complete?(client) }),
+     * every failed or quarantined row is also handed to the sink inside the
+     * transaction, so it is kept or rolled back together with the load.
+     *
+     * Every rejected row carries errorCategory/errorColumn (see utils/errorCategories);
+     * the result's errorCategories counts failed rows per category.
+     *
+     * @param {Object[]|AsyncIterable<Object>} rows - Parsed CSV rows
      * @param {string} fileName - Source file name for logging
+     * @param {Object} [handlers] - Streaming output callbacks
+     * @param {function(Object, Object): Promise|void} [handlers.onValidRow] - Called with each loaded row and { warnings, action }
+     * @param {function(Object): Promise|void} [handlers.onErrorRow] - Called with each rejected row (with reason/errorCategory/errorColumn/missingFields/rejections/warnings/quarantined)
+     * @param {function(Object|null, string[]): Promise|void} [handlers.onHeader] - Called with the header report and the header row before the first row
      * @returns {Promise<Object>} Processing results
+     * @throws {ErrorThresholdError} When failed rows exceed errorThreshold (transaction rolled back)
+     * @throws {HeaderContractError} When headerMismatchPolicy is 'reject' and expected headers are missing (nothing loaded)
      */
-    async processRows(rows, fileName) {
-        const client = await this.dbPool.connect();
+    async processRows(rows, fileName, handlers = {}) {
+        const loadMode = this.loadMode;
+        if (!['row', 'batch', 'copy'].includes(loadMode)) {
+            throw new Error(`Pipeline ${this.name} has unknown loadMode '${loadMode}'`);
+        }
+        if (loadMode !== 'row' && !(this.bulkColumns && this.bulkColumns.length)) {
+            throw new Error(`Pipeline ${this.name} uses loadMode '${loadMode}' but does not define bulkColumns`);
+        }
+        if (this.provenanceColumns.length > 0 && !this.columns) {
+            throw new Error(`Pipeline ${this.name} declares provenance but has no column spec`);
+        }
+        // One loaded_at per file (provenance)
+        this.loadStartedAt = new Date();
+        // Validated rows are loaded in chunks; row mode without references
+        // keeps loading each row as soon as it is validated
+        const hasReferences = this.references.length > 0;
+        let chunkSize = 1;
+        if (loadMode === 'copy') {
+            chunkSize = this.copyBatchSize;
+        } else if (loadMode === 'batch' || hasReferences) {
+            chunkSize = this.batchSize;
+        }
+        const knownReferenceKeys = [];
+        const { maxErrorCount, maxErrorRatio } = this.errorThreshold;
+        if (this.snapshotEnabled && this.conflictKeys.length === 0) {
+            throw new Error(`Pipeline ${this.name} uses snapshot deletes but has no conflict key columns`);
+        }
+        if (this.historyEnabled && (this.conflictKeys.length === 0 || this.historySettings.trackedColumns.length === 0)) {
+            throw new Error(`Pipeline ${this.name} tracks history but has no conflict key or tracked columns`);
+        }
+
+        const streaming = !!(handlers.onValidRow || handlers.onErrorRow);
+        // Persists failed rows in the load transaction (see etl/RejectedRowStore)
+        const rejectSink = this.config.rejectSink || null;
+        let rowCount = 0;
         let successCount = 0;
         let errorCount = 0;
+        let warningCount = 0;
+        let quarantinedCount = 0;
+        let insertedCount = 0;
+        let updatedCount = 0;
+        let unchangedCount = 0;
+        let snapshotResult = null;
+        let historyResult = null;
+        const errorCategories = {};  // Failed rows per ERROR_CATEGORIES value
         const missingFieldErrors = [];
         const validRows = [];      // Only valid/successful rows
         const errorRows = [];      // Only error rows
+        const pendingRows = [];    // Validated rows waiting for the next chunk load
+
+        // Read the first row before opening a transaction so an empty file
+        // never truncates or post-processes the target table
+        const iterator = (rows[Symbol.asyncIterator] || rows[Symbol.iterator]).call(rows);
+        const first = await iterator.next();
+        if (first.done) {
+            return {
+                rowCount, successCount, errorCount, warningCount, quarantinedCount,
+                insertedCount, updatedCount, unchangedCount, errorCategories, missingFieldErrors, validRows, errorRows,
+                headerReport: null, snapshot: null, history: null
+            };
+        }
+
+        // Header contract: alias headers are read as their canonical header
+        const headers = Object.keys(first.value);
+        const headerReport = this.checkHeaderContract(headers);
+        const headerMap = headerReport ? headerReport.headerMap : {};
+        if (headerReport && (headerReport.missing.length > 0 || headerReport.unexpected.length > 0 || headerReport.renamed.length > 0)) {
+            this.logger.warn('Header drift detected', {
+                pipeline: this.name,
+                fileName,
+                drift: describeHeaderDrift(headerReport)
+            });
+        }
+        if (handlers.onHeader) await handlers.onHeader(headerReport, headers);
+        if (headerReport && !headerReport.satisfied && this.headerMismatchPolicy === 'reject') {
+            if (typeof iterator.return === 'function') {
+                await iterator.return();
+            }
+            throw new HeaderContractError(
+                `Header contract not satisfied: ${describeHeaderDrift(headerReport)}`,
+                headerReport
+            );
+        }
+
+        /**
+         * Hand a successfully loaded row to the caller
+         */
+        const emitValidRow = async (row, warnings, action) => {
+            successCount++;
+            if (warnings.length > 0) warningCount++;
+            if (action === 'insert') insertedCount++;
+            if (action === 'update') updatedCount++;
+            if (action === 'unchanged') unchangedCount++;
+            if (streaming) {
+                if (handlers.onValidRow) await handlers.onValidRow(row, { warnings, action });
+            } else {
+                validRows.push(row);  // Store original row for CSV
+            }
+        };
+
+        /**
+         * Hand a rejected row to the caller (and the reject sink, if any)
+         */
+        const emitErrorRow = async (errorDetail, { row, rowNumber, errorCode = null }) => {
+            errorCount++;
+            errorCategories[errorDetail.errorCategory] = (errorCategories[errorDetail.errorCategory] || 0) + 1;
+            if (rejectSink) {
+                await rejectSink.record(client, {
+                    fileName,
+                    rowNumber,
+                    row,
+                    reason: errorDetail.reason,
+                    errorCode,
+                    quarantined: !!errorDetail.quarantined
+                });
+            }
+            if (streaming) {
+                if (missingFieldErrors.length < ERROR_SAMPLE_LIMIT) missingFieldErrors.push(errorDetail);
+                if (handlers.onErrorRow) await handlers.onErrorRow(errorDetail);
+            } else {
+                missingFieldErrors.push(errorDetail);
+                errorRows.push(errorDetail);
+            }
+        };
+
+        /**
+         * Record the outcome of an insert for a single row
+         */
+        const recordInsertResult = async (row, rowNumber, result, warnings = []) => {
+            if (result.success) {
+                await emitValidRow(row, warnings, result.action);
+                this.logger.debug('Row inserted successfully', {
+                    pipeline: this.name,
+                    fileName,
+                    rowNumber
+                });
+            } else {
+                const errorDetail = {
+                    ...row,
+                    reason: result?.errorRow?.error_message || 'Insert failed',
+                    errorCategory: result?.errorRow?.error_category || ERROR_CATEGORIES.DATABASE_ERROR,
+                    errorColumn: result?.errorRow?.error_column || '',
+                    missingFields: [],
+                    rejections: [],
+                    warnings
+                };
+                await emitErrorRow(errorDetail, { row, rowNumber, errorCode: result?.errorRow?.error_code || null });
+                this.logger.error('Error inserting row', {
+                    pipeline: this.name,
+                    fileName,
+                    rowNumber,
+                    reason: errorDetail.reason,
+                    category: errorDetail.errorCategory
+                });
+            }
+        };
+
+        /**
+         * Check references for all pending rows, quarantine orphans,
+         * load the rest with the pipeline's load mode and record their results
+         */
+        const flushPendingRows = async () => {
+            if (pendingRows.length === 0) return;
+            let records = pendingRows.splice(0, pendingRows.length);
+
+            if (hasReferences) {
+                const orphanReasons = await this.findOrphans(client, records, knownReferenceKeys);
+                const loadable = [];
+                for (let k = 0; k < records.length; k++) {
+                    if (!orphanReasons[k]) {
+                        loadable.push(records[k]);
+                        continue;
+                    }
+                    const { row, rowNumber, warnings } = records[k];
+                    quarantinedCount++;
+                    await emitErrorRow({
+                        ...row,
+                        reason: orphanReasons[k].reason,
+                        errorCategory: ERROR_CATEGORIES.MISSING_REFERENCE,
+                        errorColumn: orphanReasons[k].column,
+                        missingFields: [],
+                        rejections: [],
+                        warnings,
+                        quarantined: true
+                    }, { row, rowNumber });
+                    this.logger.warn('Quarantining row with unknown reference', {
+                        pipeline: this.name,
+                        fileName,
+                        rowNumber,
+                        reason: orphanReasons[k].reason
+                    });
+                }
+                records = loadable;
+                // Whole chunk quarantined: nothing left to load
+                if (records.length === 0) return;
+            }
+
+            let results;
+            if (loadMode === 'copy') {
+                results = await this.copyRows(client, records, fileName);
+            } else if (loadMode === 'batch') {
+                results = await this.batchInsertRows(client, records, fileName);
+            } else {
+                results = [];
+                for (const { mappedRow, rowNumber } of records) {
+                    results.push(await this.insertRow(client, mappedRow, fileName, rowNumber));
+                }
+            }
+
+            for (let k = 0; k < records.length; k++) {
+                const { row, rowNumber, warnings } = records[k];
+                await recordInsertResult(row, rowNumber, results[k], warnings);
+            }
+
+            if (chunkSize > 1) {
+                this.logger.info('Chunk loaded', {
+                    loadMode,
+                    pipeline: this.name,
+                    fileName,
+                    chunkSize: records.length,
+                    successCount,
+                    errorCount,
+                    quarantinedCount
+                });
+            }
+        };
+
+        const client = await this.dbPool.connect();
 
         try {
             await client.query('BEGIN');
@@ -228,109 +1597,199 @@ class BasePipeline {
                 await this.truncateTable(client);
             }
 
-            // Process in batches
-            for (let i = 0; i < rows.length; i += this.batchSize) {
-                const batch = rows.slice(i, i + this.batchSize);
+            if (loadMode === 'copy') {
+                await this.createCopyStagingTable(client);
+            }
 
-                for (let j = 0; j < batch.length; j++) {
-                    const row = batch[j];
-                    const rowNumber = i + j + 1;
+            // Snapshot pipelines remember every key in the file
+            const snapshotKeys = this.snapshotEnabled ? new Map() : null;
+            const liveRowsBefore = snapshotKeys ? await this.countLiveRows(client) : 0;
+            let unkeyedRows = 0;
 
-                    const normalizedRow = this.normalizeRow(row);
-                    const mappedRow = this.mapRow(normalizedRow);
+            // Process rows as they arrive, logging progress once per batch
+            let next = first;
+            while (!next.done) {
+                const row = next.value;
+                const rowNumber = ++rowCount;
+                let keyRecorded = false;
 
-                    try {
-                        const missingFields = this.validateRow(mappedRow);
-
-                        if (missingFields.length > 0) {
-                            // Validation failed - missing required fields
-                            errorCount++;
-                            const errorDetail = {
-                                ...row,
-                                reason: `Missing required fields: ${missingFields.join(', ')}`,
-                                missingFields
-                            };
-                            missingFieldErrors.push(errorDetail);
-                            errorRows.push(errorDetail);
-
-                            this.logger.error('Skipping row with missing fields', {
-                                pipeline: this.name,
-                                rowNumber,
-                                reason: errorDetail.reason,
-                                fileName
-                            });
-                        } else {
-                            // Validation passed - insert row
-                            const result = await this.insertRow(client, mappedRow);
-
-                            if (result.success) {
-                                validRows.push(row);  // Store original row for CSV
-                                successCount++;
-                                this.logger.debug('Row inserted successfully', {
-                                    pipeline: this.name,
-                                    fileName,
-                                    rowNumber
-                                });
-                            } else {
-                                errorCount++;
-                                const errorDetail = {
-                                    ...row,
-                                    reason: result?.errorRow?.error_message || 'Insert failed',
-                                    missingFields: []
-                                };
-                                errorRows.push(errorDetail);
-                                missingFieldErrors.push(errorDetail);
-                                this.logger.error('Error inserting row', {
-                                    pipeline: this.name,
-                                    fileName,
-                                    rowNumber,
-                                    reason: errorDetail.reason
-                                });
-                            }
+                try {
+                    // Coercion failures in mapRow surface as a row error below
+                    const normalizedRow = this.normalizeRow(row, headerMap);
+                    const mappedRow = this.mapRow(normalizedRow);
+                    if (snapshotKeys) {
+                        const keyValues = this.conflictKeys.map(key => mappedRow[key]);
+                        if (keyValues.every(value => value !== null && value !== undefined && value !== '')) {
+                            snapshotKeys.set(keyValues.map(String).join('\u0000'), keyValues);
+                            keyRecorded = true;
                         }
-                    } catch (error) {
-                        errorCount++;
+                    }
+                    const missingFields = this.validateRow(mappedRow);
+                    const { rejections, warnings } = missingFields.length > 0
+                        ? { rejections: [], warnings: [] }
+                        : this.applyValidationRules(mappedRow);
+
+                    if (missingFields.length > 0) {
+                        // Validation failed - missing required fields
+                        const errorDetail = {
+                            ...row,
+                            reason: `Missing required fields: ${missingFields.join(', ')}`,
+                            errorCategory: ERROR_CATEGORIES.MISSING_VALUE,
+                            errorColumn: missingFields.join(', '),
+                            missingFields,
+                            rejections: [],
+                            warnings: []
+                        };
+                        await emitErrorRow(errorDetail, { row, rowNumber });
+
+                        this.logger.error('Skipping row with missing fields', {
+                            pipeline: this.name,
+                            rowNumber,
+                            reason: errorDetail.reason,
+                            fileName
+                        });
+                    } else if (rejections.length > 0) {
+                        // Validation failed - rule with severity 'reject'
                         const errorDetail = {
                             ...row,
-                            reason: error.message,
-                            missingFields: []
+                            reason: `Validation failed: ${rejections.join('; ')}`,
+                            errorCategory: ERROR_CATEGORIES.VALIDATION_FAILED,
+                            errorColumn: '',
+                            missingFields: [],
+                            rejections,
+                            warnings
                         };
-                        missingFieldErrors.push(errorDetail);
-                        errorRows.push(errorDetail);
+                        await emitErrorRow(errorDetail, { row, rowNumber });
 
-                        this.logger.error('Error processing row', {
+                        this.logger.error('Skipping row that failed validation rules', {
                             pipeline: this.name,
                             rowNumber,
-                            error: error.message,
+                            reason: errorDetail.reason,
                             fileName
                         });
+                    } else {
+                        // Validation passed - queue row for reference checks and loading
+                        pendingRows.push({ row, mappedRow, rowNumber, warnings });
                     }
+                } catch (error) {
+                    const { category, column } = error instanceof RowCoercionError
+                        ? classifyCoercionError(error)
+                        : { category: ERROR_CATEGORIES.PROCESSING_ERROR, column: '' };
+                    const errorDetail = {
+                        ...row,
+                        reason: error.message,
+                        errorCategory: category,
+                        errorColumn: column,
+                        missingFields: [],
+                        rejections: [],
+                        warnings: []
+                    };
+                    await emitErrorRow(errorDetail, { row, rowNumber });
+
+                    this.logger.error('Error processing row', {
+                        pipeline: this.name,
+                        rowNumber,
+                        error: error.message,
+                        fileName
+                    });
                 }
 
-                this.logger.info('Batch processed', {
-                    pipeline: this.name,
-                    batchStart: i + 1,
-                    batchEnd: Math.min(i + this.batchSize, rows.length),
-                    total: rows.length,
-                    successCount,
-                    errorCount
-                });
+                if (snapshotKeys && !keyRecorded) {
+                    unkeyedRows++;
+                }
+
+                if (pendingRows.length >= chunkSize) {
+                    await flushPendingRows();
+                }
+
+                if (maxErrorCount !== null && errorCount > maxErrorCount) {
+                    throw new ErrorThresholdError(
+                        `Error threshold exceeded: more than ${maxErrorCount} failed rows (aborted at row ${rowCount})`,
+                        { rowCount, errorCount, maxErrorCount, maxErrorRatio }
+                    );
+                }
+
+                next = await iterator.next();
+
+                if (rowCount % this.batchSize === 0 || next.done) {
+                    this.logger.info('Batch processed', {
+                        pipeline: this.name,
+                        batchStart: Math.floor((rowCount - 1) / this.batchSize) * this.batchSize + 1,
+                        batchEnd: rowCount,
+                        total: next.done ? rowCount : undefined,
+                        successCount,
+                        errorCount
+                    });
+                }
+            }
+
+            // Load whatever is left of the final chunk
+            await flushPendingRows();
+
+            if (maxErrorCount !== null && errorCount > maxErrorCount) {
+                throw new ErrorThresholdError(
+                    `Error threshold exceeded: ${errorCount} failed rows (max ${maxErrorCount})`,
+                    { rowCount, errorCount, maxErrorCount, maxErrorRatio }
+                );
+            }
+            if (maxErrorRatio !== null && errorCount / rowCount > maxErrorRatio) {
+                throw new ErrorThresholdError(
+                    `Error threshold exceeded: ${errorCount} of ${rowCount} rows failed ` +
+                    `(${(errorCount / rowCount * 100).toFixed(1)}% > ${(maxErrorRatio * 100).toFixed(1)}%)`,
+                    { rowCount, errorCount, maxErrorCount, maxErrorRatio }
+                );
+            }
+
+            if (snapshotKeys) {
+                snapshotResult = await this.applySnapshotDeletes(
+                    client, snapshotKeys, { unkeyedRows, liveRowsBefore }, fileName
+                );
+            }
+
+            if (this.historyEnabled) {
+                historyResult = await this.applyHistory(client, fileName);
+            }
+
+            if (rejectSink && rejectSink.complete) {
+                await rejectSink.complete(client);
             }
 
             // Run post-processing (e.g., stored procedures)
             await this.postProcess(client);
 
-            await client.query('COMMIT');
-            this.logger.info('Transaction committed', {
-                pipeline: this.name,
-                fileName,
-                totalRows: rows.length,
-                successCount,
-                errorCount
-            });
+            if (this.config.dryRun) {
+                // Dry run: every statement above ran, none of it is kept
+                await client.query('ROLLBACK');
+                this.logger.info('Dry run: transaction rolled back', {
+                    pipeline: this.name,
+                    fileName,
+                    totalRows: rowCount,
+                    wouldInsert: insertedCount,
+                    wouldUpdate: updatedCount,
+                    wouldDelete: snapshotResult ? snapshotResult.deletedCount : undefined,
+                    wouldFail: errorCount
+                });
+            } else {
+                await client.query('COMMIT');
+                this.logger.info('Transaction committed', {
+                    pipeline: this.name,
+                    fileName,
+                    totalRows: rowCount,
+                    successCount,
+                    insertedCount,
+                    updatedCount,
+                    unchangedCount,
+                    deletedCount: snapshotResult ? snapshotResult.deletedCount : undefined,
+                    errorCount
+                });
+            }
 
         } catch (error) {
             await client.query('ROLLBACK');
+            // Stop reading the source so its stream/socket is released
+            if (typeof iterator.return === 'function') {
+                await iterator.return();
+            }
             this.logger.error('Transaction rolled back', {
                 pipeline: this.name,
                 error: error.message,
@@ -341,7 +1800,11 @@ class BasePipeline {
             client.release();
         }
 
-        return { successCount, errorCount, missingFieldErrors, validRows, errorRows };
+        return {
+            rowCount, successCount, errorCount, warningCount, quarantinedCount,
+            insertedCount, updatedCount, unchangedCount, errorCategories, missingFieldErrors, validRows, errorRows,
+            headerReport, snapshot: snapshotResult, history: historyResult
+        };
     }
 }
 
@@ -7,8 +7,9 @@
  * Features:
  * - File existence checking
  * - File retrieval (streaming)
- * - File listing with pagination
- * - Move to processed folder (with timestamp)
+ * - File listing with pagination (.csv, .csv.gz, .zip, .xlsx, .json and .ndjson source files)
+ * - Listing with LastModified/size (listFileObjects) for chronological ordering
+ * - Move to processed/rejected folder (with timestamp)
  * - Log file uploading
  *
  * Usage:
@@ -26,7 +27,9 @@ const {
     PutObjectCommand
 } = require('@aws-sdk/client-s3');
 const fs = require('fs/promises');
+const { createReadStream } = require('fs');
 const logger = require('../utils/logger');
+const { isSourceFile } = require('../utils/sourceFiles');
 
 class S3Handler {
     /**
@@ -141,14 +144,24 @@ class S3Handler {
     }
 
     /**
-     * List all CSV files in a source path (excludes processed and logs folders)
+     * List all source files (.csv, .csv.gz, .zip, .xlsx, .json, .ndjson) in a source path (excludes processed/logs/quarantine/rejected folders)
      * Supports pagination for large buckets
      * @param {string} sourcePath - S3 prefix to search
-     * @param {string} processedPath - Processed folder path to exclude
-     * @param {string} [logsPath] - Logs folder path to exclude
-     * @returns {Promise<string[]>} Array of file names (without path prefix)
+     * @param {...string} excludedPaths - Sub-folder paths to exclude (processed, logs, quarantine, rejected)
+     * @returns {Promise<string[]>} Array of file names (without path prefix), in S3 key order
      */
-    async listFiles(sourcePath, processedPath, logsPath) {
+    async listFiles(sourcePath, ...excludedPaths) {
+        const files = await this.listFileObjects(sourcePath, ...excludedPaths);
+        return files.map(file => file.name);
+    }
+
+    /**
+     * List source files with the S3 metadata used to order them (see utils/fileOrder)
+     * @param {string} sourcePath - S3 prefix to search
+     * @param {...string} excludedPaths - Sub-folder paths to exclude (processed, logs, quarantine, rejected)
+     * @returns {Promise<{ name: string, lastModified: Date, size: number }[]>} In S3 key order
+     */
+    async listFileObjects(sourcePath, ...excludedPaths) {
         try {
             const allFiles = [];
             let continuationToken = undefined;
@@ -165,13 +178,16 @@ class S3Handler {
                 if (response.Contents && response.Contents.length > 0) {
                     const files = response.Contents
                         .filter(obj => {
-                            // Exclude folder itself, processed folder, logs folder, and non-CSV files
+                            // Exclude folder itself, output folders, and files that are not source files
                             return obj.Key !== sourcePath &&
-                                !obj.Key.startsWith(processedPath) &&
-                                (!logsPath || !obj.Key.startsWith(logsPath)) &&
-                                obj.Key.endsWith('.csv');
+                                !excludedPaths.some(path => path && obj.Key.startsWith(path)) &&
+                                isSourceFile(obj.Key);
                         })
-                        .map(obj => obj.Key.replace(sourcePath, ''));
+                        .map(obj => ({
+                            name: obj.Key.replace(sourcePath, ''),
+                            lastModified: obj.LastModified,
+                            size: obj.Size
+                        }));
 
                     allFiles.push(...files);
                 }
@@ -237,6 +253,41 @@ class S3Handler {
         }
     }
 
+    /**
+     * Move a file that exceeded its error threshold to the rejected folder
+     * (timestamp prefix, same as processed) so it is not picked up again
+     * @param {string} fileName - Name of the file to move
+     * @param {string} sourcePath - Source folder path
+     * @param {string} rejectedPath - Destination rejected folder path
+     * @returns {Promise<string>} New file key in rejected folder
+     */
+    async moveToRejected(fileName, sourcePath, rejectedPath) {
+        try {
+            const sourceKey = sourcePath + fileName;
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const destKey = rejectedPath + `${timestamp}_${fileName}`;
+
+            await this.client.send(new CopyObjectCommand({
+                Bucket: this.bucket,
+                CopySource: `${this.bucket}/${sourceKey}`,
+                Key: destKey
+            }));
+            await this.client.send(new DeleteObjectCommand({
+                Bucket: this.bucket,
+                Key: sourceKey
+            }));
+            logger.info('S3Handler: File moved to rejected', { sourceKey, destKey });
+
+            return destKey;
+        } catch (error) {
+            logger.error('S3Handler: Error moving file to rejected', {
+                fileName,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
     /**
      * Upload a local log/report file to S3
      * @param {string} localFilePath - Path to local file
@@ -246,7 +297,7 @@ class S3Handler {
      */
     async uploadLogFile(localFilePath, fileName, logsPath) {
         try {
-            const fileContent = await fs.readFile(localFilePath);
+            const { size } = await fs.stat(localFilePath);
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const baseName = fileName.replace(/\.csv$/i, '');
             const s3Key = `${logsPath}${baseName}_log_${timestamp}.csv`;
@@ -254,7 +305,9 @@ class S3Handler {
             const command = new PutObjectCommand({
                 Bucket: this.bucket,
                 Key: s3Key,
-                Body: fileContent,
+                // Stream from disk so large outputs are never held in memory
+                Body: createReadStream(localFilePath),
+                ContentLength: size,
                 ContentType: 'text/csv'
             });
 
@@ -284,14 +337,15 @@ class S3Handler {
      */
     async uploadProcessedFile(localFilePath, fileName, processedPath) {
         try {
-            const fileContent = await fs.readFile(localFilePath);
+            const { size } = await fs.stat(localFilePath);
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const s3Key = `${processedPath}${timestamp}_${fileName}`;
 
             const command = new PutObjectCommand({
                 Bucket: this.bucket,
                 Key: s3Key,
-                Body: fileContent,
+                Body: createReadStream(localFilePath),
+                ContentLength: size,
                 ContentType: 'text/csv'
             });
 
@@ -312,6 +366,44 @@ class S3Handler {
         }
     }
 
+    /**
+     * Upload quarantined rows (unknown references) to S3 for later replay
+     * @param {string} localFilePath - Path to local file
+     * @param {string} fileName - Base name for S3 file
+     * @param {string} quarantinePath - S3 folder path for quarantined rows
+     * @returns {Promise<string>} S3 key of uploaded file
+     */
+    async uploadQuarantineFile(localFilePath, fileName, quarantinePath) {
+        try {
+            const { size } = await fs.stat(localFilePath);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const s3Key = `${quarantinePath}${timestamp}_${fileName}`;
+
+            const command = new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: s3Key,
+                Body: createReadStream(localFilePath),
+                ContentLength: size,
+                ContentType: 'text/csv'
+            });
+
+            await this.client.send(command);
+            logger.info('S3Handler: Quarantine file uploaded', {
+                localPath: localFilePath,
+                s3Key,
+                bucket: this.bucket
+            });
+
+            return s3Key;
+        } catch (error) {
+            logger.error('S3Handler: Error uploading quarantine file', {
+                localFilePath,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
     /**
      * Delete a file from S3
      * @param {string} fileName - Name of the file to delete
@@ -341,16 +433,18 @@ class S3Handler {
     /**
      * Build S3 paths for a pipeline from environment variable
      * @param {string} basePath - Base path from environment variable
-     * @returns {{ sourcePath: string|null, processedPath: string|null, logsPath: string|null }}
+     * @returns {{ sourcePath: string|null, processedPath: string|null, logsPath: string|null, quarantinePath: string|null, rejectedPath: string|null }}
      */
     static buildPipelinePaths(basePath) {
         if (!basePath) {
-            return { sourcePath: null, processedPath: null, logsPath: null };
+            return { sourcePath: null, processedPath: null, logsPath: null, quarantinePath: null, rejectedPath: null };
         }
         return {
             sourcePath: `${basePath}/`,
             processedPath: `${basePath}/processed/`,
-            logsPath: `${basePath}/logs/`
+            logsPath: `${basePath}/logs/`,
+            quarantinePath: `${basePath}/quarantine/`,
+            rejectedPath: `${basePath}/rejected/`
         };
     }
 }
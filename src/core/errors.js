@@ -0,0 +1,85 @@
+/**
+ * Core Errors
+ * ===========
+ * Error types raised during a run that callers handle specially.
+ */
+
+/**
+ * Raised when a file has more failed rows than the pipeline's error threshold allows.
+ * The load transaction has already been rolled back when this is thrown.
+ */
+class ErrorThresholdError extends Error {
+    /**
+     * @param {string} message - Which limit was exceeded
+     * @param {Object} details
+     * @param {number} details.rowCount - Rows read before aborting
+     * @param {number} details.errorCount - Failed rows before aborting
+     * @param {number|null} details.maxErrorCount - Configured count limit
+     * @param {number|null} details.maxErrorRatio - Configured ratio limit
+     */
+    constructor(message, { rowCount, errorCount, maxErrorCount, maxErrorRatio }) {
+        super(message);
+        this.name = 'ErrorThresholdError';
+        this.rowCount = rowCount;
+        this.errorCount = errorCount;
+        this.maxErrorCount = maxErrorCount;
+        this.maxErrorRatio = maxErrorRatio;
+    }
+}
+
+/**
+ * Raised when a pipeline's load definition does not match its target table.
+ * Thrown before any file is read.
+ */
+class SchemaMismatchError extends Error {
+    /**
+     * @param {string} message - Readable diff of every failing pipeline
+     * @param {Object[]} reports - SchemaChecker reports with errors
+     */
+    constructor(message, reports) {
+        super(message);
+        this.name = 'SchemaMismatchError';
+        this.reports = reports;
+    }
+}
+
+/**
+ * Raised when a file's header row is missing columns the pipeline expects
+ * and the pipeline's header policy is 'reject'. Thrown before any row is loaded.
+ */
+class HeaderContractError extends Error {
+    /**
+     * @param {string} message - Summary of the header drift
+     * @param {Object} headerReport - Report from utils/headers checkHeaders()
+     */
+    constructor(message, headerReport) {
+        super(message);
+        this.name = 'HeaderContractError';
+        this.headerReport = headerReport;
+        this.rowCount = 0;
+        this.errorCount = 0;
+    }
+}
+
+/**
+ * Raised when pipeline dependencies (dependsOn) name an unknown pipeline or
+ * form a cycle. Thrown before any pipeline runs.
+ */
+class PipelineDependencyError extends Error {
+    /**
+     * @param {string} message - Unknown dependency or the cycle found
+     * @param {string[]} pipelines - Pipelines involved
+     */
+    constructor(message, pipelines) {
+        super(message);
+        this.name = 'PipelineDependencyError';
+        this.pipelines = pipelines;
+    }
+}
+
+module.exports = {
+    ErrorThresholdError,
+    SchemaMismatchError,
+    HeaderContractError,
+    PipelineDependencyError
+};
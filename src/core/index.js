@@ -7,9 +7,14 @@
 const BasePipeline = require('./BasePipeline');
 const S3Handler = require('./S3Handler');
 const DatabaseConnection = require('./DatabaseConnection');
+const { ErrorThresholdError, SchemaMismatchError, HeaderContractError, PipelineDependencyError } = require('./errors');
 
 module.exports = {
     BasePipeline,
     S3Handler,
-    DatabaseConnection
+    DatabaseConnection,
+    ErrorThresholdError,
+    SchemaMismatchError,
+    HeaderContractError,
+    PipelineDependencyError
 };
@@ -0,0 +1,77 @@
+/**
+ * File Watermark Store
+ * ====================
+ * Remembers, per pipeline, the order key of the newest file loaded so far
+ * (etl_file_watermarks), so a file older than it can be refused instead of
+ * overwriting newer upserted values. Only used when REJECT_OUT_OF_ORDER_FILES
+ * is on; order keys come from utils/fileOrder.
+ *
+ * The watermark only moves forward: advancing with an older key leaves it
+ * unchanged.
+ * A watermark recorded under a different strategy is ignored and replaced,
+ * since keys of different strategies cannot be compared.
+ *
+ * Usage:
+ * const store = new FileWatermarkStore(dbConnection);
+ * const watermark = await store.get('dental-groups', 'fileNameTimestamp');
+ * if (watermark && orderKey < watermark.orderKey) { ... refuse ... }
+ * await store.advance('dental-groups', { strategy, orderKey, fileName, runId });
+ */
+
+class FileWatermarkStore {
+    static tableName = 'etl_file_watermarks';
+
+    // Columns the table must have (see PROJECT_DOCUMENTATION_ETL.md for the DDL)
+    static columns = ['pipeline', 'strategy', 'order_key', 'file_name', 'etl_run_id', 'loaded_at'];
+
+    /**
+     * @param {DatabaseConnection} dbConnection - Database connection
+     */
+    constructor(dbConnection) {
+        this.dbConnection = dbConnection;
+        this.tableName = FileWatermarkStore.tableName;
+    }
+
+    /**
+     * Newest file loaded for a pipeline under a strategy
+     * @param {string} pipelineName - Registered pipeline name
+     * @param {string} strategy - Current file order strategy
+     * @returns {Promise<{ orderKey: number, fileName: string, loadedAt: Date }|null>} null when none (or another strategy)
+     */
+    async get(pipelineName, strategy) {
+        const result = await this.dbConnection.query(
+            `SELECT order_key, file_name, loaded_at FROM ${this.tableName} WHERE pipeline = $1 AND strategy = $2`,
+            [pipelineName, strategy]
+        );
+        if (result.rows.length === 0) return null;
+        const [row] = result.rows;
+        return { orderKey: Number(row.order_key), fileName: row.file_name, loadedAt: row.loaded_at };
+    }
+
+    /**
+     * Record a loaded file, moving the watermark forward only
+     * @param {string} pipelineName - Registered pipeline name
+     * @param {Object} file
+     * @param {string} file.strategy - File order strategy the key was computed with
+     * @param {number} file.orderKey - Numeric order key of the file
+     * @param {string} file.fileName - Source file name
+     * @param {string} [file.runId] - ETL run id
+     * @returns {Promise<void>}
+     */
+    async advance(pipelineName, { strategy, orderKey, fileName, runId = null }) {
+        await this.dbConnection.query(`
+            INSERT INTO ${this.tableName} (pipeline, strategy, order_key, file_name, etl_run_id, loaded_at)
+            VALUES ($1, $2, $3, $4, $5, NOW())
+            ON CONFLICT (pipeline) DO UPDATE SET
+                strategy = EXCLUDED.strategy,
+                order_key = EXCLUDED.order_key,
+                file_name = EXCLUDED.file_name,
+                etl_run_id = EXCLUDED.etl_run_id,
+                loaded_at = EXCLUDED.loaded_at
+            WHERE ${this.tableName}.strategy <> EXCLUDED.strategy
+               OR ${this.tableName}.order_key <= EXCLUDED.order_key
+        `, [pipelineName, strategy, orderKey, fileName, runId]);
+    }
+}
+
+module.exports = FileWatermarkStore;
@@ -16,11 +16,27 @@
  * await orchestrator.processAllPipelines();
  */
 
-const fs = require('fs/promises');
 const path = require('path');
+const { randomUUID } = require('crypto');
 const logger = require('../utils/logger');
 const { getPipelineLogger } = require('../utils/logger');
-const { S3Handler } = require('../core');
+const { CsvFileWriter } = require('../utils/csvWriter');
+const { S3Handler, ErrorThresholdError, HeaderContractError } = require('../core');
+const { describeHeaderDrift } = require('../utils/headers');
+const { addErrorCategories } = require('../utils/errorCategories');
+const { openSourceEntries, outputFileName } = require('../utils/sourceFiles');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { orderFiles, describeOrderKey } = require('../utils/fileOrder');
+const SchemaChecker = require('./SchemaChecker');
+const RejectedRowStore = require('./RejectedRowStore');
+const PipelineGraph = require('./PipelineGraph');
+const FileWatermarkStore = require('./FileWatermarkStore');
+
+// Columns appended to the source columns in the log CSV
+const LOG_COLUMNS = [
+    'etl_status', 'etl_action', 'etl_reason', 'etl_error_category', 'etl_error_column',
+    'missingFields', 'etl_rejections', 'etl_warnings', 'etl_header_drift'
+];
 
 class Orchestrator {
     /**
@@ -35,6 +51,12 @@ class Orchestrator {
         this.dbConnection = dbConnection;
         this.pipelines = pipelines;
         this.config = config;
+        this.schemaChecker = new SchemaChecker(dbConnection, pipelines, config.processing);
+        this.schemaCheckedPipelines = new Set();
+        this.rejectedRows = new RejectedRowStore(dbConnection, pipelines, config.processing);
+        this.fileWatermarks = new FileWatermarkStore(dbConnection);
+        // Written to etl_run_id by pipelines with provenance columns
+        this.runId = randomUUID();
     }
 
     /**
@@ -49,7 +71,7 @@ class Orchestrator {
     /**
      * Get S3 paths for a pipeline from environment
      * @param {string} envKey - Environment variable key
-     * @returns {{ sourcePath: string, processedPath: string, logsPath: string }}
+     * @returns {{ sourcePath: string, processedPath: string, logsPath: string, quarantinePath: string, rejectedPath: string }}
      */
     getPipelinePaths(envKey) {
         try {
@@ -65,57 +87,46 @@ class Orchestrator {
     }
 
     /**
-     * Convert array of objects to CSV string
-     * @param {Object[]} data - Array of objects to convert
-     * @returns {string} CSV formatted string
+     * Compare pipelines with their target tables before any of their files
+     * are touched; each pipeline is checked once per process.
+     * Skipped when SCHEMA_CHECK=false.
+     * @param {string[]} pipelineNames - Pipelines about to run
+     * @throws {SchemaMismatchError} When a pipeline does not match its table
      */
-    objectToCSV(data) {
-        try {
-            if (!data || !data.length) return '';
+    async ensureSchema(pipelineNames) {
+        if (this.config.processing && this.config.processing.schemaCheck === false) return;
 
-            const headers = Object.keys(data[0]).join(',');
-            const rows = data.map(row =>
-                Object.values(row)
-                    .map(v => `"${String(v ?? '').replace(/\r?\n/g, ' ').replace(/"/g, '""')}"`)
-                    .join(',')
-            );
+        const pending = pipelineNames.filter(name => !this.schemaCheckedPipelines.has(name));
+        if (pending.length === 0) return;
 
-            return [headers, ...rows].join('\n');
-        } catch (error) {
-            logger.error('Error converting data to CSV');
-            throw error;
-        }
+        await this.schemaChecker.assertPipelines(pending);
+        pending.forEach(name => this.schemaCheckedPipelines.add(name));
     }
 
     /**
-     * Create CSV file with error remarks
+     * Get local path for a processed/log output file
+     * Each pipeline has its own folder, so pipelines running at the same time
+     * never write to the same file.
+     * @param {string} pipelineName - Name of the pipeline
      * @param {string} fileName - Name of the file
-     * @param {string} csvContent - CSV content to write
-     * @returns {Promise<string>} Path to created file
+     * @returns {string} Local file path under ./logs/<pipeline>
      */
-    async createRemarkCSV(fileName, csvContent) {
-        try {
-            const logDir = './logs';
-            await fs.mkdir(logDir, { recursive: true });
-
-            const remarkFilePath = path.join(logDir, fileName);
-            await fs.writeFile(remarkFilePath, csvContent);
-
-            logger.info('Remark CSV created successfully', { remarkFilePath });
-            return remarkFilePath;
-        } catch (error) {
-            logger.error('Error creating remark CSV');
-            throw error;
-        }
+    getLocalOutputPath(pipelineName, fileName) {
+        return path.join('./logs', pipelineName, fileName);
     }
 
     /**
      * Process a single file through a pipeline
+     * With options.dryRun the file is loaded in a transaction that is always
+     * rolled back and nothing is written to S3 (the log CSV stays in ./logs)
      * @param {string} pipelineName - Name of the pipeline
-     * @param {string} fileName - CSV file name
+     * @param {string} fileName - Source file name (.csv, .csv.gz or .zip)
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Preview only: roll back, skip uploads/deletes
      * @returns {Promise<Object>} Processing results
      */
-    async processFile(pipelineName, fileName) {
+    async processFile(pipelineName, fileName, options = {}) {
+        const { dryRun = false } = options;
         const startTime = Date.now();
         const pipelineLogger = this.getLogger(pipelineName);
 
@@ -150,13 +161,17 @@ class Orchestrator {
         pipelineLogger.info(`Starting ${pipelineName} file processing`, {
             pipeline: pipelineName,
             fileName,
-            startTime: new Date().toISOString()
+            runId: this.runId,
+            startTime: new Date().toISOString(),
+            dryRun
         });
 
         try {
             // ==================== ENSURE FOLDERS EXIST ====================
-            pipelineLogger.info('Ensuring S3 folders exist');
-            await this.s3Handler.ensureFolderExists(paths.sourcePath);
+            if (!dryRun) {
+                pipelineLogger.info('Ensuring S3 folders exist');
+                await this.s3Handler.ensureFolderExists(paths.sourcePath);
+            }
 
             // ==================== STEP 1: CHECK FILE EXISTS ====================
             pipelineLogger.info('Step 1: Checking if file exists in S3', { fileName });
@@ -167,14 +182,25 @@ class Orchestrator {
             }
 
             // ==================== STEP 2: RETRIEVE FILE FROM S3 ====================
+            // .csv.gz and .zip files are decompressed as they are read; outputs are plain CSVs
             pipelineLogger.info('Step 2: Retrieving file from S3', { fileName });
             const stream = await this.s3Handler.getFile(fileName, paths.sourcePath);
+            const entries = openSourceEntries(stream, fileName, this.getLocalOutputPath(pipelineName, `source_${fileName}`));
+            const outputName = outputFileName(fileName);
+            // Local files keep the source extension when it differs (labs.zip -> labs.zip.csv),
+            // so labs.csv.gz and labs.zip loading side by side never share a file
+            const localName = outputName === fileName ? fileName : `${fileName}.csv`;
 
             // ==================== STEP 3: CREATE PIPELINE INSTANCE ====================
             pipelineLogger.info('Step 3: Creating pipeline instance');
             const pipelineConfig = {
                 ...this.config.processing,
-                sourcePath: paths.sourcePath
+                sourcePath: paths.sourcePath,
+                runId: this.runId,
+                dryRun,
+                rejectSink: this.config.processing && this.config.processing.storeRejectedRows
+                    ? this.rejectedRows.createSink(pipelineName, paths.sourcePath, this.runId)
+                    : null
             };
             const pipeline = new PipelineClass(
                 this.dbConnection.getPool(),
@@ -182,13 +208,108 @@ class Orchestrator {
                 pipelineConfig
             );
 
-            // ==================== STEP 4: PARSE CSV ====================
-            pipelineLogger.info('Step 4: Parsing CSV file', { fileName });
-            const rows = await pipeline.parseCSV(stream);
-            pipelineLogger.info('Step 4 completed: CSV parsed successfully', { rowCount: rows.length });
+            // ==================== STEP 4: OPEN OUTPUT FILES ====================
+            // Rows are streamed from S3 through the pipeline and straight into
+            // these local files, so no step holds the whole file in memory
+            pipelineLogger.info('Step 4: Opening processed, quarantine and log output files', { fileName });
+            const validWriter = new CsvFileWriter(this.getLocalOutputPath(pipelineName, `valid_${localName}`));
+            const quarantineWriter = new CsvFileWriter(this.getLocalOutputPath(pipelineName, `quarantine_${localName}`));
+            const logWriter = new CsvFileWriter(this.getLocalOutputPath(pipelineName, `log_${localName}`));
+
+            // ==================== STEP 5: STREAM, PROCESS AND WRITE ROWS ====================
+            pipelineLogger.info('Step 5: Streaming rows into database', { fileName });
+            let processResult;
+            let rejectionError = null;
+            let headerDrift = '';
+            const sourceFormats = [];
+            try {
+                processResult = await pipeline.processRows(pipeline.createSourceRowStream(entries, sourceFormats), fileName, {
+                    onHeader: (headerReport, headers) => {
+                        headerDrift = describeHeaderDrift(headerReport);
+                        validWriter.setColumns(headers);
+                        quarantineWriter.setColumns(headers);
+                        logWriter.setColumns([...headers, ...LOG_COLUMNS]);
+                    },
+                    onValidRow: async (row, { warnings, action }) => {
+                        await validWriter.write(row);
+                        await logWriter.write({
+                            ...row,
+                            etl_status: warnings.length > 0 ? 'warning' : 'success',
+                            etl_action: action || '',
+                            etl_reason: '',
+                            etl_error_category: '',
+                            etl_error_column: '',
+                            missingFields: '',
+                            etl_rejections: '',
+                            etl_warnings: warnings.join('; '),
+                            etl_header_drift: headerDrift
+                        });
+                    },
+                    onErrorRow: async (errorRow) => {
+                        const {
+                            reason, errorCategory, errorColumn, missingFields, rejections, warnings, quarantined, ...rest
+                        } = errorRow;
+                        if (quarantined) {
+                            // Original columns only, so the file can be dropped back into the source folder
+                            await quarantineWriter.write(rest);
+                        }
+                        await logWriter.write({
+                            ...rest,
+                            etl_status: quarantined ? 'quarantined' : 'error',
+                            etl_action: '',
+                            etl_reason: reason || '',
+                            etl_error_category: errorCategory || '',
+                            etl_error_column: errorColumn || '',
+                            missingFields: Array.isArray(missingFields) ? missingFields.join(', ') : (missingFields || ''),
+                            etl_rejections: (rejections || []).join('; '),
+                            etl_warnings: (warnings || []).join('; '),
+                            etl_header_drift: headerDrift
+                        });
+                    }
+                });
+            } catch (error) {
+                // Header contract broken or too many failed rows: nothing was
+                // loaded, reject the whole file below
+                if (!(error instanceof ErrorThresholdError || error instanceof HeaderContractError)) throw error;
+                rejectionError = error;
+                if (error instanceof HeaderContractError) {
+                    await this.writeHeaderIssues(logWriter, error.headerReport);
+                }
+            } finally {
+                await Promise.all([validWriter.close(), quarantineWriter.close(), logWriter.close()]);
+            }
+            if (logWriter.unknownColumns.size > 0) {
+                pipelineLogger.warn('Rows had columns missing from the header row; not written to the output CSVs', {
+                    fileName,
+                    columns: [...logWriter.unknownColumns]
+                });
+            }
+            if (rejectionError && dryRun) {
+                pipelineLogger.warn('Dry run: file would be rejected', { reason: rejectionError.message });
+                return {
+                    success: false,
+                    dryRun: true,
+                    rejected: true,
+                    reason: rejectionError.message,
+                    rowCount: rejectionError.rowCount,
+                    errorCount: rejectionError.errorCount,
+                    headerDrift,
+                    sourceFormats,
+                    localLogPath: logWriter.filePath,
+                    duration: Date.now() - startTime
+                };
+            }
+            if (rejectionError) {
+                const result = await this.rejectFile(fileName, paths, logWriter.filePath, rejectionError, pipelineLogger, startTime);
+                return { ...result, headerDrift, sourceFormats };
+            }
+            const {
+                rowCount, successCount, errorCount, warningCount, quarantinedCount,
+                insertedCount, updatedCount, unchangedCount, errorCategories, missingFieldErrors, headerReport, snapshot, history
+            } = processResult;
 
             // Check for empty file
-            if (rows.length === 0) {
+            if (rowCount === 0) {
                 pipelineLogger.warn('CSV file is empty, skipping processing');
                 return {
                     success: true,
@@ -196,15 +317,15 @@ class Orchestrator {
                     successCount: 0,
                     errorCount: 0,
                     missingFieldErrors: [],
+                    sourceFormats,
                     skipped: true
                 };
             }
 
-            // ==================== STEP 5: PROCESS ROWS ====================
-            pipelineLogger.info('Step 5: Processing rows and inserting into database', { rowCount: rows.length });
-            const processResult = await pipeline.processRows(rows, fileName);
-            const { successCount, errorCount, missingFieldErrors, validRows, errorRows } = processResult;
-            pipelineLogger.info('Step 5 completed: Rows processed successfully', { successCount, errorCount });
+            pipelineLogger.info('Step 5 completed: Rows processed successfully', {
+                rowCount, successCount, insertedCount, updatedCount, unchangedCount, errorCount, warningCount, quarantinedCount,
+                errorCategories
+            });
 
             pipelineLogger.info(`${pipelineName} table populated`, {
                 successCount,
@@ -214,13 +335,46 @@ class Orchestrator {
 
             const duration = Date.now() - startTime;
 
+            // ==================== DRY RUN: STOP BEFORE TOUCHING S3 ====================
+            if (dryRun) {
+                pipelineLogger.info('Dry run completed: nothing committed, S3 left untouched', {
+                    fileName,
+                    wouldInsert: insertedCount,
+                    wouldUpdate: updatedCount,
+                    wouldSkip: unchangedCount,
+                    wouldDelete: snapshot ? snapshot.deletedCount : 0,
+                    wouldFail: errorCount,
+                    localLogPath: logWriter.filePath
+                });
+                pipelineLogger.info('='.repeat(80));
+                return {
+                    success: true,
+                    dryRun: true,
+                    rowCount,
+                    wouldInsert: insertedCount,
+                    wouldUpdate: updatedCount,
+                    wouldSkip: unchangedCount,
+                    wouldDelete: snapshot ? snapshot.deletedCount : 0,
+                    wouldFail: errorCount,
+                    errorCategories,
+                    warningCount,
+                    snapshot,
+                    history,
+                    quarantinedCount,
+                    headerDrift,
+                    headerReport,
+                    sourceFormats,
+                    missingFieldErrors,
+                    localLogPath: logWriter.filePath,
+                    duration
+                };
+            }
+
             // ==================== STEP 6: UPLOAD VALID ROWS TO PROCESSED ====================
-            if (validRows.length > 0) {
-                pipelineLogger.info('Step 6: Uploading valid rows to processed folder', { validRowCount: validRows.length });
+            if (successCount > 0) {
+                pipelineLogger.info('Step 6: Uploading valid rows to processed folder', { validRowCount: successCount });
                 try {
-                    const validCsvContent = this.objectToCSV(validRows);
-                    const validFilePath = await this.createRemarkCSV(`valid_${fileName}`, validCsvContent);
-                    await this.s3Handler.uploadProcessedFile(validFilePath, fileName, paths.processedPath);
+                    await this.s3Handler.uploadProcessedFile(validWriter.filePath, outputName, paths.processedPath);
                     pipelineLogger.info('Step 6 completed: Valid rows uploaded to processed folder');
                 } catch (error) {
                     pipelineLogger.error('Error uploading valid rows to processed folder');
@@ -229,43 +383,33 @@ class Orchestrator {
                 pipelineLogger.info('Step 6: Skipped - No valid rows to upload');
             }
 
-            // ==================== STEP 7: UPLOAD LOG FILE (all rows with status) ====================
-            pipelineLogger.info('Step 7: Uploading log file to S3', { totalRows: rows.length, successCount, errorCount });
-            try {
-                // Add etl_status to valid rows
-                const validRowsWithStatus = validRows.map(row => ({
-                    ...row,
-                    etl_status: 'success',
-                    etl_reason: '',
-                    missingFields: ''
-                }));
-
-                // Error rows already have reason, rename and add etl_status
-                const errorRowsWithStatus = errorRows.map(row => {
-                    const { reason, missingFields, ...rest } = row;
-                    return {
-                        ...rest,
-                        etl_status: 'error',
-                        etl_reason: reason || '',
-                        missingFields: Array.isArray(missingFields) ? missingFields.join(', ') : (missingFields || '')
-                    };
-                });
+            // ==================== STEP 7: UPLOAD QUARANTINED ROWS ====================
+            if (quarantinedCount > 0) {
+                pipelineLogger.info('Step 7: Uploading quarantined rows', { quarantinedCount });
+                try {
+                    const s3QuarantineKey = await this.s3Handler.uploadQuarantineFile(quarantineWriter.filePath, outputName, paths.quarantinePath);
+                    pipelineLogger.info('Step 7 completed: Quarantined rows uploaded', { s3QuarantineKey });
+                } catch (error) {
+                    pipelineLogger.error('Error uploading quarantined rows');
+                }
+            } else {
+                pipelineLogger.info('Step 7: Skipped - No quarantined rows');
+            }
 
-                // Combine all rows
-                const allRows = [...validRowsWithStatus, ...errorRowsWithStatus];
-                const logCsvContent = this.objectToCSV(allRows);
-                const logFilePath = await this.createRemarkCSV(`log_${fileName}`, logCsvContent);
-                const s3LogKey = await this.s3Handler.uploadLogFile(logFilePath, fileName, paths.logsPath);
-                pipelineLogger.info('Step 7 completed: Log file uploaded successfully', { s3LogKey });
+            // ==================== STEP 8: UPLOAD LOG FILE (all rows with status) ====================
+            pipelineLogger.info('Step 8: Uploading log file to S3', { totalRows: rowCount, successCount, errorCount });
+            try {
+                const s3LogKey = await this.s3Handler.uploadLogFile(logWriter.filePath, outputName, paths.logsPath);
+                pipelineLogger.info('Step 8 completed: Log file uploaded successfully', { s3LogKey });
             } catch (error) {
                 pipelineLogger.error('Error uploading log file to S3');
             }
 
-            // ==================== STEP 8: DELETE ORIGINAL FILE FROM SOURCE ====================
-            pipelineLogger.info('Step 8: Deleting original file from source folder');
+            // ==================== STEP 9: DELETE ORIGINAL FILE FROM SOURCE ====================
+            pipelineLogger.info('Step 9: Deleting original file from source folder');
             try {
                 await this.s3Handler.deleteFile(fileName, paths.sourcePath);
-                pipelineLogger.info('Step 8 completed: Original file deleted from source');
+                pipelineLogger.info('Step 9 completed: Original file deleted from source');
             } catch (error) {
                 pipelineLogger.error('Error deleting original file from source');
             }
@@ -273,19 +417,39 @@ class Orchestrator {
             // ==================== PROCESSING COMPLETE ====================
             pipelineLogger.info('File processing completed successfully', {
                 fileName,
-                totalRows: rows.length,
+                totalRows: rowCount,
                 validRows: successCount,
+                insertedRows: insertedCount,
+                updatedRows: updatedCount,
+                unchangedRows: unchangedCount,
                 invalidRows: errorCount,
+                errorCategories,
+                sourceFormats,
+                quarantinedRows: quarantinedCount,
+                softDeletedRows: snapshot ? snapshot.deletedCount : undefined,
+                historyVersionsOpened: history ? history.openedCount : undefined,
                 duration: `${duration}ms`
             });
             pipelineLogger.info('='.repeat(80));
 
             return {
                 success: true,
-                rowCount: rows.length,
+                runId: this.runId,
+                rowCount,
                 successCount,
+                insertedCount,
+                updatedCount,
+                unchangedCount,
                 errorCount,
+                errorCategories,
+                warningCount,
+                quarantinedCount,
                 skippedCount: errorCount,
+                snapshot,
+                history,
+                headerDrift,
+                headerReport,
+                sourceFormats,
                 missingFieldErrors,
                 duration,
                 processedAt: new Date().toISOString()
@@ -303,12 +467,177 @@ class Orchestrator {
         }
     }
 
+    /**
+     * Write one log CSV row per header problem for a file rejected by its
+     * header contract (no data rows were read, so the log would otherwise be empty)
+     * @param {CsvFileWriter} logWriter - Log CSV writer for the file
+     * @param {Object} headerReport - Report from utils/headers checkHeaders()
+     */
+    async writeHeaderIssues(logWriter, headerReport) {
+        const issues = [
+            ...headerReport.missing.map(header => ({ issue: 'missing', header, detail: '' })),
+            ...headerReport.unexpected.map(header => ({ issue: 'unexpected', header, detail: '' })),
+            ...headerReport.renamed.map(r => ({ issue: 'renamed', header: r.from, detail: `read as ${r.to}` })),
+            ...headerReport.possibleRenames.map(r => ({ issue: 'possibly renamed', header: r.from, detail: `expected ${r.to}?` }))
+        ];
+        if (logWriter.rowCount === 0) {
+            logWriter.setColumns(['etl_status', 'etl_header_issue', 'etl_header', 'etl_reason']);
+        }
+        for (const { issue, header, detail } of issues) {
+            // Once data rows are in the log its columns are fixed, so the
+            // issue is spelled out in etl_reason instead
+            await logWriter.write({
+                etl_status: 'rejected',
+                etl_header_issue: issue,
+                etl_header: header,
+                etl_reason: logWriter.knownColumns.has('etl_header') ? detail : `${issue} header '${header}'${detail ? `: ${detail}` : ''}`
+            });
+        }
+    }
+
+    /**
+     * Handle a file that was rejected as a whole: its header broke the
+     * pipeline's header contract, or its failed rows exceeded the error threshold.
+     * Nothing was loaded (the transaction was rolled back); the log CSV is
+     * uploaded for diagnosis and the source file is moved to rejected/ so the
+     * next run does not pick it up again.
+     * @param {string} fileName - Name of the rejected file
+     * @param {Object} paths - Pipeline S3 paths
+     * @param {string} logFilePath - Local log CSV for the rows read before aborting
+     * @param {ErrorThresholdError|HeaderContractError} error - Rejection error from processRows
+     * @param {winston.Logger} pipelineLogger - Pipeline logger
+     * @param {number} startTime - Processing start timestamp
+     * @returns {Promise<Object>} Failed processing result
+     */
+    async rejectFile(fileName, paths, logFilePath, error, pipelineLogger, startTime) {
+        pipelineLogger.error('File rejected, nothing loaded', {
+            fileName,
+            reason: error.message,
+            rowCount: error.rowCount,
+            errorCount: error.errorCount
+        });
+
+        let s3LogKey = null;
+        try {
+            s3LogKey = await this.s3Handler.uploadLogFile(logFilePath, outputFileName(fileName), paths.logsPath);
+        } catch (uploadError) {
+            pipelineLogger.error('Error uploading log file for rejected file');
+        }
+
+        let rejectedKey = null;
+        try {
+            rejectedKey = await this.s3Handler.moveToRejected(fileName, paths.sourcePath, paths.rejectedPath);
+        } catch (moveError) {
+            pipelineLogger.error('Error moving rejected file, leaving it in source folder');
+        }
+
+        pipelineLogger.info('='.repeat(80));
+
+        return {
+            success: false,
+            rejected: true,
+            reason: error.message,
+            rowCount: error.rowCount,
+            successCount: 0,
+            errorCount: error.errorCount,
+            s3LogKey,
+            rejectedKey,
+            duration: Date.now() - startTime,
+            processedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Put a pipeline's waiting files in load order (see utils/fileOrder)
+     * Files the strategy cannot place stay in the source folder; with
+     * rejectOlder, files older than the last one loaded are moved to
+     * rejected/ (reported only in a dry run). Neither is loaded.
+     * @param {string} pipelineName - Name of the pipeline
+     * @param {Object[]} listed - From S3Handler.listFileObjects()
+     * @param {{ strategy: string, pattern: RegExp|string|null, rejectOlder: boolean }} fileOrder - Pipeline fileOrder settings
+     * @param {Object} paths - Pipeline S3 paths
+     * @param {Object} options - processPipeline options
+     * @param {winston.Logger} pipelineLogger
+     * @returns {Promise<{ ordered: { name: string, orderKey: number|string }[], unordered: Object[], notLoaded: Object[] }>}
+     *   Files to load, oldest first, results for the files left in the source
+     *   folder because they cannot be placed, and results for the files refused
+     */
+    async orderPendingFiles(pipelineName, listed, fileOrder, paths, options, pipelineLogger) {
+        const { strategy } = fileOrder;
+        const { ordered, unordered: unplaced } = orderFiles(listed, fileOrder);
+        const unordered = unplaced.map(file => {
+            const reason = `Cannot order file by ${strategy}: no ${strategy === 'sequence' ? 'sequence number' : 'timestamp'} in its name`;
+            pipelineLogger.warn('File left in source folder', { file, reason });
+            return { file, success: false, unordered: true, reason };
+        });
+        const notLoaded = [];
+
+        if (!fileOrder.rejectOlder || strategy === 'name' || ordered.length === 0) {
+            return { ordered, unordered, notLoaded };
+        }
+
+        const watermark = await this.fileWatermarks.get(pipelineName, strategy);
+        if (!watermark) {
+            return { ordered, unordered, notLoaded };
+        }
+
+        const current = [];
+        for (const file of ordered) {
+            if (file.orderKey >= watermark.orderKey) {
+                current.push(file);
+                continue;
+            }
+            const reason = `Out of order: ${file.name} (${describeOrderKey(file.orderKey, strategy)}) is older than ` +
+                `${watermark.fileName} (${describeOrderKey(watermark.orderKey, strategy)}), already loaded`;
+            pipelineLogger.error('File refused, nothing loaded', { file: file.name, reason });
+
+            let rejectedKey = null;
+            if (!options.dryRun) {
+                try {
+                    rejectedKey = await this.s3Handler.moveToRejected(file.name, paths.sourcePath, paths.rejectedPath);
+                } catch (moveError) {
+                    pipelineLogger.error('Error moving out-of-order file, leaving it in source folder');
+                }
+            }
+            notLoaded.push({ file: file.name, success: false, rejected: true, reason, rejectedKey });
+        }
+        return { ordered: current, unordered, notLoaded };
+    }
+
+    /**
+     * Move the pipeline's watermark to the newest file loaded before the
+     * first failed one, so the fixed file is not refused as out of order when
+     * it is dropped again.
+     * @param {string} pipelineName
+     * @param {string} strategy - File order strategy the keys were computed with
+     * @param {{ name: string, orderKey: number }[]} ordered - Files loaded this run, oldest first
+     * @param {Object[]} loaded - processFile() results, in the same order
+     * @param {winston.Logger} pipelineLogger
+     * @returns {Promise<void>}
+     */
+    async advanceFileWatermark(pipelineName, strategy, ordered, loaded, pipelineLogger) {
+        const firstFailure = loaded.findIndex(result => !result.success);
+        const newest = ordered[(firstFailure === -1 ? loaded.length : firstFailure) - 1];
+        if (!newest) return;
+
+        try {
+            await this.fileWatermarks.advance(pipelineName, {
+                strategy, orderKey: newest.orderKey, fileName: newest.name, runId: this.runId
+            });
+        } catch (error) {
+            // The files are loaded; only the out-of-order check misses them
+            pipelineLogger.error('Error recording file watermark', { file: newest.name, error: error.message });
+        }
+    }
+
     /**
      * Process all files for a specific pipeline
      * @param {string} pipelineName - Name of the pipeline
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Preview each file without committing or touching S3
      * @returns {Promise<Object>} Batch processing results
      */
-    async processPipeline(pipelineName) {
+    async processPipeline(pipelineName, options = {}) {
         const pipelineLogger = this.getLogger(pipelineName);
 
         // Get pipeline class
@@ -326,8 +655,9 @@ class Orchestrator {
 
         // Get S3 paths
         let paths;
+        let tempPipeline;
         try {
-            const tempPipeline = new PipelineClass(null, null, {});
+            tempPipeline = new PipelineClass(null, null, this.config.processing || {});
             paths = this.getPipelinePaths(tempPipeline.envKey);
         } catch (error) {
             pipelineLogger.error('Error getting S3 paths for pipeline');
@@ -336,66 +666,110 @@ class Orchestrator {
 
         if (!paths.sourcePath) {
             pipelineLogger.warn(`Pipeline ${pipelineName} not configured (missing env var)`);
-            return { processed: 0, successful: 0, failed: 0, results: [] };
+            return { processed: 0, successful: 0, failed: 0, errorCategories: {}, results: [] };
         }
 
         try {
-            await this.s3Handler.ensureFolderExists(paths.sourcePath);
+            await this.ensureSchema([pipelineName]);
         } catch (error) {
-            pipelineLogger.error('Error creating source folder in S3');
+            pipelineLogger.error('Schema check failed, no files processed', { error: error.message });
             throw error;
         }
 
+        if (!options.dryRun) {
+            try {
+                await this.s3Handler.ensureFolderExists(paths.sourcePath);
+            } catch (error) {
+                pipelineLogger.error('Error creating source folder in S3');
+                throw error;
+            }
+        }
+
         try {
             pipelineLogger.info(`Scanning for ${pipelineName} files in S3`, {
                 bucket: this.s3Handler.bucket,
                 path: paths.sourcePath
             });
 
-            let files;
+            let listed;
             try {
-                files = await this.s3Handler.listFiles(paths.sourcePath, paths.processedPath, paths.logsPath);
+                listed = await this.s3Handler.listFileObjects(paths.sourcePath, paths.processedPath, paths.logsPath, paths.quarantinePath, paths.rejectedPath);
             } catch (error) {
                 pipelineLogger.error('Error listing files in S3');
                 throw error;
             }
 
-            if (files.length === 0) {
+            if (listed.length === 0) {
                 pipelineLogger.info(`No ${pipelineName} files found to process`);
-                return { processed: 0, successful: 0, failed: 0, results: [] };
+                return { processed: 0, successful: 0, failed: 0, errorCategories: {}, results: [] };
             }
 
-            pipelineLogger.info(`Found ${files.length} ${pipelineName} CSV file(s) to process`, { files });
+            // Oldest first, so an older catch-up file never overwrites a newer one
+            const fileOrder = tempPipeline.fileOrder;
+            const { ordered, unordered, notLoaded } = await this.orderPendingFiles(pipelineName, listed, fileOrder, paths, options, pipelineLogger);
+            const files = ordered.map(file => file.name);
 
-            const results = [];
-            let successful = 0;
-            let failed = 0;
+            // Order-independent pipelines load several files at once, each
+            // through its own pipeline instance, connection and transaction
+            const fileConcurrency = tempPipeline.fileConcurrency;
+            pipelineLogger.info(`Found ${files.length} ${pipelineName} CSV file(s) to process`, {
+                files, fileConcurrency, fileOrder: fileOrder.strategy
+            });
 
-            for (const file of files) {
+            let successful = 0;
+            let failed = notLoaded.length;
+            let held = 0;
+            const errorCategories = {};
+
+            // Files are loaded in order, so after a failed file the newer ones
+            // wait in the source folder: loading them would let the fixed
+            // file, dropped again later, overwrite their newer values
+            const stopOnFailure = fileOrder.strategy !== 'name';
+            let firstFailed = null;
+
+            const loaded = await mapWithConcurrency(ordered, fileConcurrency, async ({ name: file }) => {
+                if (firstFailed) {
+                    held++;
+                    const reason = `Not loaded: older file ${firstFailed} failed`;
+                    pipelineLogger.warn('File left in source folder', { file, reason });
+                    return { file, success: false, held: true, reason };
+                }
+                let result;
                 try {
-                    const result = await this.processFile(pipelineName, file);
-                    results.push({ file, ...result });
+                    result = await this.processFile(pipelineName, file, options);
+                    addErrorCategories(errorCategories, result.errorCategories);
                     if (result.success) {
                         successful++;
                         pipelineLogger.info(`File processed successfully: ${file}`);
                     } else {
                         failed++;
-                        pipelineLogger.warn(`File processing returned failure: ${file}`);
+                        pipelineLogger.warn(`File processing returned failure: ${file}`, { reason: result.reason });
                     }
+                    result = { file, ...result };
                 } catch (error) {
                     pipelineLogger.error(`Error processing file: ${file}`);
-                    results.push({ file, success: false, error: error.message });
                     failed++;
+                    result = { file, success: false, error: error.message };
                 }
+                if (!result.success && stopOnFailure) firstFailed = firstFailed || file;
+                return result;
+            });
+            const results = [...unordered, ...notLoaded, ...loaded];
+
+            if (fileOrder.rejectOlder && fileOrder.strategy !== 'name' && !options.dryRun) {
+                await this.advanceFileWatermark(pipelineName, fileOrder.strategy, ordered, loaded, pipelineLogger);
             }
 
             pipelineLogger.info(`${pipelineName} pipeline completed`, {
-                total: files.length,
+                total: listed.length,
                 successful,
-                failed
+                failed,
+                unordered: unordered.length,
+                held,
+                errorCategories
             });
 
-            return { processed: files.length, successful, failed, results };
+            return { processed: listed.length, successful, failed, unordered: unordered.length, held, errorCategories, results };
 
         } catch (error) {
             pipelineLogger.error(`Error processing ${pipelineName} pipeline`);
@@ -403,50 +777,84 @@ class Orchestrator {
         }
     }
 
+    /**
+     * Dependency graph of all registered pipelines (see PipelineGraph)
+     * @returns {PipelineGraph}
+     * @throws {PipelineDependencyError} On an unknown dependency or a cycle
+     */
+    getPipelineGraph() {
+        return new PipelineGraph(this.pipelines, this.getAvailablePipelines());
+    }
+
     /**
      * Process all files from all registered pipelines
+     * Pipelines run in dependency order (static dependsOn), up to
+     * PIPELINE_CONCURRENCY at a time. A pipeline that throws, or whose files
+     * all failed, counts as failed and every pipeline downstream of it is
+     * skipped; one rejected file among loaded ones does not hold them back.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Preview each file without committing or touching S3
      * @returns {Promise<Object>} Combined results from all pipelines
      */
-    async processAllPipelines() {
+    async processAllPipelines(options = {}) {
         const allResults = {};
         let totalProcessed = 0;
         let totalSuccessful = 0;
         let totalFailed = 0;
+        let totalUnordered = 0;
+        let totalHeld = 0;
+        const errorCategories = {};
+        const concurrency = (this.config.processing && this.config.processing.pipelineConcurrency) || 1;
 
-        // Get all pipeline names (excluding utility functions)
-        let pipelineNames;
+        // Fail fast on unknown dependencies and cycles
+        let graph;
         try {
-            pipelineNames = Object.keys(this.pipelines).filter(
-                key => typeof this.pipelines[key] === 'function' &&
-                    this.pipelines[key].pipelineName
-            );
+            graph = this.getPipelineGraph();
         } catch (error) {
-            logger.error('Error getting pipeline names');
+            logger.error('Invalid pipeline dependencies', { error: error.message });
             throw error;
         }
+        const pipelineNames = graph.stages.flat();
 
         logger.info('Processing all pipelines', {
             pipelines: pipelineNames,
-            count: pipelineNames.length
+            count: pipelineNames.length,
+            stages: graph.stages,
+            concurrency
         });
 
-        for (const pipelineName of pipelineNames) {
+        // Fail fast: check every configured pipeline before any file is touched
+        const configuredPipelines = pipelineNames.filter(name =>
+            process.env[new this.pipelines[name](null, null, {}).envKey]
+        );
+        await this.ensureSchema(configuredPipelines);
+
+        const outcomes = await graph.run(async (pipelineName) => {
             const pipelineLogger = this.getLogger(pipelineName);
 
             try {
                 pipelineLogger.info(`Starting pipeline: ${pipelineName}`);
 
-                const result = await this.processPipeline(pipelineName);
+                const result = await this.processPipeline(pipelineName, options);
                 allResults[pipelineName] = result;
                 totalProcessed += result.processed;
                 totalSuccessful += result.successful;
                 totalFailed += result.failed;
+                totalUnordered += result.unordered || 0;
+                totalHeld += result.held || 0;
+                addErrorCategories(errorCategories, result.errorCategories);
 
                 pipelineLogger.info(`Pipeline completed: ${pipelineName}`, {
                     processed: result.processed,
                     successful: result.successful,
-                    failed: result.failed
+                    failed: result.failed,
+                    unordered: result.unordered || 0,
+                    held: result.held || 0
                 });
+                // Rows of a rejected file that dependents need are caught by
+                // their references check, so only a pipeline that loaded
+                // nothing blocks them
+                return result.failed === 0 || result.successful > 0;
 
             } catch (error) {
                 pipelineLogger.error(`Pipeline failed: ${pipelineName}`);
@@ -456,13 +864,32 @@ class Orchestrator {
                     failed: 0,
                     error: error.message
                 };
+                return false;
             }
+        }, { concurrency });
+
+        for (const [pipelineName, outcome] of outcomes) {
+            if (outcome.status !== 'skipped') continue;
+            const reason = `Skipped: upstream pipeline ${outcome.blockedBy} did not complete`;
+            this.getLogger(pipelineName).warn(reason, { blockedBy: outcome.blockedBy });
+            allResults[pipelineName] = {
+                processed: 0,
+                successful: 0,
+                failed: 0,
+                skipped: true,
+                blockedBy: outcome.blockedBy,
+                reason
+            };
         }
 
         logger.info('All pipelines processed', {
             totalFiles: totalProcessed,
             successful: totalSuccessful,
             failed: totalFailed,
+            unordered: totalUnordered,
+            held: totalHeld,
+            errorCategories,
+            skippedPipelines: [...outcomes].filter(([, outcome]) => outcome.status === 'skipped').map(([name]) => name),
             pipelineCount: pipelineNames.length
         });
 
@@ -470,7 +897,11 @@ class Orchestrator {
             processed: totalProcessed,
             successful: totalSuccessful,
             failed: totalFailed,
-            pipelines: allResults
+            unordered: totalUnordered,
+            held: totalHeld,
+            errorCategories,
+            // Keyed in execution order
+            pipelines: Object.fromEntries(pipelineNames.map(name => [name, allResults[name]]))
         };
     }
 
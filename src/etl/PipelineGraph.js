@@ -0,0 +1,185 @@
+/**
+ * Pipeline Graph
+ * ==============
+ * Orders pipelines by the dependencies they declare (static dependsOn), so
+ * reference data loads before the tables that point at it - e.g.
+ * dental-groups before dental-practices, product-catalog before
+ * lab-product-mapping.
+ *
+ * - stages: pipelines grouped by depth; every pipeline in a stage only
+ *   depends on earlier stages, so a stage can run concurrently
+ * - run(): runs every pipeline as soon as its dependencies have succeeded,
+ *   at most `concurrency` at a time; when a pipeline fails, everything
+ *   downstream of it is skipped instead of loading against missing data
+ *
+ * Unknown dependencies and cycles are rejected with PipelineDependencyError
+ * when the graph is built, before anything runs.
+ *
+ * Usage:
+ * const graph = new PipelineGraph(pipelines, orchestrator.getAvailablePipelines());
+ * console.log(graph.stages);  // [['dental-groups', 'product-catalog', ...], ['dental-practices', ...]]
+ * const outcomes = await graph.run(async (name) => {
+ *     const result = await orchestrator.processPipeline(name);
+ *     return result.failed === 0 || result.successful > 0;
+ * }, { concurrency: 2 });
+ */
+
+const { PipelineDependencyError } = require('../core/errors');
+
+class PipelineGraph {
+    /**
+     * @param {Object} pipelines - Pipeline registry (name -> class)
+     * @param {string[]} pipelineNames - Pipelines in the graph, in registry order
+     * @throws {PipelineDependencyError} On an unknown dependency or a cycle
+     */
+    constructor(pipelines, pipelineNames) {
+        this.names = [...pipelineNames];
+        this.dependencies = new Map();
+        for (const name of this.names) {
+            const dependsOn = [...new Set(pipelines[name].dependsOn || [])];
+            for (const dependency of dependsOn) {
+                if (!this.names.includes(dependency)) {
+                    throw new PipelineDependencyError(
+                        `Pipeline ${name} depends on unknown pipeline ${dependency}`,
+                        [name, dependency]
+                    );
+                }
+            }
+            this.dependencies.set(name, dependsOn);
+        }
+        this.stages = this.buildStages();
+    }
+
+    /**
+     * Group pipelines into stages (Kahn's algorithm, one stage per round)
+     * @returns {string[][]}
+     * @throws {PipelineDependencyError} When the dependencies form a cycle
+     */
+    buildStages() {
+        const stages = [];
+        const placed = new Set();
+        while (placed.size < this.names.length) {
+            const stage = this.names.filter(name =>
+                !placed.has(name) && this.dependencies.get(name).every(dependency => placed.has(dependency))
+            );
+            if (stage.length === 0) {
+                const cycle = this.findCycle(this.names.filter(name => !placed.has(name)));
+                throw new PipelineDependencyError(`Pipeline dependency cycle: ${cycle.join(' -> ')}`, cycle);
+            }
+            stage.forEach(name => placed.add(name));
+            stages.push(stage);
+        }
+        return stages;
+    }
+
+    /**
+     * One cycle among pipelines that could not be placed in a stage
+     * @param {string[]} remaining - Unplaced pipelines (each has an unplaced dependency)
+     * @returns {string[]} Cycle, first pipeline repeated at the end
+     */
+    findCycle(remaining) {
+        const path = [remaining[0]];
+        for (;;) {
+            const current = path[path.length - 1];
+            const next = this.dependencies.get(current).find(dependency => remaining.includes(dependency));
+            const seen = path.indexOf(next);
+            if (seen !== -1) return [...path.slice(seen), next];
+            path.push(next);
+        }
+    }
+
+    /**
+     * Direct dependencies of a pipeline
+     * @param {string} name
+     * @returns {string[]}
+     */
+    dependenciesOf(name) {
+        return this.dependencies.get(name) || [];
+    }
+
+    /**
+     * Pipelines that depend on a pipeline, directly or through others
+     * @param {string} name
+     * @returns {string[]} In stage order
+     */
+    dependentsOf(name) {
+        const dependents = new Set([name]);
+        for (const stage of this.stages) {
+            for (const candidate of stage) {
+                if (this.dependenciesOf(candidate).some(dependency => dependents.has(dependency))) {
+                    dependents.add(candidate);
+                }
+            }
+        }
+        dependents.delete(name);
+        return [...dependents];
+    }
+
+    /**
+     * Run every pipeline once its dependencies have succeeded
+     * A task that resolves false or throws counts as failed; its dependents
+     * (direct and transitive) are skipped and never started.
+     * @param {function(string): Promise<boolean>} task - Runs one pipeline, resolves whether it succeeded
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=1] - Pipelines running at the same time
+     * @returns {Promise<Map<string, { status: 'succeeded'|'failed'|'skipped', error?: Error, blockedBy?: string }>>}
+     *   Outcome per pipeline, in the order they finished
+     */
+    async run(task, { concurrency = 1 } = {}) {
+        const limit = Math.max(1, concurrency || 1);
+        const order = this.stages.flat();
+        const outcomes = new Map();
+        const running = new Map();
+
+        const start = (name) => {
+            const promise = Promise.resolve()
+                .then(() => task(name))
+                .then(
+                    succeeded => ({ name, outcome: { status: succeeded ? 'succeeded' : 'failed' } }),
+                    error => ({ name, outcome: { status: 'failed', error } })
+                );
+            running.set(name, promise);
+        };
+
+        while (outcomes.size < order.length) {
+            for (const name of order) {
+                if (outcomes.has(name) || running.has(name)) continue;
+                const dependencies = this.dependenciesOf(name);
+                const blockedBy = dependencies.find(dependency =>
+                    outcomes.has(dependency) && outcomes.get(dependency).status !== 'succeeded'
+                );
+                if (blockedBy) {
+                    outcomes.set(name, { status: 'skipped', blockedBy });
+                } else if (running.size < limit && dependencies.every(dependency => outcomes.has(dependency))) {
+                    start(name);
+                }
+            }
+            if (running.size === 0) continue;
+
+            const { name, outcome } = await Promise.race(running.values());
+            running.delete(name);
+            outcomes.set(name, outcome);
+        }
+        return outcomes;
+    }
+
+    /**
+     * Readable execution plan
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=1] - Shown in the plan header
+     * @returns {string}
+     */
+    formatPlan({ concurrency = 1 } = {}) {
+        const lines = [`Execution plan (${this.names.length} pipelines, up to ${concurrency} at a time)`];
+        this.stages.forEach((stage, index) => {
+            lines.push(`  Stage ${index + 1}:`);
+            for (const name of stage) {
+                const dependencies = this.dependenciesOf(name);
+                lines.push(`    ${name}${dependencies.length > 0 ? `  (after ${dependencies.join(', ')})` : ''}`);
+            }
+        });
+        return lines.join('\n');
+    }
+}
+
+module.exports = PipelineGraph;
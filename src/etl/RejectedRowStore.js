@@ -0,0 +1,201 @@
+/**
+ * Rejected Row Store
+ * ==================
+ * Keeps rows that failed to load (missing fields, validation rules, coercion,
+ * insert errors and quarantined orphans) in the etl_rejected_rows table, so
+ * they can be listed and re-run through the pipeline once the data or the
+ * reference tables are fixed, instead of editing log CSVs by hand.
+ *
+ * Rows are written through a "reject sink" passed to BasePipeline.processRows
+ * (config.rejectSink) inside the load transaction, so a file that is rolled
+ * back (error threshold, dry run) leaves no rejected rows behind.
+ *
+ * Retries run the stored raw rows through the same processRows() path
+ * (mapRow, validation, reference checks, insert), grouped by source file.
+ * Rows that load are marked resolved; rows that fail again keep their entry
+ * with the new reason and a higher retry_count.
+ *
+ * Usage:
+ * const store = new RejectedRowStore(dbConnection, pipelines, config.processing);
+ * const pipelineConfig = { ...config.processing, rejectSink: store.createSink('dental-groups', sourcePath, runId) };
+ * const { total, rows } = await store.list('dental-groups');
+ * const summary = await store.retry('dental-groups', { runId });
+ */
+
+const logger = require('../utils/logger');
+
+class RejectedRowStore {
+    static tableName = 'etl_rejected_rows';
+
+    // Columns the table must have (see PROJECT_DOCUMENTATION_ETL.md for the DDL)
+    static columns = [
+        'id', 'pipeline', 'source_path', 'file_name', 'row_number', 'raw_row', 'reason', 'error_code',
+        'quarantined', 'etl_run_id', 'rejected_at', 'retry_count', 'last_retry_at', 'resolved_at'
+    ];
+
+    /**
+     * @param {DatabaseConnection} dbConnection - Database connection
+     * @param {Object} pipelines - Pipeline registry
+     * @param {Object} [processingConfig] - Processing config the pipelines run with
+     */
+    constructor(dbConnection, pipelines, processingConfig = {}) {
+        this.dbConnection = dbConnection;
+        this.pipelines = pipelines;
+        this.processingConfig = processingConfig;
+        this.tableName = RejectedRowStore.tableName;
+    }
+
+    /**
+     * Sink that inserts every rejected row of a file load
+     * @param {string} pipelineName - Registered pipeline name
+     * @param {string} sourcePath - S3 source path of the file
+     * @param {string} [runId] - ETL run id
+     * @returns {{ record: function(Object, Object): Promise<void> }}
+     */
+    createSink(pipelineName, sourcePath, runId = null) {
+        return {
+            record: async (client, entry) => {
+                await client.query(`
+                    INSERT INTO ${this.tableName}
+                        (pipeline, source_path, file_name, row_number, raw_row, reason, error_code, quarantined, etl_run_id)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                `, [
+                    pipelineName,
+                    sourcePath,
+                    entry.fileName,
+                    entry.rowNumber,
+                    JSON.stringify(entry.row),
+                    entry.reason,
+                    entry.errorCode,
+                    entry.quarantined,
+                    runId
+                ]);
+            }
+        };
+    }
+
+    /**
+     * Sink for a retry: updates the stored entries instead of adding new ones
+     * Rows are matched back by position (processRows row number = index + 1).
+     * @param {Object[]} entries - Stored rows being retried, in load order
+     * @param {string} [runId] - ETL run id
+     * @returns {{ record: function, complete: function }}
+     */
+    createRetrySink(entries, runId = null) {
+        const failedIds = new Set();
+        return {
+            record: async (client, entry) => {
+                const { id } = entries[entry.rowNumber - 1];
+                failedIds.add(id);
+                await client.query(`
+                    UPDATE ${this.tableName}
+                    SET reason = $2, error_code = $3, quarantined = $4, etl_run_id = $5,
+                        retry_count = retry_count + 1, last_retry_at = NOW()
+                    WHERE id = $1
+                `, [id, entry.reason, entry.errorCode, entry.quarantined, runId]);
+            },
+            complete: async (client) => {
+                const resolvedIds = entries.map(({ id }) => id).filter(id => !failedIds.has(id));
+                if (resolvedIds.length === 0) return;
+                await client.query(`
+                    UPDATE ${this.tableName}
+                    SET resolved_at = NOW(), etl_run_id = $2,
+                        retry_count = retry_count + 1, last_retry_at = NOW()
+                    WHERE id = ANY($1::bigint[])
+                `, [resolvedIds, runId]);
+            }
+        };
+    }
+
+    /**
+     * Unresolved rejected rows of a pipeline
+     * @param {string} pipelineName - Registered pipeline name
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Maximum rows returned
+     * @returns {Promise<{ total: number, rows: Object[] }>} Total unresolved count and the oldest rows
+     */
+    async list(pipelineName, { limit = 100 } = {}) {
+        const count = await this.dbConnection.query(
+            `SELECT COUNT(*)::int AS total FROM ${this.tableName} WHERE pipeline = $1 AND resolved_at IS NULL`,
+            [pipelineName]
+        );
+        const result = await this.dbConnection.query(`
+            SELECT id, file_name, row_number, reason, error_code, quarantined, retry_count, rejected_at, last_retry_at
+            FROM ${this.tableName}
+            WHERE pipeline = $1 AND resolved_at IS NULL
+            ORDER BY id
+            LIMIT $2
+        `, [pipelineName, limit]);
+        return { total: count.rows[0].total, rows: result.rows };
+    }
+
+    /**
+     * Re-run unresolved rejected rows through the pipeline, one load per source file
+     * Snapshot deletes and error thresholds are off (a retry is never a full file)
+     * and header drift is only reported.
+     * @param {string} pipelineName - Registered pipeline name
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Roll back each load (nothing resolved)
+     * @param {string} [options.runId] - ETL run id
+     * @returns {Promise<{ retried: number, resolved: number, failed: number, quarantined: number, files: Object[] }>}
+     */
+    async retry(pipelineName, { dryRun = false, runId = null } = {}) {
+        const PipelineClass = this.pipelines[pipelineName];
+        if (!PipelineClass) {
+            throw new Error(`Pipeline not found: ${pipelineName}`);
+        }
+
+        const result = await this.dbConnection.query(`
+            SELECT id, source_path, file_name, row_number, raw_row
+            FROM ${this.tableName}
+            WHERE pipeline = $1 AND resolved_at IS NULL
+            ORDER BY source_path, file_name, row_number, id
+        `, [pipelineName]);
+
+        const groups = new Map();
+        for (const entry of result.rows) {
+            const key = `${entry.source_path}\u0000${entry.file_name}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        }
+
+        const summary = { retried: 0, resolved: 0, failed: 0, quarantined: 0, files: [] };
+        for (const entries of groups.values()) {
+            const { source_path: sourcePath, file_name: fileName } = entries[0];
+            const pipeline = new PipelineClass(this.dbConnection.getPool(), null, {
+                ...this.processingConfig,
+                sourcePath,
+                runId,
+                dryRun,
+                snapshotDeletes: false,
+                maxErrorCount: null,
+                maxErrorRatio: null,
+                headerMismatch: 'warn',
+                sourceRowNumbers: entries.map(entry => entry.row_number),
+                rejectSink: this.createRetrySink(entries, runId)
+            });
+
+            // Handlers keep processRows streaming (no row arrays are kept)
+            const fileResult = await pipeline.processRows(entries.map(entry => entry.raw_row), fileName, {
+                onValidRow: () => {},
+                onErrorRow: () => {}
+            });
+
+            summary.retried += fileResult.rowCount;
+            summary.resolved += fileResult.successCount;
+            summary.failed += fileResult.errorCount - fileResult.quarantinedCount;
+            summary.quarantined += fileResult.quarantinedCount;
+            summary.files.push({
+                fileName,
+                retried: fileResult.rowCount,
+                resolved: fileResult.successCount,
+                failed: fileResult.errorCount
+            });
+        }
+
+        logger.info('Rejected rows retried', { pipeline: pipelineName, dryRun, ...summary, files: summary.files.length });
+        return summary;
+    }
+}
+
+module.exports = RejectedRowStore;
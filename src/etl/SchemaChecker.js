@@ -0,0 +1,330 @@
+/**
+ * Schema Checker
+ * ==============
+ * Compares each pipeline's load definition with its target table in Postgres
+ * so a renamed column or missing unique index is reported before any file is
+ * touched, instead of as one failed insert per row.
+ *
+ * Checked per pipeline:
+ * - Target table exists
+ * - Every loaded column (bulkColumns plus provenance columns) exists
+ * - Column spec types can be stored in the table column types
+ * - NOT NULL columns without a default are loaded (and required in the spec)
+ * - ON CONFLICT target has a matching unique index/constraint
+ * - Declared references point at existing tables/columns
+ * - Snapshot pipelines have their deleted_at column
+ * - Row hash pipelines have their row_hash column
+ * - History tables exist with the key, tracked and validity columns
+ * - etl_rejected_rows exists when STORE_REJECTED_ROWS is on
+ * - etl_file_watermarks exists when REJECT_OUT_OF_ORDER_FILES is on
+ *
+ * Usage:
+ * const checker = new SchemaChecker(dbConnection, pipelines, config.processing);
+ * const reports = await checker.checkPipelines(['dental-groups']);
+ * console.log(SchemaChecker.formatReport(reports[0]));
+ */
+
+const logger = require('../utils/logger');
+const { SchemaMismatchError } = require('../core/errors');
+const RejectedRowStore = require('./RejectedRowStore');
+const FileWatermarkStore = require('./FileWatermarkStore');
+
+const TEXT_TYPES = ['text', 'character varying', 'character'];
+
+// Table column types (information_schema data_type) each column spec type can be loaded into
+const COMPATIBLE_TYPES = {
+    integer: ['smallint', 'integer', 'bigint', 'numeric', ...TEXT_TYPES],
+    decimal: ['numeric', 'real', 'double precision', 'money', ...TEXT_TYPES],
+    boolean: ['boolean', ...TEXT_TYPES],
+    date: ['date', 'timestamp without time zone', 'timestamp with time zone', ...TEXT_TYPES],
+    enum: ['USER-DEFINED', ...TEXT_TYPES],
+    text: null  // Postgres parses text parameters into any column type
+};
+
+/**
+ * Split 'schema.table' into its parts (schema null = current schema)
+ * @param {string} tableName
+ * @returns {{ schema: string|null, table: string }}
+ */
+function splitTableName(tableName) {
+    const parts = tableName.split('.');
+    return parts.length > 1
+        ? { schema: parts[0], table: parts.slice(1).join('.') }
+        : { schema: null, table: tableName };
+}
+
+class SchemaChecker {
+    /**
+     * @param {DatabaseConnection} dbConnection - Database connection
+     * @param {Object} pipelines - Pipeline registry
+     * @param {Object} [processingConfig] - Processing config the pipelines run with
+     */
+    constructor(dbConnection, pipelines, processingConfig = {}) {
+        this.dbConnection = dbConnection;
+        this.pipelines = pipelines;
+        this.processingConfig = processingConfig;
+    }
+
+    /**
+     * Read the columns of a table
+     * @param {string} tableName - Table name, optionally schema-qualified
+     * @returns {Promise<Map<string, Object>>} Columns by name (empty when the table does not exist)
+     */
+    async getTableColumns(tableName) {
+        const { schema, table } = splitTableName(tableName);
+        const result = await this.dbConnection.query(`
+            SELECT column_name, data_type, is_nullable, column_default, is_identity, is_generated
+            FROM information_schema.columns
+            WHERE table_schema = COALESCE($1, current_schema()) AND table_name = $2
+            ORDER BY ordinal_position
+        `, [schema, table]);
+        return new Map(result.rows.map(row => [row.column_name, row]));
+    }
+
+    /**
+     * Read the column sets of all non-partial unique indexes on a table
+     * (primary keys and unique constraints are backed by such indexes)
+     * @param {string} tableName - Table name, optionally schema-qualified
+     * @returns {Promise<string[][]>} Sorted column lists, one per index
+     */
+    async getUniqueIndexes(tableName) {
+        const { schema, table } = splitTableName(tableName);
+        const result = await this.dbConnection.query(`
+            SELECT array_agg(a.attname::text ORDER BY a.attname) AS columns
+            FROM pg_index i
+            JOIN pg_class c ON c.oid = i.indrelid
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = ANY(i.indkey)
+            WHERE i.indisunique
+              AND i.indpred IS NULL
+              AND n.nspname = COALESCE($1, current_schema())
+              AND c.relname = $2
+            GROUP BY i.indexrelid
+        `, [schema, table]);
+        return result.rows.map(row => row.columns);
+    }
+
+    /**
+     * Columns of the pipeline's ON CONFLICT target
+     * Taken from the column spec, or parsed from a hand-written conflictClause
+     * @param {BasePipeline} pipeline
+     * @returns {string[]}
+     */
+    getConflictKeys(pipeline) {
+        if (pipeline.conflictKeys.length > 0) return pipeline.conflictKeys;
+        const match = /ON\s+CONFLICT\s*\(([^)]+)\)/i.exec(pipeline.conflictClause || '');
+        return match ? match[1].split(',').map(column => column.trim()) : [];
+    }
+
+    /**
+     * Compare one pipeline with its target table
+     * @param {string} pipelineName - Registered pipeline name
+     * @returns {Promise<{ pipeline: string, table: string, errors: string[], warnings: string[] }>}
+     */
+    async checkPipeline(pipelineName) {
+        const PipelineClass = this.pipelines[pipelineName];
+        if (!PipelineClass) {
+            throw new Error(`Pipeline not found: ${pipelineName}`);
+        }
+        const pipeline = new PipelineClass(null, null, this.processingConfig);
+        const report = { pipeline: pipelineName, table: pipeline.tableName, errors: [], warnings: [] };
+
+        const tableColumns = await this.getTableColumns(pipeline.tableName);
+        if (tableColumns.size === 0) {
+            report.errors.push(`table ${pipeline.tableName} does not exist (or is not visible to this user)`);
+            return report;
+        }
+
+        // Loaded columns
+        const loadedColumns = pipeline.loadColumns;
+        if (!loadedColumns) {
+            report.warnings.push('loaded columns unknown (declare columns or bulkColumns to check them)');
+        } else {
+            for (const column of loadedColumns) {
+                if (!tableColumns.has(column)) {
+                    report.errors.push(`missing column: ${column}`);
+                }
+            }
+        }
+
+        // Column spec types and NOT NULL
+        for (const col of pipeline.columns || []) {
+            const tableColumn = tableColumns.get(col.column);
+            if (!tableColumn) continue;
+
+            const type = col.type || 'text';
+            const compatible = COMPATIBLE_TYPES[type];
+            if (compatible && !compatible.includes(tableColumn.data_type)) {
+                report.errors.push(`type mismatch: ${col.column} is '${type}' in the pipeline, ${tableColumn.data_type} in the table`);
+            }
+            if (tableColumn.is_nullable === 'NO' && tableColumn.column_default === null && !col.required) {
+                report.warnings.push(`${col.column} is NOT NULL in the table but not required by the pipeline (empty values will fail on insert)`);
+            }
+        }
+
+        if (loadedColumns) {
+            for (const [name, tableColumn] of tableColumns) {
+                const hasDefault = tableColumn.column_default !== null ||
+                    tableColumn.is_identity === 'YES' ||
+                    tableColumn.is_generated === 'ALWAYS';
+                if (tableColumn.is_nullable === 'NO' && !hasDefault && !loadedColumns.includes(name)) {
+                    report.errors.push(`not loaded: ${name} is NOT NULL without a default`);
+                }
+            }
+        }
+
+        // ON CONFLICT target
+        const conflictKeys = this.getConflictKeys(pipeline);
+        if (conflictKeys.length > 0) {
+            const wanted = [...conflictKeys].sort().join(', ');
+            const uniqueIndexes = await this.getUniqueIndexes(pipeline.tableName);
+            if (!uniqueIndexes.some(columns => [...columns].sort().join(', ') === wanted)) {
+                report.errors.push(`no unique index or constraint on (${conflictKeys.join(', ')}) for ON CONFLICT`);
+            }
+        }
+
+        // Declared references
+        for (const ref of pipeline.references) {
+            const refColumns = ref.columns || [ref.column];
+            const referenced = await this.getTableColumns(ref.table);
+            if (referenced.size === 0) {
+                report.errors.push(`referenced table ${ref.table} does not exist`);
+                continue;
+            }
+            for (const column of refColumns) {
+                if (!referenced.has(column)) {
+                    report.errors.push(`referenced column missing: ${ref.table}.${column}`);
+                }
+            }
+        }
+
+        // Snapshot soft deletes
+        if (pipeline.snapshot) {
+            const { deletedAtColumn } = pipeline.snapshotSettings;
+            if (!tableColumns.has(deletedAtColumn)) {
+                if (pipeline.snapshotEnabled) {
+                    report.errors.push(`missing column: ${deletedAtColumn} (needed for snapshot deletes)`);
+                } else {
+                    report.warnings.push(`no ${deletedAtColumn} column, snapshot deletes cannot be enabled`);
+                }
+            }
+            if (conflictKeys.length === 0) {
+                report.errors.push('snapshot deletes need conflict key columns');
+            }
+        }
+
+        // Change-detection hash column (checked with the loaded columns once ROW_HASHES is on)
+        if (pipeline.rowHash && !pipeline.rowHashEnabled) {
+            const { column } = pipeline.rowHashSettings;
+            if (!tableColumns.has(column)) {
+                report.warnings.push(`no ${column} column, row hashes cannot be enabled`);
+            }
+        }
+
+        // Provenance columns (checked with the loaded columns once PROVENANCE_COLUMNS is on)
+        if (pipeline.provenance && pipeline.provenanceColumns.length === 0) {
+            const missing = Object.values(pipeline.provenanceSettings)
+                .filter(column => column && !tableColumns.has(column));
+            if (missing.length > 0) {
+                report.warnings.push(`no provenance columns ${missing.join(', ')}, provenance cannot be enabled`);
+            }
+        }
+
+        // SCD history table (only an error once HISTORY_TRACKING is on)
+        if (pipeline.history) {
+            const { table, trackedColumns, validFromColumn, validToColumn } = pipeline.historySettings;
+            const issues = pipeline.historyEnabled ? report.errors : report.warnings;
+            const historyColumns = await this.getTableColumns(table);
+            if (historyColumns.size === 0) {
+                issues.push(`history table ${table} does not exist`);
+            } else {
+                for (const column of [...conflictKeys, ...trackedColumns, validFromColumn, validToColumn]) {
+                    if (!historyColumns.has(column)) {
+                        issues.push(`history column missing: ${table}.${column}`);
+                    }
+                }
+            }
+        }
+
+        // Rejected row table (shared by all pipelines)
+        if (this.processingConfig.storeRejectedRows) {
+            const rejectColumns = await this.getTableColumns(RejectedRowStore.tableName);
+            if (rejectColumns.size === 0) {
+                report.errors.push(`table ${RejectedRowStore.tableName} does not exist (needed for STORE_REJECTED_ROWS)`);
+            } else {
+                for (const column of RejectedRowStore.columns) {
+                    if (!rejectColumns.has(column)) {
+                        report.errors.push(`missing column: ${RejectedRowStore.tableName}.${column}`);
+                    }
+                }
+            }
+        }
+
+        // File watermark table (shared by all pipelines)
+        if (this.processingConfig.rejectOutOfOrderFiles) {
+            const watermarkColumns = await this.getTableColumns(FileWatermarkStore.tableName);
+            if (watermarkColumns.size === 0) {
+                report.errors.push(`table ${FileWatermarkStore.tableName} does not exist (needed for REJECT_OUT_OF_ORDER_FILES)`);
+            } else {
+                for (const column of FileWatermarkStore.columns) {
+                    if (!watermarkColumns.has(column)) {
+                        report.errors.push(`missing column: ${FileWatermarkStore.tableName}.${column}`);
+                    }
+                }
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Check several pipelines
+     * @param {string[]} pipelineNames - Registered pipeline names
+     * @returns {Promise<Object[]>} One report per pipeline
+     */
+    async checkPipelines(pipelineNames) {
+        const reports = [];
+        for (const pipelineName of pipelineNames) {
+            const report = await this.checkPipeline(pipelineName);
+            if (report.errors.length > 0 || report.warnings.length > 0) {
+                logger.warn('Schema check found differences', report);
+            }
+            reports.push(report);
+        }
+        return reports;
+    }
+
+    /**
+     * Check pipelines and throw if any of them has schema errors
+     * @param {string[]} pipelineNames - Registered pipeline names
+     * @returns {Promise<Object[]>} Reports (warnings only) when all pipelines pass
+     * @throws {SchemaMismatchError} With the formatted diff of every failing pipeline
+     */
+    async assertPipelines(pipelineNames) {
+        const reports = await this.checkPipelines(pipelineNames);
+        const failing = reports.filter(report => report.errors.length > 0);
+        if (failing.length > 0) {
+            throw new SchemaMismatchError(
+                `Schema check failed for ${failing.map(report => report.pipeline).join(', ')}:\n` +
+                failing.map(report => SchemaChecker.formatReport(report)).join('\n'),
+                failing
+            );
+        }
+        return reports;
+    }
+
+    /**
+     * Format a report as readable text
+     * @param {Object} report - Result of checkPipeline()
+     * @returns {string}
+     */
+    static formatReport(report) {
+        const status = report.errors.length > 0 ? 'FAILED' : 'OK';
+        const lines = [`${report.pipeline} -> ${report.table}: ${status}`];
+        report.errors.forEach(error => lines.push(`  ✗ ${error}`));
+        report.warnings.forEach(warning => lines.push(`  ! ${warning}`));
+        return lines.join('\n');
+    }
+}
+
+module.exports = SchemaChecker;
@@ -19,13 +19,19 @@
  * - mapRow(): Transform CSV row to database schema
  * - buildInsertQuery(): Generate INSERT SQL and values
  *
+ * Alternative to requiredFields/mapRow/buildInsertQuery:
+ * - columns: Declarative column spec (see commented example below)
+ *
  * Optional overrides:
  * - shouldTruncate: Set to true to truncate table before processing
+ * - validationRules: Declarative row rules (pattern/range/enum/cross-field, reject or warn)
+ * - loadMode / bulkColumns / conflictClause: Bulk load via multi-row INSERT or COPY instead of row-by-row
  * - postProcess(): Called after all rows inserted (e.g., stored procedures)
  * - truncateTable(): Custom truncate implementation
  */
 
 const BasePipeline = require('../../core/BasePipeline');
+const { createRowCoercer } = require('../../utils/coerce');
 
 class TemplatePipeline extends BasePipeline {
     /**
@@ -34,6 +40,12 @@ class TemplatePipeline extends BasePipeline {
      */
     static pipelineName = 'template';
 
+    /**
+     * Pipelines whose tables this one references - `node index.js` loads them
+     * first and skips this pipeline when one of them fails
+     */
+    // static dependsOn = ['parent-pipeline'];
+
     // ==================== REQUIRED: Update these values ====================
 
     /**
@@ -77,29 +89,22 @@ class TemplatePipeline extends BasePipeline {
      * @returns {Object} Mapped row matching database columns
      *
      * Tips:
-     * - Use Number() for numeric fields, check isNaN()
-     * - Handle boolean conversions explicitly
-     * - Return null for missing optional fields
+     * - Use the shared coercers from utils/coerce instead of Number()/isNaN
+     *   (integer, decimal, boolean, date, enum, text)
+     * - Values that can't be parsed are collected and the row is rejected
+     *   with a clear reason by c.finish()
+     * - Empty values become null
      */
     mapRow(row) {
-        // Example numeric field with validation
-        const numericField = row.numericfield ? Number(row.numericfield) : null;
-
-        // Example boolean field
-        let booleanField = null;
-        if (row.booleanfield !== undefined && row.booleanfield !== '') {
-            booleanField = ['true', '1', 'yes'].includes(
-                String(row.booleanfield).toLowerCase()
-            );
-        }
-
-        return {
+        const c = createRowCoercer();
+
+        return c.finish({
             // Map CSV columns to database columns
-            field1: Number.isNaN(numericField) ? null : numericField,
-            field2: row.field2 || null,
-            boolean_field: booleanField,
-            optional_field: row.optionalfield || null
-        };
+            field1: c.integer('field1', row.numericfield),
+            field2: c.text('field2', row.field2),
+            boolean_field: c.boolean('boolean_field', row.booleanfield),
+            optional_field: c.text('optional_field', row.optionalfield)
+        });
     }
 
     /**
@@ -136,8 +141,127 @@ class TemplatePipeline extends BasePipeline {
         return { sql, values };
     }
 
+    // ==================== ALTERNATIVE: Declarative column spec ====================
+
+    /**
+     * Replace requiredFields, mapRow() and buildInsertQuery() with a column spec.
+     * BasePipeline derives all three (plus the ON CONFLICT clause) from it.
+     */
+    // get columns() {
+    //     return [
+    //         { header: 'numericfield', column: 'field1', type: 'integer', required: true, conflictKey: true },
+    //         { header: 'field2', column: 'field2', type: 'text', required: true, headerAliases: ['Field Two'] },
+    //         { header: 'booleanfield', column: 'boolean_field', type: 'boolean' },
+    //         { header: 'optionalfield', column: 'optional_field', type: 'text', updateOnConflict: false, headerOptional: true }
+    //     ];
+    // }
+
     // ==================== OPTIONAL: Override if needed ====================
 
+    /**
+     * Row rules checked after requiredFields (see utils/validate)
+     * severity 'reject' (default) skips the row, 'warn' loads it and reports it
+     */
+    // get validationRules() {
+    //     return [
+    //         { field: 'field1', gt: 0 },
+    //         { field: 'field2', pattern: 'email', severity: 'warn' }
+    //     ];
+    // }
+
+    /**
+     * Values that must already exist in another table - orphans are quarantined
+     * with an "unknown <label> <value>" reason instead of being loaded
+     */
+    // get references() {
+    //     return [
+    //         { field: 'field1', table: 'parent_table', column: 'id', label: 'parent' }
+    //     ];
+    // }
+
+    /**
+     * Each file is a full export: with SNAPSHOT_DELETES=true, rows whose conflict
+     * key is missing from the file get deleted_at set (table needs that column)
+     */
+    // get snapshot() {
+    //     return { deletedAtColumn: 'deleted_at', minRows: 1, minRatio: 0.5 };
+    // }
+
+    /**
+     * Write etl_run_id, source_file_key, source_row_number and loaded_at with
+     * every row (PROVENANCE_COLUMNS=true). Needs a column spec: with a
+     * hand-written buildInsertQuery like the one above, the load fails
+     */
+    // get provenance() {
+    //     return true;
+    // }
+
+    /**
+     * Store a hash of the non-key columns in row_hash (ROW_HASHES=true) so
+     * unchanged rows are not rewritten on every load (needs a column spec)
+     */
+    // get rowHash() {
+    //     return { column: 'row_hash' };
+    // }
+
+    /**
+     * Keep valid_from/valid_to versions in a history table (HISTORY_TRACKING=true)
+     * A new version is opened only when a tracked column changes
+     */
+    // get history() {
+    //     return { table: 'your_table_name_history', trackedColumns: ['field2', 'boolean_field'] };
+    // }
+
+    /**
+     * Sheet and header row used when an .xlsx file is dropped in the source folder
+     * (sheet name or 0-based index; rows above headerRow are skipped)
+     */
+    // get workbook() {
+    //     return { sheet: 'Sheet1', headerRow: 1 };
+    // }
+
+    /**
+     * Force CSV settings instead of sniffing them per file, e.g. for a source
+     * that always sends semicolon-delimited Windows-1252 exports
+     */
+    // get csvFormat() {
+    //     return { delimiter: ';', encoding: 'windows-1252' };
+    // }
+
+    /**
+     * Pick fields out of nested .json/.ndjson records by path instead of
+     * flattening every field (headers are normalized like CSV headers)
+     */
+    // get jsonFields() {
+    //     return { numericfield: 'id', field2: 'details.name', booleanfield: 'flags.active' };
+    // }
+
+    /**
+     * Reject the whole file (rollback, move to rejected/) when too many rows fail
+     * Defaults to MAX_ERROR_COUNT / MAX_ERROR_RATIO; null means no limit
+     */
+    // get errorThreshold() {
+    //     return { maxErrorCount: null, maxErrorRatio: 0.5 };
+    // }
+
+    /**
+     * Let FILE_CONCURRENCY files load at the same time - only when no two files
+     * share a key, and only with fileOrder strategy 'name' (files load serially
+     * whenever they must load oldest first)
+     */
+    // get orderIndependent() {
+    //     return true;
+    // }
+
+    /**
+     * Order pending files by something other than S3 upload time (FILE_ORDER)
+     * - 'fileNameTimestamp', 'sequence' or 'name'; pattern overrides how the
+     * date/number is found in the name
+     */
+    // get fileOrder() {
+    //     return { ...super.fileOrder, strategy: 'fileNameTimestamp' };
+    // }
+
     /**
      * Set to true to truncate table before each run
      * Useful for staging tables that get refreshed completely
@@ -155,6 +279,20 @@ class TemplatePipeline extends BasePipeline {
     // async postProcess(client) {
     //     await client.query('CALL your_stored_procedure()');
     // }
+
+    /**
+     * Bulk load with multi-row INSERT ('batch') or COPY FROM STDIN ('copy')
+     * bulkColumns must match the order of buildInsertQuery() values
+     */
+    // get loadMode() {
+    //     return 'batch';
+    // }
+    // get bulkColumns() {
+    //     return ['field1', 'field2', 'boolean_field', 'optional_field'];
+    // }
+    // get conflictClause() {
+    //     return 'ON CONFLICT (field1) DO NOTHING';
+    // }
 }
 
 module.exports = TemplatePipeline;
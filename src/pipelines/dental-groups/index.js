@@ -13,10 +13,16 @@
  * - dental_group_sfdc_id (Salesforce ID), name, address, address_2, city, state, zip
  * - account_type, centralized_billing (boolean), sales_channel, sales_rep
  *
+ * Snapshot: rows missing from a complete file get deleted_at set (SNAPSHOT_DELETES=true)
+ * History: dental_groups_history keeps valid_from/valid_to versions (HISTORY_TRACKING=true)
+ * Row hash: unchanged rows are skipped via row_hash (ROW_HASHES=true)
+ * Provenance: etl_run_id, source_file_key, source_row_number, loaded_at (PROVENANCE_COLUMNS=true)
+ *
  * Environment variable: DENTAL_GROUPS_SOURCEPATH
  */
 
 const BasePipeline = require('../../core/BasePipeline');
+const { US_STATES } = require('../../utils/validate');
 
 class DentalGroupsPipeline extends BasePipeline {
     /**
@@ -34,97 +40,67 @@ class DentalGroupsPipeline extends BasePipeline {
         return 'dental_groups';
     }
 
-    get requiredFields() {
-        return ['dental_group_id', 'name'];
-    }
-
     get envKey() {
         return 'DENTAL_GROUPS_SOURCEPATH';
     }
 
     /**
-     * Transform CSV row to database schema
-     * Handles boolean conversion for centralized_billing
+     * Column spec - dental_group_id is the upsert key
      */
-    mapRow(row) {
-        const dentalGroupId = row.dentalgroupid ? Number(row.dentalgroupid) : null;
+    get columns() {
+        return [
+            { header: 'dentalgroupid', column: 'dental_group_id', type: 'integer', required: true, conflictKey: true },
+            { header: 'dentalgroupsfdcid', column: 'dental_group_sfdc_id', type: 'text' },
+            { header: 'name', column: 'name', type: 'text', required: true },
+            { header: 'address', column: 'address', type: 'text' },
+            { header: 'address2', column: 'address_2', type: 'text' },
+            { header: 'city', column: 'city', type: 'text' },
+            { header: 'state', column: 'state', type: 'text' },
+            { header: 'zip', column: 'zip', type: 'text' },
+            { header: 'accounttype', column: 'account_type', type: 'text' },
+            { header: 'centralizedbilling', column: 'centralized_billing', type: 'boolean' },
+            { header: 'saleschannel', column: 'sales_channel', type: 'text' },
+            { header: 'salesrep', column: 'sales_rep', type: 'text' }
+        ];
+    }
 
-        // Parse boolean for centralized_billing
-        // Accepts: true, TRUE, 1, false, FALSE, 0
-        let centralizedBilling = null;
-        if (row.centralizedbilling !== undefined && row.centralizedbilling !== null && row.centralizedbilling !== '') {
-            const val = String(row.centralizedbilling).toLowerCase().trim();
-            centralizedBilling = (val === 'true' || val === '1');
-        }
+    /**
+     * Address quality checks - reported as warnings, rows still load
+     */
+    get validationRules() {
+        return [
+            { field: 'zip', pattern: 'zip', severity: 'warn' },
+            { field: 'state', oneOf: US_STATES, severity: 'warn' }
+        ];
+    }
+
+    /**
+     * Salesforce extracts are named with their export time
+     * ('dental-groups-2025-03-04T12-30-45-123Z.csv'), which orders them even
+     * when an old extract is uploaded late
+     */
+    get fileOrder() {
+        return { ...super.fileOrder, strategy: 'fileNameTimestamp' };
+    }
 
-        return {
-            dental_group_id: Number.isNaN(dentalGroupId) ? null : dentalGroupId,
-            dental_group_sfdc_id: row.dentalgroupsfdcid || null,
-            name: row.name || null,
-            address: row.address || null,
-            address_2: row.address2 || null,
-            city: row.city || null,
-            state: row.state || null,
-            zip: row.zip || null,
-            account_type: row.accounttype || null,
-            centralized_billing: centralizedBilling,
-            sales_channel: row.saleschannel || null,
-            sales_rep: row.salesrep || null
-        };
+    get snapshot() {
+        return { deletedAtColumn: 'deleted_at' };
     }
 
     /**
-     * Build INSERT query with ON CONFLICT handling (upsert)
+     * Version history in dental_groups_history (HISTORY_TRACKING=true);
+     * every non-key column is tracked, e.g. sales_rep ownership over time
      */
-    buildInsertQuery(mappedRow) {
-        const sql = `
-            INSERT INTO dental_groups (
-                dental_group_id,
-                dental_group_sfdc_id,
-                name,
-                address,
-                address_2,
-                city,
-                state,
-                zip,
-                account_type,
-                centralized_billing,
-                sales_channel,
-                sales_rep
-            ) VALUES (
-                $1, $2, $3, $4, $5, $6,
-                $7, $8, $9, $10, $11, $12
-            )
-            ON CONFLICT (dental_group_id) DO UPDATE SET
-                dental_group_sfdc_id = EXCLUDED.dental_group_sfdc_id,
-                name = EXCLUDED.name,
-                address = EXCLUDED.address,
-                address_2 = EXCLUDED.address_2,
-                city = EXCLUDED.city,
-                state = EXCLUDED.state,
-                zip = EXCLUDED.zip,
-                account_type = EXCLUDED.account_type,
-                centralized_billing = EXCLUDED.centralized_billing,
-                sales_channel = EXCLUDED.sales_channel,
-                sales_rep = EXCLUDED.sales_rep
-        `;
+    get history() {
+        return { table: 'dental_groups_history' };
+    }
 
-        const values = [
-            mappedRow.dental_group_id,
-            mappedRow.dental_group_sfdc_id,
-            mappedRow.name,
-            mappedRow.address,
-            mappedRow.address_2,
-            mappedRow.city,
-            mappedRow.state,
-            mappedRow.zip,
-            mappedRow.account_type,
-            mappedRow.centralized_billing,
-            mappedRow.sales_channel,
-            mappedRow.sales_rep
-        ];
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
 
-        return { sql, values };
+    get provenance() {
+        return true;
     }
 
     /**
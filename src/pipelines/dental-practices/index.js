@@ -10,10 +10,16 @@
  * - practice_id (practiceid in CSV)
  * - dental_group_id (dentalgroupid in CSV)
  *
+ * Snapshot: rows missing from a complete file get deleted_at set (SNAPSHOT_DELETES=true)
+ * History: dental_practices_history keeps valid_from/valid_to versions (HISTORY_TRACKING=true)
+ * Row hash: unchanged rows are skipped via row_hash (ROW_HASHES=true)
+ * Provenance: etl_run_id, source_file_key, source_row_number, loaded_at (PROVENANCE_COLUMNS=true)
+ *
  * Environment variable: DENTAL_PRACTICES_SOURCEPATH
  */
 
 const BasePipeline = require('../../core/BasePipeline');
+const { US_STATES } = require('../../utils/validate');
 
 class DentalPracticesPipeline extends BasePipeline {
     /**
@@ -21,6 +27,11 @@ class DentalPracticesPipeline extends BasePipeline {
      */
     static pipelineName = 'dental-practices';
 
+    /**
+     * Practices reference dental_groups - load after dental-groups
+     */
+    static dependsOn = ['dental-groups'];
+
     // ==================== REQUIRED IMPLEMENTATIONS ====================
 
     get name() {
@@ -31,103 +42,88 @@ class DentalPracticesPipeline extends BasePipeline {
         return 'dental_practices';
     }
 
-    get requiredFields() {
-        return ['practice_id', 'dental_group_id'];
-    }
-
     get envKey() {
         return 'DENTAL_PRACTICES_SOURCEPATH';
     }
 
     /**
-     * Transform CSV row to database schema
-     * Maps CSV column names to database column names
+     * Column spec - practice_id is the upsert key
      */
-    mapRow(row) {
-        const practiceId = row.practiceid ? Number(row.practiceid) : null;
-        const dentalGroupId = row.dentalgroupid ? Number(row.dentalgroupid) : null;
+    get columns() {
+        return [
+            { header: 'practiceid', column: 'practice_id', type: 'integer', required: true, conflictKey: true, headerAliases: ['Practice #', 'Practice Number'] },
+            { header: 'dentalgroupid', column: 'dental_group_id', type: 'integer', required: true },
+            { header: 'dentalgroupname', column: 'dental_group_name', type: 'text' },
+            { header: 'address', column: 'address', type: 'text' },
+            { header: 'address2', column: 'address_2', type: 'text' },
+            { header: 'city', column: 'city', type: 'text' },
+            { header: 'state', column: 'state', type: 'text' },
+            { header: 'zip', column: 'zip', type: 'text' },
+            { header: 'phone', column: 'phone', type: 'text' },
+            { header: 'clinicalemail', column: 'clinical_email', type: 'text' },
+            { header: 'billingemail', column: 'billing_email', type: 'text' },
+            { header: 'incisiveemail', column: 'incisive_email', type: 'text' },
+            { header: 'preferredcontactmethod', column: 'preferred_contact_method', type: 'text' },
+            { header: 'feeschedule', column: 'fee_schedule', type: 'text' },
+            { header: 'status', column: 'status', type: 'text' }
+        ];
+    }
 
-        return {
-            practice_id: Number.isNaN(practiceId) ? null : practiceId,
-            dental_group_id: Number.isNaN(dentalGroupId) ? null : dentalGroupId,
-            dental_group_name: row.dentalgroupname || null,
-            address: row.address || null,
-            address_2: row.address2 || null,
-            city: row.city || null,
-            state: row.state || null,
-            zip: row.zip || null,
-            phone: row.phone || null,
-            clinical_email: row.clinicalemail || null,
-            billing_email: row.billingemail || null,
-            incisive_email: row.incisiveemail || null,
-            preferred_contact_method: row.preferredcontactmethod || null,
-            fee_schedule: row.feeschedule || null,
-            status: row.status || null
-        };
+    /**
+     * Contact/address quality checks - reported as warnings, rows still load
+     */
+    get validationRules() {
+        return [
+            { field: 'zip', pattern: 'zip', severity: 'warn' },
+            { field: 'state', oneOf: US_STATES, severity: 'warn' },
+            { field: 'phone', pattern: 'phone', severity: 'warn' },
+            { field: 'clinical_email', pattern: 'email', severity: 'warn' },
+            { field: 'billing_email', pattern: 'email', severity: 'warn' },
+            { field: 'incisive_email', pattern: 'email', severity: 'warn' }
+        ];
     }
 
     /**
-     * Build INSERT query with ON CONFLICT handling
+     * Practices must belong to a known dental group - orphans are quarantined
      */
-    buildInsertQuery(mappedRow) {
-        const sql = `
-            INSERT INTO dental_practices (
-                practice_id,
-                dental_group_id,
-                dental_group_name,
-                address,
-                address_2,
-                city,
-                state,
-                zip,
-                phone,
-                clinical_email,
-                billing_email,
-                incisive_email,
-                preferred_contact_method,
-                fee_schedule,
-                status
-            ) VALUES (
-                $1, $2, $3, $4, $5,
-                $6, $7, $8, $9, $10,
-                $11, $12, $13, $14, $15
-            )
-            ON CONFLICT (practice_id) DO UPDATE SET
-                dental_group_id = EXCLUDED.dental_group_id,
-                dental_group_name = EXCLUDED.dental_group_name,
-                address = EXCLUDED.address,
-                address_2 = EXCLUDED.address_2,
-                city = EXCLUDED.city,
-                state = EXCLUDED.state,
-                zip = EXCLUDED.zip,
-                phone = EXCLUDED.phone,
-                clinical_email = EXCLUDED.clinical_email,
-                billing_email = EXCLUDED.billing_email,
-                incisive_email = EXCLUDED.incisive_email,
-                preferred_contact_method = EXCLUDED.preferred_contact_method,
-                fee_schedule = EXCLUDED.fee_schedule,
-                status = EXCLUDED.status
-        `;
-
-        const values = [
-            mappedRow.practice_id,
-            mappedRow.dental_group_id,
-            mappedRow.dental_group_name,
-            mappedRow.address,
-            mappedRow.address_2,
-            mappedRow.city,
-            mappedRow.state,
-            mappedRow.zip,
-            mappedRow.phone,
-            mappedRow.clinical_email,
-            mappedRow.billing_email,
-            mappedRow.incisive_email,
-            mappedRow.preferred_contact_method,
-            mappedRow.fee_schedule,
-            mappedRow.status
+    get references() {
+        return [
+            { field: 'dental_group_id', table: 'dental_groups', column: 'dental_group_id', label: 'dental group' }
         ];
+    }
+
+    /**
+     * Load extracts in the order of the timestamp the Salesforce extractor
+     * puts in their names, not upload order
+     */
+    get fileOrder() {
+        return { ...super.fileOrder, strategy: 'fileNameTimestamp' };
+    }
+
+    get snapshot() {
+        return { deletedAtColumn: 'deleted_at' };
+    }
+
+    /**
+     * Version history in dental_practices_history (HISTORY_TRACKING=true);
+     * contact details (phone, emails) are not tracked
+     */
+    get history() {
+        return {
+            table: 'dental_practices_history',
+            trackedColumns: [
+                'dental_group_id', 'dental_group_name', 'address', 'address_2', 'city', 'state', 'zip',
+                'fee_schedule', 'status'
+            ]
+        };
+    }
+
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
 
-        return { sql, values };
+    get provenance() {
+        return true;
     }
 
     /**
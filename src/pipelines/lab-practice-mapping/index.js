@@ -11,6 +11,10 @@
  * - practice_id (practiceid in CSV)
  * - lab_practice_id (labpracticeid in CSV)
  *
+ * Snapshot: rows missing from a complete file get deleted_at set (SNAPSHOT_DELETES=true)
+ * Row hash: unchanged rows are skipped via row_hash (ROW_HASHES=true)
+ * Provenance: etl_run_id, source_file_key, source_row_number, loaded_at (PROVENANCE_COLUMNS=true)
+ *
  * Environment variable: LAB_PRACTICE_MAPPING_SOURCEPATH
  */
 
@@ -32,51 +36,31 @@ class LabPracticeMappingPipeline extends BasePipeline {
         return 'lab_practice_mapping';
     }
 
-    get requiredFields() {
-        return ['lab_id', 'practice_id', 'lab_practice_id'];
-    }
-
     get envKey() {
         return 'LAB_PRACTICE_MAPPING_SOURCEPATH';
     }
 
     /**
-     * Transform CSV row to database schema
+     * Column spec - (lab_id, lab_practice_id) is the upsert key
      */
-    mapRow(row) {
-        const labId = row.labid ? Number(row.labid) : null;
-        const practiceId = row.practiceid ? Number(row.practiceid) : null;
-
-        return {
-            lab_id: Number.isNaN(labId) ? null : labId,
-            practice_id: Number.isNaN(practiceId) ? null : practiceId,
-            lab_practice_id: row.labpracticeid || null
-        };
+    get columns() {
+        return [
+            { header: 'labid', column: 'lab_id', type: 'integer', required: true, conflictKey: true },
+            { header: 'practiceid', column: 'practice_id', type: 'integer', required: true },
+            { header: 'labpracticeid', column: 'lab_practice_id', type: 'text', required: true, conflictKey: true }
+        ];
     }
 
-    /**
-     * Build INSERT query with composite key conflict handling
-     */
-    buildInsertQuery(mappedRow) {
-        const sql = `
-            INSERT INTO lab_practice_mapping (
-                lab_id,
-                practice_id,
-                lab_practice_id
-            ) VALUES (
-                $1, $2, $3
-            )
-            ON CONFLICT (lab_id, lab_practice_id) DO UPDATE SET
-                practice_id = EXCLUDED.practice_id
-        `;
+    get snapshot() {
+        return { deletedAtColumn: 'deleted_at' };
+    }
 
-        const values = [
-            mappedRow.lab_id,
-            mappedRow.practice_id,
-            mappedRow.lab_practice_id
-        ];
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
 
-        return { sql, values };
+    get provenance() {
+        return true;
     }
 
     /**
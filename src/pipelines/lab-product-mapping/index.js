@@ -11,6 +11,10 @@
  * - lab_product_id (labproductid in CSV)
  * - incisive_product_id (incisiveproductid in CSV)
  *
+ * Snapshot: rows missing from a complete file get deleted_at set (SNAPSHOT_DELETES=true)
+ * Row hash: unchanged rows are skipped via row_hash (ROW_HASHES=true)
+ * Provenance: etl_run_id, source_file_key, source_row_number, loaded_at (PROVENANCE_COLUMNS=true)
+ *
  * Environment variable: LAB_PRODUCT_MAPPING_SOURCEPATH
  */
 
@@ -22,6 +26,11 @@ class LabProductMappingPipeline extends BasePipeline {
      */
     static pipelineName = 'lab-product-mapping';
 
+    /**
+     * Mappings reference the Incisive product catalog - load after product-catalog
+     */
+    static dependsOn = ['product-catalog'];
+
     // ==================== REQUIRED IMPLEMENTATIONS ====================
 
     get name() {
@@ -32,51 +41,40 @@ class LabProductMappingPipeline extends BasePipeline {
         return 'lab_product_mapping';
     }
 
-    get requiredFields() {
-        return ['lab_id', 'lab_product_id', 'incisive_product_id'];
-    }
-
     get envKey() {
         return 'LAB_PRODUCT_MAPPING_SOURCEPATH';
     }
 
     /**
-     * Transform CSV row to database schema
+     * Column spec - (lab_id, lab_product_id) is the upsert key
      */
-    mapRow(row) {
-        const labId = row.labid ? Number(row.labid) : null;
-        const incisiveProductId = row.incisiveproductid ? Number(row.incisiveproductid) : null;
-
-        return {
-            lab_id: Number.isNaN(labId) ? null : labId,
-            lab_product_id: row.labproductid || null,
-            incisive_product_id: Number.isNaN(incisiveProductId) ? null : incisiveProductId
-        };
+    get columns() {
+        return [
+            { header: 'labid', column: 'lab_id', type: 'integer', required: true, conflictKey: true },
+            { header: 'labproductid', column: 'lab_product_id', type: 'text', required: true, conflictKey: true },
+            { header: 'incisiveproductid', column: 'incisive_product_id', type: 'integer', required: true }
+        ];
     }
 
     /**
-     * Build INSERT query with composite key conflict handling
+     * Mapped products must exist in the Incisive catalog - orphans are quarantined
      */
-    buildInsertQuery(mappedRow) {
-        const sql = `
-            INSERT INTO lab_product_mapping (
-                lab_id,
-                lab_product_id,
-                incisive_product_id
-            ) VALUES (
-                $1, $2, $3
-            )
-            ON CONFLICT (lab_id, lab_product_id) DO UPDATE SET
-                incisive_product_id = EXCLUDED.incisive_product_id
-        `;
-
-        const values = [
-            mappedRow.lab_id,
-            mappedRow.lab_product_id,
-            mappedRow.incisive_product_id
+    get references() {
+        return [
+            { field: 'incisive_product_id', table: 'incisive_product_catalog', column: 'incisive_id', label: 'incisive product' }
         ];
+    }
+
+    get snapshot() {
+        return { deletedAtColumn: 'deleted_at' };
+    }
+
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
 
-        return { sql, values };
+    get provenance() {
+        return true;
     }
 
     /**
@@ -5,6 +5,7 @@
  *
  * Special features:
  * - Truncates staging table before processing
+ * - Can bulk load via COPY (ORDERS_LOAD_MODE=copy)
  * - Generates row hash for deduplication
  * - Calls merge_orders_stage() stored procedure after insert
  *
@@ -16,6 +17,41 @@
 
 const BasePipeline = require('../../core/BasePipeline');
 const { generateRowHash } = require('../../utils/hash');
+const { createRowCoercer } = require('../../utils/coerce');
+
+/**
+ * orders_stage columns in the order of the buildInsertQuery() values array
+ */
+const STAGE_COLUMNS = [
+    'lab_id', 'submissiondate', 'shippingdate', 'casedate', 'caseid', 'productid',
+    'productdescription', 'quantity', 'productprice', 'patientname',
+    'customerid', 'customername', 'address', 'phonenumber', 'casestatus',
+    'holdreason', 'estimatecompletedate', 'requestedreturndate',
+    'trackingnumber', 'estimatedshipdate', 'holddate', 'deliverystatus',
+    'notes', 'onhold', 'shade', 'mold', 'doctorpreferences',
+    'productpreferences', 'comments', 'casetotal',
+    'source_file_key', 'row_hash'
+];
+
+/**
+ * row_hash input: the source values as they were staged before the shared
+ * coercers (raw strings, numeric lab_id and quantity), so a re-sent order
+ * hashes the same as when it was first loaded and merge_orders_stage() keeps
+ * telling changed orders from unchanged ones
+ * @param {Object} row - Normalized CSV row
+ * @returns {Object}
+ */
+function stageHashSource(row) {
+    const source = {};
+    for (const column of STAGE_COLUMNS) {
+        if (column === 'source_file_key' || column === 'row_hash') continue;
+        source[column] = row[column === 'lab_id' ? 'labid' : column] || null;
+    }
+    const labId = row.labid ? Number(row.labid) : null;
+    source.lab_id = Number.isNaN(labId) ? null : labId;
+    source.quantity = row.quantity ? parseInt(row.quantity, 10) : null;
+    return source;
+}
 
 class OrdersPipeline extends BasePipeline {
     /**
@@ -23,6 +59,11 @@ class OrdersPipeline extends BasePipeline {
      */
     static pipelineName = 'orders';
 
+    /**
+     * Orders reference customers through lab_practice_mapping - load after lab-practice-mapping
+     */
+    static dependsOn = ['lab-practice-mapping'];
+
     // ==================== REQUIRED IMPLEMENTATIONS ====================
 
     get name() {
@@ -43,6 +84,14 @@ class OrdersPipeline extends BasePipeline {
 
     // ==================== OPTIONAL OVERRIDES ====================
 
+    /**
+     * MagicTouch files carry their export time in the name
+     * ('magictouch-orders-2025-03-04T12-30-45-123Z.csv')
+     */
+    get fileOrder() {
+        return { ...super.fileOrder, strategy: 'fileNameTimestamp' };
+    }
+
     /**
      * Orders pipeline truncates staging table before each run
      */
@@ -50,69 +99,106 @@ class OrdersPipeline extends BasePipeline {
         return true;
     }
 
+    get bulkColumns() {
+        return STAGE_COLUMNS;
+    }
+
+    /**
+     * Headers of the MagicTouch export - every column mapRow() reads is expected
+     */
+    get headerContract() {
+        return {
+            expected: STAGE_COLUMNS
+                .filter(column => column !== 'source_file_key' && column !== 'row_hash')
+                .map(column => (column === 'lab_id' ? 'labid' : column)),
+            optional: [],
+            aliases: {}
+        };
+    }
+
     /**
      * Transform CSV row to database schema
+     * Dates are normalized to ISO (YYYY-MM-DD[ HH:MM:SS]) and prices accept
+     * currency symbols/thousands separators; unparseable values reject the row.
+     * caseid stays text (MagicTouch case numbers are not always numeric) and
+     * row_hash is taken from the source values, not the coerced ones.
      */
     mapRow(row) {
-        const labId = row.labid ? Number(row.labid) : null;
+        const c = createRowCoercer();
 
-        return {
-            lab_id: Number.isNaN(labId) ? null : labId,
-            submissiondate: row.submissiondate || null,
-            shippingdate: row.shippingdate || null,
-            casedate: row.casedate || null,
-            caseid: row.caseid || null,
-            productid: row.productid || null,
-            productdescription: row.productdescription || null,
-            quantity: row.quantity ? parseInt(row.quantity, 10) : null,
-            productprice: row.productprice || null,
-            patientname: row.patientname || null,
-            customerid: row.customerid || null,
-            customername: row.customername || null,
-            address: row.address || null,
-            phonenumber: row.phonenumber || null,
-            casestatus: row.casestatus || null,
-            holdreason: row.holdreason || null,
-            estimatecompletedate: row.estimatecompletedate || null,
-            requestedreturndate: row.requestedreturndate || null,
-            trackingnumber: row.trackingnumber || null,
-            estimatedshipdate: row.estimatedshipdate || null,
-            holddate: row.holddate || null,
-            deliverystatus: row.deliverystatus || null,
-            notes: row.notes || null,
-            onhold: row.onhold || null,
-            shade: row.shade || null,
-            mold: row.mold || null,
-            doctorpreferences: row.doctorpreferences || null,
-            productpreferences: row.productpreferences || null,
-            comments: row.comments || null,
-            casetotal: row.casetotal || null
-        };
+        const mappedRow = c.finish({
+            lab_id: c.integer('lab_id', row.labid),
+            submissiondate: c.date('submissiondate', row.submissiondate),
+            shippingdate: c.date('shippingdate', row.shippingdate),
+            casedate: c.date('casedate', row.casedate),
+            caseid: c.text('caseid', row.caseid),
+            productid: c.text('productid', row.productid),
+            productdescription: c.text('productdescription', row.productdescription),
+            quantity: c.integer('quantity', row.quantity),
+            productprice: c.decimal('productprice', row.productprice),
+            patientname: c.text('patientname', row.patientname),
+            customerid: c.text('customerid', row.customerid),
+            customername: c.text('customername', row.customername),
+            address: c.text('address', row.address),
+            phonenumber: c.text('phonenumber', row.phonenumber),
+            casestatus: c.text('casestatus', row.casestatus),
+            holdreason: c.text('holdreason', row.holdreason),
+            estimatecompletedate: c.date('estimatecompletedate', row.estimatecompletedate),
+            requestedreturndate: c.date('requestedreturndate', row.requestedreturndate),
+            trackingnumber: c.text('trackingnumber', row.trackingnumber),
+            estimatedshipdate: c.date('estimatedshipdate', row.estimatedshipdate),
+            holddate: c.date('holddate', row.holddate),
+            deliverystatus: c.text('deliverystatus', row.deliverystatus),
+            notes: c.text('notes', row.notes),
+            onhold: c.text('onhold', row.onhold),
+            shade: c.text('shade', row.shade),
+            mold: c.text('mold', row.mold),
+            doctorpreferences: c.text('doctorpreferences', row.doctorpreferences),
+            productpreferences: c.text('productpreferences', row.productpreferences),
+            comments: c.text('comments', row.comments),
+            casetotal: c.decimal('casetotal', row.casetotal)
+        });
+        mappedRow.row_hash = generateRowHash(stageHashSource(row));
+        return mappedRow;
+    }
+
+    /**
+     * Order sanity checks
+     * casestatus is only checked when ORDER_CASE_STATUSES (comma-separated) is set
+     */
+    get validationRules() {
+        const rules = [
+            { field: 'quantity', gt: 0 },
+            { field: 'shippingdate', compare: '>=', to: 'casedate', severity: 'warn' }
+        ];
+
+        const caseStatuses = this.config.orderCaseStatuses || [];
+        if (caseStatuses.length > 0) {
+            rules.push({ field: 'casestatus', oneOf: caseStatuses, severity: 'warn' });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Orders reference customers through the lab/practice mapping - orphans are quarantined
+     */
+    get references() {
+        return [
+            { fields: ['lab_id', 'customerid'], table: 'lab_practice_mapping', columns: ['lab_id', 'lab_practice_id'], label: 'customer' }
+        ];
     }
 
     /**
      * Build INSERT query with hash for deduplication
      */
     buildInsertQuery(mappedRow, fileName = '') {
-        const caseid = mappedRow.caseid ? parseInt(mappedRow.caseid, 10) : null;
-        const rowHash = generateRowHash(mappedRow);
         const sourceFileKey = this.config.sourcePath + (fileName || '');
 
+        const placeholders = STAGE_COLUMNS.map((_, i) => `$${i + 1}`).join(', ');
         const sql = `
-            INSERT INTO orders_stage (
-                lab_id, submissiondate, shippingdate, casedate, caseid, productid,
-                productdescription, quantity, productprice, patientname,
-                customerid, customername, address, phonenumber, casestatus,
-                holdreason, estimatecompletedate, requestedreturndate,
-                trackingnumber, estimatedshipdate, holddate, deliverystatus,
-                notes, onhold, shade, mold, doctorpreferences,
-                productpreferences, comments, casetotal,
-                source_file_key, row_hash
-            ) VALUES (
-                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
-                $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
-                $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32
-            )
+            INSERT INTO orders_stage (${STAGE_COLUMNS.join(', ')})
+            VALUES (${placeholders})
         `;
 
         const values = [
@@ -120,7 +206,7 @@ class OrdersPipeline extends BasePipeline {
             mappedRow.submissiondate,
             mappedRow.shippingdate,
             mappedRow.casedate,
-            caseid,
+            mappedRow.caseid,
             mappedRow.productid,
             mappedRow.productdescription,
             mappedRow.quantity,
@@ -147,7 +233,7 @@ class OrdersPipeline extends BasePipeline {
             mappedRow.comments,
             mappedRow.casetotal,
             sourceFileKey,
-            rowHash
+            mappedRow.row_hash
         ];
 
         return { sql, values };
@@ -11,6 +11,9 @@
  * - incisive_name (incisivename in CSV)
  * - category
  *
+ * Row hash: unchanged rows are skipped via row_hash (ROW_HASHES=true)
+ * Provenance: etl_run_id, source_file_key, source_row_number, loaded_at (PROVENANCE_COLUMNS=true)
+ *
  * Environment variable: PRODUCT_CATALOG_SOURCEPATH
  */
 
@@ -32,53 +35,28 @@ class ProductCatalogPipeline extends BasePipeline {
         return 'incisive_product_catalog';
     }
 
-    get requiredFields() {
-        return ['incisive_id', 'incisive_name', 'category'];
-    }
-
     get envKey() {
         return 'PRODUCT_CATALOG_SOURCEPATH';
     }
 
     /**
-     * Transform CSV row to database schema
-     * Handles CSV column name variations (incisiveid -> incisive_id)
+     * Column spec - incisive_id is the upsert key
      */
-    mapRow(row) {
-        const incisiveId = row.incisiveid ? Number(row.incisiveid) : null;
-
-        return {
-            incisive_id: Number.isNaN(incisiveId) ? null : incisiveId,
-            incisive_name: row.incisivename || null,
-            category: row.category || null,
-            sub_category: row.subcategory || null
-        };
+    get columns() {
+        return [
+            { header: 'incisiveid', column: 'incisive_id', type: 'integer', required: true, conflictKey: true },
+            { header: 'incisivename', column: 'incisive_name', type: 'text', required: true },
+            { header: 'category', column: 'category', type: 'text', required: true },
+            { header: 'subcategory', column: 'sub_category', type: 'text' }
+        ];
     }
 
-    /**
-     * Build INSERT query with ON CONFLICT handling
-     */
-    buildInsertQuery(mappedRow) {
-        const sql = `
-            INSERT INTO incisive_product_catalog (
-                incisive_id, incisive_name, category, sub_category
-            ) VALUES (
-                $1, $2, $3, $4
-            )
-            ON CONFLICT (incisive_id) DO UPDATE SET
-                incisive_name = EXCLUDED.incisive_name,
-                category = EXCLUDED.category,
-                sub_category = EXCLUDED.sub_category
-        `;
-
-        const values = [
-            mappedRow.incisive_id,
-            mappedRow.incisive_name,
-            mappedRow.category,
-            mappedRow.sub_category
-        ];
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
 
-        return { sql, values };
+    get provenance() {
+        return true;
     }
 
     /**
@@ -17,6 +17,10 @@
  * - nf_price (nfprice in CSV) - FLOAT
  * - commitment_eligible (commitmenteligible in CSV) - BOOLEAN
  *
+ * Row hash: unchanged rows are skipped via row_hash (ROW_HASHES=true)
+ * Provenance: etl_run_id, source_file_key, source_row_number, loaded_at (PROVENANCE_COLUMNS=true)
+ * Workbook: .xlsx files read from PRODUCT_LAB_MARKUP_SHEET / PRODUCT_LAB_MARKUP_HEADER_ROW
+ *
  * Environment variable: PRODUCT_LAB_MARKUP_SOURCEPATH
  */
 
@@ -38,79 +42,53 @@ class ProductLabMarkupPipeline extends BasePipeline {
         return 'product_lab_markup';
     }
 
-    get requiredFields() {
-        return ['lab_id', 'lab_product_id'];
-    }
-
     get envKey() {
         return 'PRODUCT_LAB_MARKUP_SOURCEPATH';
     }
 
     /**
-     * Transform CSV row to database schema
-     * Handles numeric and boolean conversions
+     * Column spec - (lab_id, lab_product_id) is the upsert key
      */
-    mapRow(row) {
-        // Parse numeric fields
-        const labId = row.labid ? Number(row.labid) : null;
-        const incisiveProductId = row.incisiveproductid ? Number(row.incisiveproductid) : null;
-        const cost = row.cost ? parseFloat(row.cost) : null;
-        const standardPrice = row.standardprice ? parseFloat(row.standardprice) : null;
-        const nfPrice = row.nfprice ? parseFloat(row.nfprice) : null;
-
-        // Parse boolean for commitment_eligible
-        let commitmentEligible = null;
-        if (row.commitmenteligible !== undefined && row.commitmenteligible !== null && row.commitmenteligible !== '') {
-            const val = String(row.commitmenteligible).toLowerCase().trim();
-            commitmentEligible = (val === 'true' || val === '1' || val === 'yes');
-        }
-
-        return {
-            lab_id: Number.isNaN(labId) ? null : labId,
-            lab_product_id: row.labproductid || null,
-            incisive_product_id: Number.isNaN(incisiveProductId) ? null : incisiveProductId,
-            cost: Number.isNaN(cost) ? null : cost,
-            standard_price: Number.isNaN(standardPrice) ? null : standardPrice,
-            nf_price: Number.isNaN(nfPrice) ? null : nfPrice,
-            commitment_eligible: commitmentEligible
-        };
+    get columns() {
+        return [
+            { header: 'labid', column: 'lab_id', type: 'integer', required: true, conflictKey: true },
+            { header: 'labproductid', column: 'lab_product_id', type: 'text', required: true, conflictKey: true },
+            { header: 'incisiveproductid', column: 'incisive_product_id', type: 'integer' },
+            { header: 'cost', column: 'cost', type: 'decimal' },
+            { header: 'standardprice', column: 'standard_price', type: 'decimal' },
+            { header: 'nfprice', column: 'nf_price', type: 'decimal' },
+            { header: 'commitmenteligible', column: 'commitment_eligible', type: 'boolean' }
+        ];
     }
 
     /**
-     * Build INSERT query with composite key conflict handling
+     * Prices can't be negative; a price below cost is loaded but flagged
      */
-    buildInsertQuery(mappedRow) {
-        const sql = `
-            INSERT INTO product_lab_markup (
-                lab_id,
-                lab_product_id,
-                incisive_product_id,
-                cost,
-                standard_price,
-                nf_price,
-                commitment_eligible
-            ) VALUES (
-                $1, $2, $3, $4, $5, $6, $7
-            )
-            ON CONFLICT (lab_id, lab_product_id) DO UPDATE SET
-                incisive_product_id = EXCLUDED.incisive_product_id,
-                cost = EXCLUDED.cost,
-                standard_price = EXCLUDED.standard_price,
-                nf_price = EXCLUDED.nf_price,
-                commitment_eligible = EXCLUDED.commitment_eligible
-        `;
-
-        const values = [
-            mappedRow.lab_id,
-            mappedRow.lab_product_id,
-            mappedRow.incisive_product_id,
-            mappedRow.cost,
-            mappedRow.standard_price,
-            mappedRow.nf_price,
-            mappedRow.commitment_eligible
+    get validationRules() {
+        return [
+            { field: 'cost', min: 0 },
+            { field: 'standard_price', min: 0 },
+            { field: 'nf_price', min: 0 },
+            { field: 'standard_price', compare: '>=', to: 'cost', severity: 'warn' }
         ];
+    }
+
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
 
-        return { sql, values };
+    get provenance() {
+        return true;
+    }
+
+    /**
+     * Pricing is maintained in Excel: .xlsx drops are read from the sheet
+     * PRODUCT_LAB_MARKUP_SHEET (name or index, default: first sheet), headers
+     * on row PRODUCT_LAB_MARKUP_HEADER_ROW (default: 1). lab_product_id text
+     * cells keep their leading zeros.
+     */
+    get workbook() {
+        return { ...super.workbook, ...(this.config.workbooks || {})[this.name] };
     }
 
     /**
@@ -18,6 +18,10 @@
  *
  * Lab ID Reference: SKDLA=1, Power=2, Biotec=3, Universal=4, 3DDx=5, OB=6
  *
+ * Row hash: unchanged rows are skipped via row_hash (ROW_HASHES=true)
+ * Provenance: etl_run_id, source_file_key, source_row_number, loaded_at (PROVENANCE_COLUMNS=true)
+ * Workbook: .xlsx files read from PRODUCT_LAB_REV_SHARE_SHEET / PRODUCT_LAB_REV_SHARE_HEADER_ROW
+ *
  * Environment variable: PRODUCT_LAB_REV_SHARE_SOURCEPATH
  */
 
@@ -39,72 +43,48 @@ class ProductLabRevSharePipeline extends BasePipeline {
         return 'product_lab_rev_share';
     }
 
-    get requiredFields() {
-        return ['lab_id', 'lab_product_id', 'fee_schedule_name'];
-    }
-
     get envKey() {
         return 'PRODUCT_LAB_REV_SHARE_SOURCEPATH';
     }
 
     /**
-     * Transform CSV row to database schema
-     * Handles numeric and boolean conversions
+     * Column spec - (lab_id, lab_product_id, fee_schedule_name) is the upsert key
      */
-    mapRow(row) {
-        // Parse numeric fields
-        const labId = row.labid ? Number(row.labid) : null;
-        const incisiveProductId = row.incisiveproductid ? Number(row.incisiveproductid) : null;
-        const revenueShare = row.revenueshare ? parseFloat(row.revenueshare) : null;
-
-        // Parse boolean for commitment_eligible
-        let commitmentEligible = null;
-        if (row.commitmenteligible !== undefined && row.commitmenteligible !== null && row.commitmenteligible !== '') {
-            const val = String(row.commitmenteligible).toLowerCase().trim();
-            commitmentEligible = (val === 'true' || val === '1' || val === 'yes');
-        }
-
-        return {
-            lab_id: Number.isNaN(labId) ? null : labId,
-            lab_product_id: row.labproductid || null,
-            incisive_product_id: Number.isNaN(incisiveProductId) ? null : incisiveProductId,
-            fee_schedule_name: row.feeschedulename || null,
-            revenue_share: Number.isNaN(revenueShare) ? null : revenueShare,
-            commitment_eligible: commitmentEligible
-        };
+    get columns() {
+        return [
+            { header: 'labid', column: 'lab_id', type: 'integer', required: true, conflictKey: true },
+            { header: 'labproductid', column: 'lab_product_id', type: 'text', required: true, conflictKey: true },
+            { header: 'incisiveproductid', column: 'incisive_product_id', type: 'integer' },
+            { header: 'feeschedulename', column: 'fee_schedule_name', type: 'text', required: true, conflictKey: true },
+            { header: 'revenueshare', column: 'revenue_share', type: 'decimal' },
+            { header: 'commitmenteligible', column: 'commitment_eligible', type: 'boolean' }
+        ];
     }
 
     /**
-     * Build INSERT query with composite key conflict handling
+     * revenue_share is a fraction of the price
      */
-    buildInsertQuery(mappedRow) {
-        const sql = `
-            INSERT INTO product_lab_rev_share (
-                lab_id,
-                lab_product_id,
-                incisive_product_id,
-                fee_schedule_name,
-                revenue_share,
-                commitment_eligible
-            ) VALUES (
-                $1, $2, $3, $4, $5, $6
-            )
-            ON CONFLICT (lab_id, lab_product_id, fee_schedule_name) DO UPDATE SET
-                incisive_product_id = EXCLUDED.incisive_product_id,
-                revenue_share = EXCLUDED.revenue_share,
-                commitment_eligible = EXCLUDED.commitment_eligible
-        `;
-
-        const values = [
-            mappedRow.lab_id,
-            mappedRow.lab_product_id,
-            mappedRow.incisive_product_id,
-            mappedRow.fee_schedule_name,
-            mappedRow.revenue_share,
-            mappedRow.commitment_eligible
+    get validationRules() {
+        return [
+            { field: 'revenue_share', min: 0, max: 1 }
         ];
+    }
+
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
 
-        return { sql, values };
+    get provenance() {
+        return true;
+    }
+
+    /**
+     * Revenue share schedules come from the pricing workbook
+     * (PRODUCT_LAB_REV_SHARE_SHEET, name or index, default first sheet;
+     * headers on PRODUCT_LAB_REV_SHARE_HEADER_ROW, default 1)
+     */
+    get workbook() {
+        return { ...super.workbook, ...(this.config.workbooks || {})[this.name] };
     }
 
     /**
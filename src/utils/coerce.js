@@ -0,0 +1,330 @@
+/**
+ * Type Coercion
+ * =============
+ * Shared value parsers for pipeline mapRow() implementations and column specs.
+ *
+ * Every parser returns null for empty input (undefined, null, '' or whitespace)
+ * and throws a CoercionError for input it cannot interpret, instead of silently
+ * turning it into null/NaN.
+ *
+ * Use createRowCoercer() inside mapRow() to collect every failure on a row
+ * and report them together as one row error:
+ *
+ * @example
+ * mapRow(row) {
+ *     const c = createRowCoercer();
+ *     return c.finish({
+ *         lab_id: c.integer('lab_id', row.labid),
+ *         cost: c.decimal('cost', row.cost),
+ *         active: c.boolean('active', row.active)
+ *     });
+ * }
+ */
+
+const TRUE_VALUES = ['true', 't', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0'];
+
+/**
+ * Raised when a single value cannot be coerced
+ */
+class CoercionError extends Error {
+    /**
+     * @param {string} message - What was wrong with the value
+     * @param {any} value - Original value
+     * @param {string} [field] - Target field name
+     * @param {string} [type] - Coercion type that rejected the value
+     */
+    constructor(message, value, field, type) {
+        super(message);
+        this.name = 'CoercionError';
+        this.value = value;
+        this.field = field;
+        this.type = type;
+    }
+}
+
+/**
+ * Raised by RowCoercer.finish() when one or more fields failed to coerce
+ */
+class RowCoercionError extends Error {
+    /**
+     * @param {CoercionError[]} errors - Field-level failures
+     */
+    constructor(errors) {
+        super(`Invalid values: ${errors.map(e => `${e.field} (${e.message})`).join('; ')}`);
+        this.name = 'RowCoercionError';
+        this.errors = errors;
+        this.fields = errors.map(e => e.field);
+    }
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} True for undefined, null or blank strings
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Trimmed text, null when empty
+ * @param {any} value
+ * @returns {string|null}
+ */
+function toText(value) {
+    if (isEmpty(value)) return null;
+    return String(value).trim();
+}
+
+/**
+ * Strip currency symbols, thousands separators and accounting parentheses
+ * @param {any} value
+ * @returns {string} Plain numeric string (e.g. '$(1,234.50)' -> '-1234.50')
+ */
+function cleanNumber(value) {
+    let text = String(value).trim().replace(/[$€£¥\s]/g, '');
+    let negative = false;
+
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (/^\d{1,3}(,\d{3})+(\.\d*)?$/.test(text.replace(/^[-+]/, ''))) {
+        text = text.replace(/,/g, '');
+    }
+
+    return negative ? `-${text}` : text;
+}
+
+/**
+ * Decimal number; accepts currency symbols, thousands separators and (negatives)
+ * @param {any} value
+ * @returns {number|null}
+ */
+function toDecimal(value) {
+    if (typeof value === 'number') {
+        if (Number.isFinite(value)) return value;
+        throw new CoercionError(`'${value}' is not a number`, value);
+    }
+    if (isEmpty(value)) return null;
+
+    const text = cleanNumber(value);
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+        throw new CoercionError(`'${value}' is not a number`, value);
+    }
+    return Number(text);
+}
+
+/**
+ * Whole number; same input rules as toDecimal() but must have no fractional part
+ * @param {any} value
+ * @returns {number|null}
+ */
+function toInteger(value) {
+    if (isEmpty(value)) return null;
+
+    let num;
+    try {
+        num = toDecimal(value);
+    } catch (error) {
+        throw new CoercionError(`'${value}' is not an integer`, value);
+    }
+    if (!Number.isSafeInteger(num)) {
+        throw new CoercionError(`'${value}' is not an integer`, value);
+    }
+    return num;
+}
+
+/**
+ * Boolean; accepts true/false, t/f, yes/no, y/n, 1/0 (case-insensitive)
+ * @param {any} value
+ * @returns {boolean|null}
+ */
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (isEmpty(value)) return null;
+
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    throw new CoercionError(`'${value}' is not a boolean`, value);
+}
+
+/**
+ * Build a YYYY-MM-DD string after checking the calendar date exists
+ */
+function formatDate(year, month, day, original) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw new CoercionError(`'${original}' is not a valid date`, original);
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Build an HH:MM:SS string from a time match (supports AM/PM)
+ */
+function formatTime(hours, minutes, seconds, meridiem, original) {
+    let h = Number(hours);
+    if (meridiem) {
+        if (h < 1 || h > 12) throw new CoercionError(`'${original}' is not a valid time`, original);
+        h = (h % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    }
+    const m = Number(minutes);
+    const s = Number(seconds || 0);
+    if (h > 23 || m > 59 || s > 59) {
+        throw new CoercionError(`'${original}' is not a valid time`, original);
+    }
+    return [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+const TIME_PATTERN = '(?:[T ](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?\\s*([AaPp][Mm])?\\s*(Z|[+-]\\d{2}:?\\d{2})?)?';
+const ISO_DATE = new RegExp(`^(\\d{4})[-/](\\d{1,2})[-/](\\d{1,2})${TIME_PATTERN}$`);
+const US_DATE = new RegExp(`^(\\d{1,2})[-/](\\d{1,2})[-/](\\d{4}|\\d{2})${TIME_PATTERN}$`);
+
+/**
+ * Date or timestamp
+ * Accepts YYYY-MM-DD, YYYY/MM/DD, MM/DD/YYYY, MM-DD-YYYY and M/D/YY, each with an
+ * optional time (HH:MM[:SS], optional AM/PM, optional Z/±HH:MM offset).
+ * @param {any} value
+ * @returns {string|null} 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM:SS[offset]'
+ */
+function toDate(value) {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) throw new CoercionError('Invalid Date', value);
+        return value.toISOString();
+    }
+    if (isEmpty(value)) return null;
+
+    const text = String(value).trim();
+    let year;
+    let month;
+    let day;
+    let time;
+
+    let match = text.match(ISO_DATE);
+    if (match) {
+        year = Number(match[1]);
+        month = Number(match[2]);
+        day = Number(match[3]);
+        time = match.slice(4);
+    } else if ((match = text.match(US_DATE))) {
+        month = Number(match[1]);
+        day = Number(match[2]);
+        year = Number(match[3]);
+        if (match[3].length === 2) year += year < 70 ? 2000 : 1900;
+        time = match.slice(4);
+    } else {
+        throw new CoercionError(`'${value}' is not a recognised date`, value);
+    }
+
+    const date = formatDate(year, month, day, value);
+    const [hours, minutes, seconds, meridiem, offset] = time;
+    if (hours === undefined) return date;
+
+    const clock = formatTime(hours, minutes, seconds, meridiem, value);
+    return `${date} ${clock}${offset ? (offset === 'Z' ? '+00:00' : offset) : ''}`;
+}
+
+/**
+ * Enumeration; matches case- and whitespace-insensitively and returns the canonical value
+ * @param {any} value
+ * @param {string[]} allowed - Canonical values
+ * @param {Object<string, string>} [aliases] - Extra spellings mapped to a canonical value
+ * @returns {string|null}
+ */
+function toEnum(value, allowed, aliases = {}) {
+    if (isEmpty(value)) return null;
+
+    const key = String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+    const canonical = allowed.find(option => option.toLowerCase() === key);
+    if (canonical !== undefined) return canonical;
+
+    const aliasKey = Object.keys(aliases).find(alias => alias.toLowerCase() === key);
+    if (aliasKey !== undefined) return aliases[aliasKey];
+
+    throw new CoercionError(`'${value}' is not one of ${allowed.join(', ')}`, value);
+}
+
+// Parsers by column spec type name
+const PARSERS = {
+    text: (value) => toText(value),
+    integer: (value) => toInteger(value),
+    decimal: (value) => toDecimal(value),
+    boolean: (value) => toBoolean(value),
+    date: (value) => toDate(value),
+    enum: (value, options) => toEnum(value, options.values || [], options.aliases)
+};
+
+/**
+ * Collects coercion failures for one row instead of throwing on the first one
+ */
+class RowCoercer {
+    constructor() {
+        this.errors = [];
+    }
+
+    /**
+     * Coerce a value by type name, recording a failure and returning null on error
+     * @param {string} type - 'text', 'integer', 'decimal', 'boolean', 'date' or 'enum'
+     * @param {string} field - Target field name (used in the error message)
+     * @param {any} value - Raw value
+     * @param {Object} [options] - { values, aliases } for 'enum'
+     * @returns {any}
+     */
+    coerce(type, field, value, options = {}) {
+        const parse = PARSERS[type];
+        if (!parse) {
+            throw new Error(`Unknown coercion type '${type}' for field ${field}`);
+        }
+        try {
+            return parse(value, options);
+        } catch (error) {
+            if (!(error instanceof CoercionError)) throw error;
+            error.field = field;
+            error.type = type;
+            this.errors.push(error);
+            return null;
+        }
+    }
+
+    text(field, value) { return this.coerce('text', field, value); }
+    integer(field, value) { return this.coerce('integer', field, value); }
+    decimal(field, value) { return this.coerce('decimal', field, value); }
+    boolean(field, value) { return this.coerce('boolean', field, value); }
+    date(field, value) { return this.coerce('date', field, value); }
+    enum(field, value, values, aliases) { return this.coerce('enum', field, value, { values, aliases }); }
+
+    /**
+     * Return the mapped row, or throw RowCoercionError if any field failed
+     * @param {Object} mappedRow
+     * @returns {Object}
+     */
+    finish(mappedRow) {
+        if (this.errors.length > 0) {
+            throw new RowCoercionError(this.errors);
+        }
+        return mappedRow;
+    }
+}
+
+/**
+ * @returns {RowCoercer} New collector for one row
+ */
+function createRowCoercer() {
+    return new RowCoercer();
+}
+
+module.exports = {
+    CoercionError,
+    RowCoercionError,
+    createRowCoercer,
+    isEmpty,
+    toText,
+    toInteger,
+    toDecimal,
+    toBoolean,
+    toDate,
+    toEnum,
+    COERCION_TYPES: Object.keys(PARSERS)
+};
@@ -0,0 +1,41 @@
+/**
+ * Bounded Concurrency
+ * ===================
+ * Runs an async worker over a list with at most `limit` calls in flight.
+ * Items start in list order and results keep that order; with a limit of 1
+ * this is a plain sequential loop.
+ *
+ * The worker should handle its own errors - the first rejection rejects the
+ * whole call while the other workers keep running.
+ *
+ * @example
+ * const results = await mapWithConcurrency(files, 4, file => orchestrator.processFile(name, file));
+ */
+
+/**
+ * Map items through an async worker, at most `limit` at a time
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - Maximum calls in flight (at least 1)
+ * @param {function(T, number): Promise<R>} worker - Called with each item and its index
+ * @returns {Promise<R[]>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runner = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    const runnerCount = Math.min(Math.max(1, limit || 1), items.length);
+    await Promise.all(Array.from({ length: runnerCount }, runner));
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
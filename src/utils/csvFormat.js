@@ -0,0 +1,259 @@
+/**
+ * CSV Format Sniffing
+ * ===================
+ * Works out how an incoming CSV is written before it is parsed, from the
+ * first SAMPLE_BYTES of the file:
+ * - bom:       UTF-8 / UTF-16LE byte order mark (stripped, so the first header
+ *              is not corrupted by normalizeRow)
+ * - encoding:  'utf8', 'utf16le' (from the BOM) or 'windows-1252' when the
+ *              sample is not valid UTF-8 (Excel's "CSV" export on Windows)
+ * - delimiter: ',', ';', tab or '|' - whichever splits the sampled records
+ *              into the most consistent number of fields
+ * - quote:     '"', or "'" when only single quotes wrap fields
+ *
+ * The file is transcoded to UTF-8 while it streams, so csv-parser and every
+ * later step only ever see UTF-8. Any setting can be forced per pipeline
+ * (BasePipeline.csvFormat); forced settings are not sniffed.
+ *
+ * @example
+ * const { format, stream } = await sniffCsvStream(body, { delimiter: ';' });
+ * // format -> { encoding: 'windows-1252', bom: null, delimiter: ';', quote: '"', sniffed: ['encoding', 'quote'] }
+ * stream.pipe(csv({ separator: format.delimiter, quote: format.quote }));
+ */
+
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+// Bytes read before deciding on the format
+const SAMPLE_BYTES = 64 * 1024;
+
+// Records compared when sniffing the delimiter
+const SAMPLE_RECORDS = 20;
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+const ENCODINGS = ['utf8', 'utf16le', 'windows-1252', 'latin1'];
+
+// Windows-1252 characters for bytes 0x80-0x9F (where it differs from latin1)
+const WINDOWS_1252 = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+    0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ',
+    0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+    0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+    0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+/**
+ * Byte order mark at the start of a sample
+ * @param {Buffer} sample
+ * @returns {'utf8'|'utf16le'|'utf16be'|null}
+ */
+function detectBom(sample) {
+    if (sample.length >= 3 && sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return 'utf8';
+    if (sample.length >= 2 && sample[0] === 0xff && sample[1] === 0xfe) return 'utf16le';
+    if (sample.length >= 2 && sample[0] === 0xfe && sample[1] === 0xff) return 'utf16be';
+    return null;
+}
+
+/**
+ * Whether a sample is valid UTF-8 (a sequence cut off at the end is allowed)
+ * @param {Buffer} sample
+ * @returns {boolean}
+ */
+function isUtf8(sample) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Streaming decoder for one of ENCODINGS
+ * @param {string} encoding
+ * @returns {{ write: function(Buffer): string, end: function(): string }}
+ */
+function createDecoder(encoding) {
+    if (encoding === 'windows-1252') {
+        const latin1 = new StringDecoder('latin1');
+        const remap = text => text.replace(/[\x80-\x9f]/g, char => WINDOWS_1252[char.charCodeAt(0)] || char);
+        return {
+            write: chunk => remap(latin1.write(chunk)),
+            end: () => remap(latin1.end())
+        };
+    }
+    const decoder = new StringDecoder(encoding);
+    return {
+        write: chunk => decoder.write(chunk),
+        end: () => decoder.end()
+    };
+}
+
+/**
+ * Split sampled text into records, counting each delimiter outside quotes
+ * @param {string} text - Decoded sample
+ * @param {string} quote - Quote character
+ * @param {boolean} complete - Sample is the whole file (keep the last record)
+ * @returns {Object<string, number>[]} Delimiter counts per record
+ */
+function countDelimiters(text, quote, complete) {
+    const records = [];
+    let counts = {};
+    let inQuotes = false;
+    let hasContent = false;
+
+    for (let i = 0; i < text.length && records.length < SAMPLE_RECORDS; i++) {
+        const char = text[i];
+        if (char === quote) {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            if (hasContent) records.push(counts);
+            counts = {};
+            hasContent = false;
+            continue;
+        } else if (!inQuotes && DELIMITERS.includes(char)) {
+            counts[char] = (counts[char] || 0) + 1;
+        }
+        hasContent = true;
+    }
+    if (complete && hasContent && records.length < SAMPLE_RECORDS) records.push(counts);
+    return records;
+}
+
+/**
+ * Delimiter that splits the sampled records most consistently
+ * @param {Object<string, number>[]} records - From countDelimiters()
+ * @returns {string}
+ */
+function pickDelimiter(records) {
+    let best = { delimiter: ',', consistency: 0, fields: 0 };
+    for (const delimiter of DELIMITERS) {
+        const header = records.length > 0 ? (records[0][delimiter] || 0) : 0;
+        if (header === 0) continue;
+        const consistency = records.filter(counts => (counts[delimiter] || 0) === header).length / records.length;
+        if (consistency > best.consistency || (consistency === best.consistency && header > best.fields)) {
+            best = { delimiter, consistency, fields: header };
+        }
+    }
+    return best.delimiter;
+}
+
+/**
+ * Quote character: "'" only when the sample has no double quotes but has
+ * single-quoted fields
+ * @param {string} text - Decoded sample
+ * @returns {string}
+ */
+function pickQuote(text) {
+    if (text.includes('"')) return '"';
+    return /(^|[,;\t|])'[^'\r\n]*'(?=[,;\t|]|\r?\n|$)/m.test(text) ? "'" : '"';
+}
+
+/**
+ * Detect the format of a CSV from its first bytes
+ * @param {Buffer} sample - First bytes of the file
+ * @param {Object} [overrides] - Forced settings ({ encoding, delimiter, quote })
+ * @param {boolean} [complete=false] - Sample is the whole file
+ * @returns {{ encoding: string, bom: string|null, delimiter: string, quote: string, sniffed: string[] }}
+ * @throws {Error} For UTF-16BE files and unsupported forced encodings
+ */
+function detectCsvFormat(sample, overrides = {}, complete = false) {
+    const bom = detectBom(sample);
+    if (bom === 'utf16be') {
+        throw new Error('UTF-16BE files are not supported; re-export as UTF-8');
+    }
+    const sniffed = [];
+
+    let encoding = overrides.encoding;
+    if (!encoding) {
+        encoding = bom || (isUtf8(sample) ? 'utf8' : 'windows-1252');
+        sniffed.push('encoding');
+    }
+    if (!ENCODINGS.includes(encoding)) {
+        throw new Error(`Unsupported CSV encoding '${encoding}' (supported: ${ENCODINGS.join(', ')})`);
+    }
+
+    const text = createDecoder(encoding).write(bom ? sample.subarray(bom === 'utf8' ? 3 : 2) : sample);
+
+    let quote = overrides.quote;
+    if (!quote) {
+        quote = pickQuote(text);
+        sniffed.push('quote');
+    }
+
+    let delimiter = overrides.delimiter;
+    if (!delimiter) {
+        delimiter = pickDelimiter(countDelimiters(text, quote, complete));
+        sniffed.push('delimiter');
+    }
+
+    return { encoding, bom, delimiter, quote, sniffed };
+}
+
+/**
+ * Sniff a CSV stream and return it transcoded to UTF-8 without BOM
+ * @param {Buffer|Stream} source - Raw file content
+ * @param {Object} [overrides] - Forced settings ({ encoding, delimiter, quote })
+ * @returns {Promise<{ format: Object, stream: Readable }>} Detected format (see detectCsvFormat) and UTF-8 stream
+ */
+async function sniffCsvStream(source, overrides = {}) {
+    const iterator = Readable.from(source)[Symbol.asyncIterator]();
+    const chunks = [];
+    let size = 0;
+    let complete = false;
+    while (size < SAMPLE_BYTES) {
+        const next = await iterator.next();
+        if (next.done) {
+            complete = true;
+            break;
+        }
+        const chunk = Buffer.from(next.value);
+        chunks.push(chunk);
+        size += chunk.length;
+    }
+
+    const sample = Buffer.concat(chunks);
+    const format = detectCsvFormat(sample, overrides, complete);
+    const bomLength = { utf8: 3, utf16le: 2 }[format.bom] || 0;
+
+    async function* transcode() {
+        const decoder = createDecoder(format.encoding);
+        try {
+            yield Buffer.from(decoder.write(sample.subarray(bomLength)), 'utf8');
+            if (!complete) {
+                for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                    yield Buffer.from(decoder.write(Buffer.from(next.value)), 'utf8');
+                }
+            }
+            yield Buffer.from(decoder.end(), 'utf8');
+        } finally {
+            // Reached early when the reader stops (rejected file, destroyed
+            // stream) - release the source instead of leaving it paused
+            await iterator.return?.();
+            if (typeof source.destroy === 'function') source.destroy();
+        }
+    }
+
+    return { format, stream: Readable.from(transcode(), { objectMode: false }) };
+}
+
+/**
+ * Short description of a detected format for logs and summaries
+ * @param {Object} format - From detectCsvFormat()
+ * @returns {string} e.g. "';'-delimited, windows-1252"
+ */
+function describeCsvFormat(format) {
+    const delimiter = format.delimiter === '\t' ? 'tab' : `'${format.delimiter}'`;
+    const parts = [`${delimiter}-delimited`, format.encoding];
+    if (format.quote !== '"') parts.push(`quote ${format.quote}`);
+    if (format.bom) parts.push('BOM');
+    return parts.join(', ');
+}
+
+module.exports = {
+    SAMPLE_BYTES,
+    detectCsvFormat,
+    sniffCsvStream,
+    describeCsvFormat
+};
@@ -0,0 +1,132 @@
+/**
+ * CsvFileWriter
+ * =============
+ * Incremental CSV writer for the processed/log outputs.
+ * Rows are appended one at a time so large files never have to be held in memory.
+ *
+ * Columns are given up front (constructor or setColumns() once the source
+ * header is known) and every row is written in that order; missing keys
+ * become empty values. Keys outside the column list are not written but are
+ * collected in `unknownColumns` so the caller can report them.
+ *
+ * A disk error (ENOSPC, EACCES, ...) is kept and rejects the pending and all
+ * later write()/close() calls instead of crashing the process.
+ *
+ * Usage:
+ * const writer = new CsvFileWriter('./logs/log_file.csv', ['id', 'name']);
+ * await writer.write({ id: 1, name: 'a' });
+ * await writer.close();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Quote a single CSV value (same escaping as the original objectToCSV helper)
+ * @param {any} value - Value to quote
+ * @returns {string}
+ */
+function formatCsvValue(value) {
+    return `"${String(value ?? '').replace(/\r?\n/g, ' ').replace(/"/g, '""')}"`;
+}
+
+class CsvFileWriter {
+    /**
+     * @param {string} filePath - Local file path to write to
+     * @param {string[]} [columns] - Header row; may instead be set later with setColumns()
+     */
+    constructor(filePath, columns = null) {
+        this.filePath = filePath;
+        this.columns = null;
+        this.unknownColumns = new Set();
+        this.rowCount = 0;
+        this.stream = null;
+        this.error = null;
+        this.headerWritten = false;
+        if (columns) this.setColumns(columns);
+    }
+
+    /**
+     * Set the header row (only before the first row is written)
+     * @param {string[]} columns
+     */
+    setColumns(columns) {
+        if (this.headerWritten) {
+            throw new Error(`CsvFileWriter: columns of ${this.filePath} are already written`);
+        }
+        this.columns = [...new Set(columns)];
+        this.knownColumns = new Set(this.columns);
+    }
+
+    /**
+     * Open the underlying file stream (creates parent directory if needed)
+     */
+    open() {
+        if (!this.stream) {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.stream = fs.createWriteStream(this.filePath);
+            this.stream.on('error', (error) => {
+                this.error = this.error || error;
+            });
+        }
+    }
+
+    /**
+     * Append a row, waiting for the stream to drain when its buffer is full
+     * @param {Object} row - Row to write
+     * @returns {Promise<void>}
+     * @throws {Error} When no columns are set or the file cannot be written
+     */
+    async write(row) {
+        if (!this.columns) {
+            throw new Error(`CsvFileWriter: columns of ${this.filePath} must be set before writing rows`);
+        }
+        this.open();
+        if (this.error) throw this.error;
+
+        let chunk = '';
+        if (!this.headerWritten) {
+            chunk += this.columns.join(',');
+            this.headerWritten = true;
+        }
+        for (const key of Object.keys(row)) {
+            if (!this.knownColumns.has(key)) this.unknownColumns.add(key);
+        }
+        chunk += '\n' + this.columns.map(key => formatCsvValue(row[key])).join(',');
+        this.rowCount++;
+
+        if (!this.stream.write(chunk)) {
+            await new Promise((resolve, reject) => {
+                const onDrain = () => {
+                    this.stream.off('error', onError);
+                    resolve();
+                };
+                const onError = (error) => {
+                    this.stream.off('drain', onDrain);
+                    reject(error);
+                };
+                this.stream.once('drain', onDrain);
+                this.stream.once('error', onError);
+            });
+        }
+    }
+
+    /**
+     * Flush and close the file (an empty file when nothing was written)
+     * @returns {Promise<string>} Path of the written file
+     * @throws {Error} When the file could not be written
+     */
+    async close() {
+        this.open();
+        if (this.error) {
+            this.stream.destroy();
+            throw this.error;
+        }
+        await new Promise((resolve, reject) => {
+            this.stream.end(error => (error ? reject(error) : resolve()));
+        });
+        return this.filePath;
+    }
+}
+
+module.exports = { CsvFileWriter, formatCsvValue };
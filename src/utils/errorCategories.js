@@ -0,0 +1,148 @@
+/**
+ * Row Error Categories
+ * ====================
+ * Turns a failed row into an actionable category and the column involved,
+ * so the log CSV says "BAD_NUMBER in lab_id" instead of raw Postgres text
+ * like "invalid input syntax for type bigint".
+ *
+ * Database errors are classified by SQLSTATE; the column comes from the
+ * error itself (not-null violations), the key in its detail (unique and
+ * foreign key violations) or the mapped value quoted in its message.
+ * Coercion failures are classified by the column spec type that failed;
+ * rows rejected for required fields, validation rules or unknown references
+ * get their category where they are rejected.
+ *
+ * @example
+ * classifyDatabaseError(
+ *     { code: '22P02', message: 'invalid input syntax for type bigint: "12a"' },
+ *     { lab_id: '12a', name: 'Acme' }
+ * );
+ * // -> { category: 'BAD_NUMBER', column: 'lab_id' }
+ */
+
+const ERROR_CATEGORIES = Object.freeze({
+    DUPLICATE_KEY: 'DUPLICATE_KEY',               // Unique constraint (23505)
+    MISSING_REFERENCE: 'MISSING_REFERENCE',       // Foreign key (23503) or unknown reference (quarantined)
+    MISSING_VALUE: 'MISSING_VALUE',               // NOT NULL (23502) or missing required field
+    BAD_NUMBER: 'BAD_NUMBER',                     // Text where a number was expected
+    NUMBER_OUT_OF_RANGE: 'NUMBER_OUT_OF_RANGE',   // Number too large for the column type (22003)
+    BAD_DATE: 'BAD_DATE',                         // Unparseable or impossible date/time (22007, 22008)
+    BAD_VALUE: 'BAD_VALUE',                       // Any other value the column type or coercion rejects
+    VALUE_TOO_LONG: 'VALUE_TOO_LONG',             // Text longer than the column (22001)
+    CHECK_FAILED: 'CHECK_FAILED',                 // CHECK constraint (23514)
+    VALIDATION_FAILED: 'VALIDATION_FAILED',       // Pipeline validation rule with severity 'reject'
+    DATABASE_ERROR: 'DATABASE_ERROR',             // Any other SQLSTATE
+    PROCESSING_ERROR: 'PROCESSING_ERROR'          // Error thrown while mapping the row
+});
+
+const SQLSTATE_CATEGORIES = {
+    '23505': ERROR_CATEGORIES.DUPLICATE_KEY,
+    '23503': ERROR_CATEGORIES.MISSING_REFERENCE,
+    '23502': ERROR_CATEGORIES.MISSING_VALUE,
+    '23514': ERROR_CATEGORIES.CHECK_FAILED,
+    '22001': ERROR_CATEGORIES.VALUE_TOO_LONG,
+    '22003': ERROR_CATEGORIES.NUMBER_OUT_OF_RANGE,
+    '22007': ERROR_CATEGORIES.BAD_DATE,
+    '22008': ERROR_CATEGORIES.BAD_DATE,
+    '22P02': ERROR_CATEGORIES.BAD_VALUE
+};
+
+const NUMERIC_TYPES = /type (smallint|integer|bigint|numeric|real|double precision)\b/;
+const DATE_TYPES = /type (date|time|timestamp)/;
+
+/**
+ * Category of a Postgres error by SQLSTATE (and type, for invalid text input)
+ * @param {Error} error - Error raised by pg
+ * @returns {string} One of ERROR_CATEGORIES
+ */
+function categorizeSqlState(error) {
+    const category = SQLSTATE_CATEGORIES[error.code];
+    if (!category) return ERROR_CATEGORIES.DATABASE_ERROR;
+    if (category === ERROR_CATEGORIES.BAD_VALUE) {
+        if (NUMERIC_TYPES.test(error.message)) return ERROR_CATEGORIES.BAD_NUMBER;
+        if (DATE_TYPES.test(error.message)) return ERROR_CATEGORIES.BAD_DATE;
+    }
+    return category;
+}
+
+/**
+ * Find the column a Postgres error is about
+ * @param {Error} error - Error raised by pg
+ * @param {Object} row - Mapped row that was being inserted
+ * @returns {string} Column name(s), or '' when it cannot be told
+ */
+function findErrorColumn(error, row) {
+    if (error.column) return error.column;
+
+    // Unique / foreign key: 'Key (lab_id, product_id)=(1, 2) already exists.'
+    const key = /^Key \(([^)]+)\)=/.exec(error.detail || '');
+    if (key) return key[1];
+
+    // Invalid input / out of range: the offending value is quoted in the message
+    const quoted = /"([^"]*)"/.exec(error.message || '');
+    if (quoted) {
+        const match = Object.keys(row).find(column =>
+            row[column] !== null && row[column] !== undefined && String(row[column]) === quoted[1]
+        );
+        if (match) return match;
+    }
+
+    // Value too long: 'value too long for type character varying(10)'
+    const length = /\((\d+)\)/.exec(error.message || '');
+    if (error.code === '22001' && length) {
+        const match = Object.keys(row).find(column =>
+            typeof row[column] === 'string' && row[column].length > Number(length[1])
+        );
+        if (match) return match;
+    }
+
+    return '';
+}
+
+/**
+ * Classify an error raised while inserting a row
+ * @param {Error} error - Error raised by pg
+ * @param {Object} row - Mapped row that was being inserted
+ * @returns {{ category: string, column: string }}
+ */
+function classifyDatabaseError(error, row) {
+    return {
+        category: categorizeSqlState(error),
+        column: findErrorColumn(error, row || {})
+    };
+}
+
+/**
+ * Classify a row the column spec could not coerce (utils/coerce RowCoercionError)
+ * The category follows the first failed field's type.
+ * @param {RowCoercionError} error
+ * @returns {{ category: string, column: string }}
+ */
+function classifyCoercionError(error) {
+    const type = error.errors.length > 0 ? error.errors[0].type : null;
+    let category = ERROR_CATEGORIES.BAD_VALUE;
+    if (type === 'integer' || type === 'decimal') category = ERROR_CATEGORIES.BAD_NUMBER;
+    if (type === 'date') category = ERROR_CATEGORIES.BAD_DATE;
+    return { category, column: error.fields.join(', ') };
+}
+
+/**
+ * Add per-category failed row counts into a running total
+ * @param {Object<string, number>} total - Counts to add to (modified)
+ * @param {Object<string, number>} [counts] - Counts of one file or pipeline
+ * @returns {Object<string, number>} total
+ */
+function addErrorCategories(total, counts) {
+    for (const [category, count] of Object.entries(counts || {})) {
+        total[category] = (total[category] || 0) + count;
+    }
+    return total;
+}
+
+module.exports = {
+    ERROR_CATEGORIES,
+    SQLSTATE_CATEGORIES,
+    classifyDatabaseError,
+    classifyCoercionError,
+    addErrorCategories
+};
@@ -0,0 +1,132 @@
+/**
+ * File Ordering
+ * =============
+ * Decides the order a pipeline loads the files waiting in its source folder,
+ * oldest first, so a catch-up file can never overwrite values from a newer
+ * one. Strategies (BasePipeline.fileOrder):
+ * - lastModified:      S3 LastModified (upload time)
+ * - fileNameTimestamp: date/time in the file name - the extractors' ISO
+ *                      stamps ('dental-groups-2025-03-04T12-30-45-123Z.csv'),
+ *                      '2025-03-04', '20250304' or '20250304_123045'
+ * - sequence:          a number in the file name ('orders_000123.csv'; by
+ *                      default the last number before the extension)
+ * - name:              file name (S3 listing order)
+ *
+ * Every strategy but 'name' gives each file a numeric order key, which is
+ * what the out-of-order check compares against the last loaded file
+ * (etl/FileWatermarkStore). A `pattern` (RegExp or string) overrides how the
+ * timestamp or sequence number is found; its capture groups are
+ * year, month, day[, hour, minute, second, millisecond] or the number.
+ * Files the strategy cannot place (no timestamp or number in the name) are
+ * returned separately and not loaded.
+ *
+ * @example
+ * const { ordered, unordered } = orderFiles(objects, { strategy: 'fileNameTimestamp' });
+ * // ordered -> [{ name: 'groups-2025-01-02.csv', orderKey: 1735776000000 }, ...]
+ */
+
+const FILE_ORDER_STRATEGIES = ['lastModified', 'fileNameTimestamp', 'sequence', 'name'];
+
+// YYYY-MM-DD or YYYYMMDD, optionally followed by HH-MM[-SS[-mmm]] (separators optional)
+const TIMESTAMP_PATTERN = /(\d{4})-?(\d{2})-?(\d{2})(?:[T _-]?(\d{2})[-:]?(\d{2})(?:[-:]?(\d{2})(?:[-.](\d{3}))?)?)?/;
+
+// Last run of digits in the name (source file extensions contain none)
+const SEQUENCE_PATTERN = /(\d+)(?=\D*$)/;
+
+/**
+ * Timestamp (ms, UTC) found in a file name
+ * @param {string} fileName
+ * @param {RegExp|string} [pattern] - Capture groups: year, month, day[, hour, minute, second, millisecond]
+ * @returns {number|null} null when the name has no valid date
+ */
+function parseFileNameTimestamp(fileName, pattern = TIMESTAMP_PATTERN) {
+    const match = new RegExp(pattern).exec(fileName);
+    if (!match) return null;
+    const [year, month, day, hour = 0, minute = 0, second = 0, ms = 0] = match.slice(1).map(part => Number(part || 0));
+    const time = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+    const date = new Date(time);
+    // Reject impossible dates ('2025-13-45') instead of letting Date roll them over
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+    return time;
+}
+
+/**
+ * Sequence number found in a file name
+ * @param {string} fileName
+ * @param {RegExp|string} [pattern] - First capture group is the number
+ * @returns {number|null}
+ */
+function parseSequenceNumber(fileName, pattern = SEQUENCE_PATTERN) {
+    const match = new RegExp(pattern).exec(fileName);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Order key of one listed file
+ * @param {{ name: string, lastModified?: Date }} file - From S3Handler.listFileObjects()
+ * @param {{ strategy: string, pattern?: RegExp|string|null }} settings
+ * @returns {number|string|null} Numeric key, the name for 'name', null when it cannot be placed
+ */
+function fileOrderKey(file, { strategy, pattern = null }) {
+    switch (strategy) {
+        case 'lastModified':
+            return file.lastModified ? new Date(file.lastModified).getTime() : null;
+        case 'fileNameTimestamp':
+            return parseFileNameTimestamp(file.name, pattern || TIMESTAMP_PATTERN);
+        case 'sequence':
+            return parseSequenceNumber(file.name, pattern || SEQUENCE_PATTERN);
+        case 'name':
+            return file.name;
+        default:
+            throw new Error(`Unknown file order strategy '${strategy}' (use ${FILE_ORDER_STRATEGIES.join(', ')})`);
+    }
+}
+
+/**
+ * Sort listed files oldest first
+ * Ties (same key) are broken by file name, so the order is always the same.
+ * @param {{ name: string, lastModified?: Date }[]} files - From S3Handler.listFileObjects()
+ * @param {{ strategy: string, pattern?: RegExp|string|null }} settings
+ * @returns {{ ordered: { name: string, orderKey: number|string }[], unordered: string[] }}
+ */
+function orderFiles(files, settings) {
+    const ordered = [];
+    const unordered = [];
+    for (const file of files) {
+        const orderKey = fileOrderKey(file, settings);
+        if (orderKey === null || Number.isNaN(orderKey)) {
+            unordered.push(file.name);
+        } else {
+            ordered.push({ name: file.name, orderKey });
+        }
+    }
+    ordered.sort((a, b) => {
+        if (a.orderKey < b.orderKey) return -1;
+        if (a.orderKey > b.orderKey) return 1;
+        return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+    });
+    return { ordered, unordered };
+}
+
+/**
+ * Readable form of an order key for logs and rejection reasons
+ * @param {number|string} orderKey
+ * @param {string} strategy
+ * @returns {string}
+ */
+function describeOrderKey(orderKey, strategy) {
+    if (strategy === 'lastModified' || strategy === 'fileNameTimestamp') {
+        return new Date(Number(orderKey)).toISOString();
+    }
+    return strategy === 'sequence' ? `#${orderKey}` : String(orderKey);
+}
+
+module.exports = {
+    FILE_ORDER_STRATEGIES,
+    parseFileNameTimestamp,
+    parseSequenceNumber,
+    orderFiles,
+    describeOrderKey
+};
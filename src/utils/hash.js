@@ -1,10 +1,14 @@
 const crypto = require('crypto');
 
 /**
- * Generate MD5 hash for row deduplication
+ * Generate MD5 hash for row deduplication / change detection
+ * Keys are hashed in sorted order, so column order never changes the hash.
+ * @param {Object} row - Mapped row
+ * @param {string[]} [columns] - Columns to hash (default: every key of the row)
+ * @returns {string} Hex digest
  */
-function generateRowHash(row) {
-  const rowString = JSON.stringify(row, Object.keys(row).sort());
+function generateRowHash(row, columns = Object.keys(row)) {
+  const rowString = JSON.stringify(row, [...columns].sort());
   return crypto.createHash('md5').update(rowString).digest('hex');
 }
 
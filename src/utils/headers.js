@@ -0,0 +1,150 @@
+/**
+ * CSV Header Contract
+ * ===================
+ * Compares a file's header row with the headers a pipeline expects, so a
+ * renamed or dropped column is reported instead of silently mapping to null.
+ *
+ * Contract shape (headers are compared after normalizeHeader()):
+ * - expected: Headers that must be present
+ * - optional: Headers that may be absent
+ * - aliases:  { canonicalHeader: ['Other Name', ...] } - accepted alternate names,
+ *             read as the canonical header and reported as renamed
+ *
+ * @example
+ * const report = checkHeaders(
+ *     { expected: ['practiceid'], optional: ['zip'], aliases: { practiceid: ['Practice #'] } },
+ *     ['Practice #', 'Zip', 'Region'],
+ *     key => key.toLowerCase().replace(/[^a-z0-9]/g, '')
+ * );
+ * // report.renamed    -> [{ from: 'Practice #', to: 'practiceid' }]
+ * // report.unexpected -> ['Region']
+ */
+
+/**
+ * Edit distance between two strings (used to suggest likely renames)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Whether an unexpected header looks like a renamed version of a missing one
+ * @param {string} missing - Normalized missing header
+ * @param {string} candidate - Normalized unexpected header
+ * @returns {boolean}
+ */
+function looksRenamed(missing, candidate) {
+    if (Math.min(missing.length, candidate.length) >= 4 &&
+        (missing.includes(candidate) || candidate.includes(missing))) {
+        return true;
+    }
+    return editDistance(missing, candidate) <= 2;
+}
+
+/**
+ * Check a header row against a contract
+ * @param {{ expected?: string[], optional?: string[], aliases?: Object<string, string[]> }} contract
+ * @param {string[]} headers - Header row as read from the file
+ * @param {function(string): string} normalize - Header normalizer (BasePipeline.normalizeHeader)
+ * @returns {{
+ *     satisfied: boolean,
+ *     missing: string[],
+ *     unexpected: string[],
+ *     renamed: { from: string, to: string }[],
+ *     possibleRenames: { from: string, to: string }[],
+ *     headerMap: Object<string, string>
+ * }} Report; headerMap maps normalized alias headers to their canonical header
+ */
+function checkHeaders(contract, headers, normalize) {
+    const expected = (contract.expected || []).map(normalize);
+    const optional = (contract.optional || []).map(normalize);
+    const known = new Set([...expected, ...optional]);
+
+    const aliasLookup = new Map();
+    for (const [canonical, aliases] of Object.entries(contract.aliases || {})) {
+        for (const alias of aliases) {
+            aliasLookup.set(normalize(alias), normalize(canonical));
+        }
+    }
+
+    const present = new Set(headers.map(normalize));
+    const found = new Set();
+    const unexpected = [];
+    const renamed = [];
+    const headerMap = {};
+
+    for (const header of headers) {
+        const key = normalize(header);
+        if (known.has(key)) {
+            found.add(key);
+        } else if (aliasLookup.has(key) && !present.has(aliasLookup.get(key))) {
+            const canonical = aliasLookup.get(key);
+            found.add(canonical);
+            renamed.push({ from: header, to: canonical });
+            headerMap[key] = canonical;
+        } else {
+            unexpected.push(header);
+        }
+    }
+
+    const missing = expected.filter(header => !found.has(header));
+    const possibleRenames = [];
+    for (const header of missing) {
+        const candidate = unexpected.find(other => looksRenamed(header, normalize(other)));
+        if (candidate !== undefined) {
+            possibleRenames.push({ from: candidate, to: header });
+        }
+    }
+
+    return {
+        satisfied: missing.length === 0,
+        missing,
+        unexpected,
+        renamed,
+        possibleRenames,
+        headerMap
+    };
+}
+
+/**
+ * One-line summary of a header report for logs and the log CSV
+ * @param {Object} report - Result of checkHeaders()
+ * @returns {string} Empty string when there is no drift
+ */
+function describeHeaderDrift(report) {
+    if (!report) return '';
+    const parts = [];
+    if (report.missing.length > 0) {
+        parts.push(`missing: ${report.missing.join(', ')}`);
+    }
+    if (report.unexpected.length > 0) {
+        parts.push(`unexpected: ${report.unexpected.join(', ')}`);
+    }
+    if (report.renamed.length > 0) {
+        parts.push(`renamed: ${report.renamed.map(r => `${r.from} -> ${r.to}`).join(', ')}`);
+    }
+    if (report.possibleRenames.length > 0) {
+        parts.push(`possibly renamed: ${report.possibleRenames.map(r => `${r.from} -> ${r.to}?`).join(', ')}`);
+    }
+    return parts.join('; ');
+}
+
+module.exports = {
+    checkHeaders,
+    describeHeaderDrift
+};
@@ -0,0 +1,227 @@
+/**
+ * JSON Source Reader
+ * ==================
+ * Reads .json (one array of objects) and .ndjson (one object per line) source
+ * files as flat row objects, the same shape csv-parser produces, so JSON goes
+ * through the usual normalize / map / validate / load path.
+ *
+ * Both formats are streamed: a .json array is split into its elements as it
+ * arrives and each element is parsed on its own, so a large API dump is never
+ * held in memory as one document.
+ *
+ * Nested objects are flattened into dot-joined keys ({ lab: { id: 7 } } ->
+ * 'lab.id', which normalizeRow turns into 'labid'), or picked by an explicit
+ * path mapping (BasePipeline.jsonFields). Values become text the way a CSV
+ * export would show them: null -> '', true -> 'true', arrays and objects left
+ * over by a mapping -> their JSON.
+ *
+ * @example
+ * for await (const record of readJsonRecords(body, 'ndjson')) {
+ *     const row = flattenRecord(record, { 'Lab ID': 'lab.id', 'Doctor': 'doctor.name' });
+ *     // { 'Lab ID': '7', 'Doctor': 'Dr. Müller' }
+ * }
+ */
+
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Text of a JSON value as it would appear in a CSV cell
+ * @param {any} value
+ * @returns {string}
+ */
+function toCellText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Value at a dot path ('doctor.address.city', 'items.0.sku')
+ * @param {Object} record
+ * @param {string} path
+ * @returns {any} undefined when any step is missing
+ */
+function getPath(record, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+/**
+ * Flatten one JSON record into a row object
+ * @param {Object} record - Parsed JSON object
+ * @param {Object<string, string>|null} [fields] - Header -> dot path; null flattens every nested field
+ * @returns {Object<string, string>}
+ */
+function flattenRecord(record, fields = null) {
+    const row = {};
+    if (fields) {
+        for (const [header, path] of Object.entries(fields)) {
+            row[header] = toCellText(getPath(record, path));
+        }
+        return row;
+    }
+
+    const visit = (value, prefix) => {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            const keys = Object.keys(value);
+            if (keys.length === 0) row[prefix] = '';
+            for (const key of keys) visit(value[key], `${prefix}.${key}`);
+            return;
+        }
+        row[prefix] = toCellText(value);
+    };
+    for (const [key, value] of Object.entries(record)) {
+        visit(value, key);
+    }
+    return row;
+}
+
+/**
+ * Parse one record, requiring a JSON object
+ * @param {string} text - JSON text of the record
+ * @param {string} location - Where the record is, for error messages
+ * @returns {Object}
+ * @throws {Error} On invalid JSON or a value that is not an object
+ */
+function parseRecord(text, location) {
+    let record;
+    try {
+        record = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON at ${location}: ${error.message}`);
+    }
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`Expected a JSON object at ${location}`);
+    }
+    return record;
+}
+
+/**
+ * Stream the objects of an NDJSON file (blank lines are skipped)
+ * @param {AsyncIterable<Buffer>} source
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readNdjson(source) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let lineNumber = 0;
+
+    const parseLine = (line) => {
+        lineNumber++;
+        const text = lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line;
+        return text.trim() === '' ? null : parseRecord(text, `line ${lineNumber}`);
+    };
+
+    for await (const chunk of source) {
+        buffer += decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const record = parseLine(line);
+            if (record) yield record;
+        }
+    }
+    const record = parseLine(buffer + decoder.end());
+    if (record) yield record;
+}
+
+/**
+ * Stream the elements of a top-level JSON array
+ * Tracks string/escape state and nesting depth to find where each element
+ * ends, then parses the element on its own. Between elements exactly one
+ * comma is required: a missing or trailing comma fails like JSON.parse would.
+ * @param {AsyncIterable<Buffer>} source
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readJsonArray(source) {
+    const decoder = new StringDecoder('utf8');
+    let state = 'start';   // start -> array -> end
+    let element = '';
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let index = 0;
+    let expect = 'first';  // At depth 0: 'first' element or ']', an 'element', or a 'separator'
+
+    const location = () => `array element ${index + 1}`;
+
+    for await (const chunk of source) {
+        const text = decoder.write(chunk);
+        let elementStart = depth > 0 ? 0 : -1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (state === 'start') {
+                if (char === '[') state = 'array';
+                else if (char !== '\uFEFF' && !/\s/.test(char)) {
+                    throw new Error('Expected a JSON array of objects (file must start with "[")');
+                }
+                continue;
+            }
+            if (state === 'end') {
+                if (!/\s/.test(char)) throw new Error('Unexpected content after the JSON array');
+                continue;
+            }
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+            if (depth === 0) {
+                if (/\s/.test(char)) continue;
+                if (expect === 'separator') {
+                    if (char === ',') expect = 'element';
+                    else if (char === ']') state = 'end';
+                    else throw new Error(`Expected "," or "]" after array element ${index}`);
+                } else if (char === '{') {
+                    elementStart = i;
+                    depth = 1;
+                } else if (char === ']' && expect === 'first') {
+                    state = 'end';
+                } else if (char === ']') {
+                    throw new Error(`Trailing comma after array element ${index}`);
+                } else {
+                    throw new Error(`Expected a JSON object at ${location()}`);
+                }
+                continue;
+            }
+
+            if (char === '"') inString = true;
+            else if (char === '{' || char === '[') depth++;
+            else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) {
+                    yield parseRecord(element + text.slice(elementStart, i + 1), location());
+                    index++;
+                    element = '';
+                    elementStart = -1;
+                    expect = 'separator';
+                }
+            }
+        }
+        if (elementStart !== -1) element += text.slice(elementStart);
+    }
+
+    if (state === 'start') return; // Empty file: no rows, like an empty CSV
+    if (state !== 'end') throw new Error('Unexpected end of JSON array');
+}
+
+/**
+ * Stream the records of a JSON or NDJSON source file
+ * @param {Buffer|Stream} body - File content (UTF-8)
+ * @param {'json'|'ndjson'} format
+ * @returns {AsyncGenerator<Object>} Parsed objects, in file order
+ * @throws {Error} On invalid JSON, or a record that is not an object
+ */
+function readJsonRecords(body, format) {
+    const source = Readable.from(body);
+    return format === 'ndjson' ? readNdjson(source) : readJsonArray(source);
+}
+
+module.exports = {
+    readJsonRecords,
+    flattenRecord
+};
@@ -0,0 +1,143 @@
+/**
+ * Source Files
+ * ============
+ * Which S3 keys are source files, and how to read them. Besides plain CSVs,
+ * labs may drop compressed exports and Excel workbooks:
+ * - name.csv.gz: gzip, decompressed while it streams from S3
+ * - name.zip:    one or more CSVs; the archive is downloaded to a local temp
+ *                file (zip entries are found through the directory at its end)
+ *                and each CSV entry is streamed from disk
+ * - name.xlsx:   downloaded to a local temp file; one sheet is read by the
+ *                pipeline (BasePipeline.workbook, utils/xlsx)
+ * - name.json:   an array of objects, name.ndjson one object per line;
+ *                streamed and flattened by the pipeline (BasePipeline.jsonFields,
+ *                utils/json)
+ *
+ * A source file loads as one file whatever it contains: every CSV in a zip
+ * goes through the same transaction, log CSV and processed/quarantine outputs,
+ * in archive order, so split exports load (and snapshot) like a single file.
+ * Outputs are plain CSVs named after the source file (outputFileName()).
+ *
+ * @example
+ * const entries = openSourceEntries(body, 'labs.zip', './logs/source_labs.zip');
+ * for await (const { name, format, stream } of entries) {
+ *     // name: 'labs/part1.csv', format: 'csv', stream: uncompressed CSV
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable, pipeline } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const { createGunzip } = require('zlib');
+const { readZipEntries, openZipEntry } = require('./zip');
+
+const SOURCE_FILE_PATTERN = /\.(csv|csv\.gz|zip|xlsx|json|ndjson)$/i;
+
+/**
+ * Whether an S3 key is a file the pipelines can load
+ * @param {string} key - S3 key or file name
+ * @returns {boolean}
+ */
+function isSourceFile(key) {
+    return SOURCE_FILE_PATTERN.test(key);
+}
+
+/**
+ * Compression of a source file, from its extension
+ * @param {string} fileName
+ * @returns {'gzip'|'zip'|null}
+ */
+function compressionOf(fileName) {
+    if (/\.gz$/i.test(fileName)) return 'gzip';
+    if (/\.zip$/i.test(fileName)) return 'zip';
+    return null;
+}
+
+/**
+ * Name of the plain CSV outputs (processed/quarantine/log) for a source file
+ * @param {string} fileName - Source file name, e.g. 'labs.csv.gz', 'labs.zip', 'labs.xlsx' or 'labs.ndjson'
+ * @returns {string} e.g. 'labs.csv'
+ */
+function outputFileName(fileName) {
+    return fileName.replace(/\.gz$/i, '').replace(/\.(zip|xlsx|json|ndjson)$/i, '.csv');
+}
+
+/**
+ * Format of a JSON source file, from its extension
+ * @param {string} fileName
+ * @returns {'json'|'ndjson'|null}
+ */
+function jsonFormatOf(fileName) {
+    const match = /\.(json|ndjson)$/i.exec(fileName);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Whether a zip entry is a CSV to load (skips folders and macOS metadata)
+ * @param {Object} entry - Entry from readZipEntries()
+ * @returns {boolean}
+ */
+function isCsvEntry(entry) {
+    return !entry.directory &&
+        /\.csv$/i.test(entry.name) &&
+        !entry.name.startsWith('__MACOSX/') &&
+        !entry.name.split('/').pop().startsWith('._');
+}
+
+/**
+ * Readable parts of a source file, in order
+ * Plain and gzip files have one CSV entry, zips one per CSV they contain,
+ * JSON files one 'json'/'ndjson' entry and workbooks one 'xlsx' entry with the
+ * local path of the downloaded workbook.
+ * Zips and workbooks are written to archivePath and removed once iteration ends.
+ * @param {Buffer|Stream} body - Source file content as retrieved from S3
+ * @param {string} fileName - Source file name
+ * @param {string} archivePath - Local path a zip archive or workbook is downloaded to
+ * @returns {AsyncGenerator<{ name: string, format: 'csv'|'json'|'ndjson', stream: Stream }|{ name: string, format: 'xlsx', filePath: string }>}
+ * @throws {Error} When a zip archive contains no CSV file
+ */
+async function* openSourceEntries(body, fileName, archivePath) {
+    const compression = compressionOf(fileName);
+    const workbook = /\.xlsx$/i.test(fileName);
+    const jsonFormat = jsonFormatOf(fileName);
+
+    if (jsonFormat) {
+        yield { name: fileName, format: jsonFormat, stream: body };
+        return;
+    }
+    if (compression === 'gzip') {
+        yield { name: outputFileName(fileName), format: 'csv', stream: pipeline(Readable.from(body), createGunzip(), () => {}) };
+        return;
+    }
+    if (compression !== 'zip' && !workbook) {
+        yield { name: fileName, format: 'csv', stream: body };
+        return;
+    }
+
+    await fs.promises.mkdir(path.dirname(archivePath), { recursive: true });
+    await pipelineAsync(Readable.from(body), fs.createWriteStream(archivePath));
+    try {
+        if (workbook) {
+            yield { name: fileName, format: 'xlsx', filePath: archivePath };
+            return;
+        }
+        const entries = (await readZipEntries(archivePath)).filter(isCsvEntry);
+        if (entries.length === 0) {
+            throw new Error(`No CSV files in zip archive: ${fileName}`);
+        }
+        for (const entry of entries) {
+            yield { name: entry.name, format: 'csv', stream: await openZipEntry(archivePath, entry) };
+        }
+    } finally {
+        await fs.promises.rm(archivePath, { force: true });
+    }
+}
+
+module.exports = {
+    SOURCE_FILE_PATTERN,
+    isSourceFile,
+    compressionOf,
+    outputFileName,
+    openSourceEntries
+};
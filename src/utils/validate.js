@@ -0,0 +1,136 @@
+/**
+ * Row Validation Rules
+ * ====================
+ * Declarative validation applied to mapped rows after required-field checks.
+ *
+ * Rule shapes (all accept optional `severity: 'reject' | 'warn'` and `message`):
+ * - Pattern:     { field: 'zip', pattern: 'zip' }            // or a RegExp; built-ins: zip, email, phone
+ * - Range:       { field: 'revenue_share', min: 0, max: 1 }  // also gt / lt for exclusive bounds
+ * - Enumeration: { field: 'state', oneOf: US_STATES }        // case-insensitive for strings
+ * - Cross-field: { field: 'shippingdate', compare: '>=', to: 'casedate' }
+ * - Custom:      { check: (row) => boolean, message: '...' }
+ *
+ * Rules are skipped when the field (or either side of a comparison) is empty;
+ * presence is the job of requiredFields. Severity defaults to 'reject':
+ * rejected rows are not loaded, warnings are loaded and reported in the log CSV.
+ */
+
+const PATTERNS = {
+    zip: /^\d{5}(-\d{4})?$/,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^(\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(\s*(x|ext\.?)\s*\d+)?$/i
+};
+
+// USPS codes for states, DC and territories
+const US_STATES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
+    'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
+    'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
+    'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
+    'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+    'DC', 'PR', 'VI', 'GU', 'AS', 'MP'
+];
+
+const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Evaluate one rule against a mapped row
+ * @param {Object} rule - Rule definition
+ * @param {Object} row - Mapped row
+ * @returns {string|null} Failure message, or null if the rule passes/does not apply
+ */
+function evaluateRule(rule, row) {
+    if (typeof rule.check === 'function') {
+        return rule.check(row) ? null : (rule.message || 'Custom validation failed');
+    }
+
+    const value = row[rule.field];
+    if (isBlank(value)) return null;
+
+    if (rule.pattern) {
+        const regex = typeof rule.pattern === 'string' ? PATTERNS[rule.pattern] : rule.pattern;
+        if (!regex) throw new Error(`Unknown validation pattern '${rule.pattern}'`);
+        if (!regex.test(String(value))) {
+            const label = typeof rule.pattern === 'string' ? `${rule.pattern} format` : 'expected format';
+            return rule.message || `${rule.field} '${value}' does not match ${label}`;
+        }
+    }
+
+    if (rule.oneOf) {
+        const matches = typeof value === 'string'
+            ? rule.oneOf.some(option => String(option).toLowerCase() === value.toLowerCase())
+            : rule.oneOf.includes(value);
+        if (!matches) {
+            return rule.message || `${rule.field} '${value}' is not an allowed value`;
+        }
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        return rule.message || `${rule.field} ${value} must be >= ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return rule.message || `${rule.field} ${value} must be <= ${rule.max}`;
+    }
+    if (rule.gt !== undefined && !(value > rule.gt)) {
+        return rule.message || `${rule.field} ${value} must be > ${rule.gt}`;
+    }
+    if (rule.lt !== undefined && !(value < rule.lt)) {
+        return rule.message || `${rule.field} ${value} must be < ${rule.lt}`;
+    }
+
+    if (rule.compare) {
+        const compare = COMPARATORS[rule.compare];
+        if (!compare) throw new Error(`Unknown comparison '${rule.compare}'`);
+        const other = row[rule.to];
+        if (!isBlank(other) && !compare(value, other)) {
+            return rule.message || `${rule.field} ${value} must be ${rule.compare} ${rule.to} ${other}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Apply a list of rules to a mapped row
+ * @param {Object[]} rules - Rule definitions
+ * @param {Object} row - Mapped row
+ * @returns {{ rejections: string[], warnings: string[] }} Failure messages by severity
+ */
+function applyRules(rules, row) {
+    const rejections = [];
+    const warnings = [];
+
+    for (const rule of rules) {
+        const message = evaluateRule(rule, row);
+        if (!message) continue;
+        if (rule.severity === 'warn') {
+            warnings.push(message);
+        } else {
+            rejections.push(message);
+        }
+    }
+
+    return { rejections, warnings };
+}
+
+module.exports = {
+    PATTERNS,
+    US_STATES,
+    evaluateRule,
+    applyRules
+};
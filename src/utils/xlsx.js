@@ -0,0 +1,291 @@
+/**
+ * Excel Workbook Reader
+ * =====================
+ * Reads one sheet of an .xlsx workbook as row objects keyed by its header row,
+ * the same shape csv-parser produces, so workbooks go through the usual
+ * normalize / map / validate / load path. Built on utils/zip (an .xlsx is a
+ * zip of XML parts); the sheet XML is streamed row by row, only the shared
+ * strings and styles are held in memory.
+ *
+ * Cell values are returned as text, the way a CSV export would show them,
+ * but without Excel's lossy conversions:
+ * - Text cells are kept verbatim ('00123' stays '00123')
+ * - Numbers with a zero-padded format ('00000') keep their leading zeros
+ * - Other numbers are the stored value ('12345678901234', not '1.23457E+13')
+ * - Date/time formatted numbers become 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM:SS'
+ * - Booleans become 'true'/'false', error cells their code ('#N/A')
+ *
+ * Rows above the header row and rows with no values are skipped; columns
+ * with an empty header are ignored. An empty sheet yields no rows (like an
+ * empty CSV); a sheet with rows but no header row is an error.
+ *
+ * @example
+ * for await (const row of readSheetRows('./logs/source_markup.xlsx', { sheet: 'Markup', headerRow: 2 })) {
+ *     // { 'Lab ID': '12', 'Lab Product ID': '00123', ... }
+ * }
+ */
+
+const { StringDecoder } = require('string_decoder');
+const { readZipEntries, openZipEntry } = require('./zip');
+
+// Built-in number formats that display dates and/or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Decode XML entities and OOXML _xHHHH_ escapes
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+    return text
+        .replace(/&(lt|gt|quot|apos|amp|#x[0-9a-f]+|#\d+);/gi, (match, entity) => {
+            const named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[entity.toLowerCase()];
+            if (named) return named;
+            return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10));
+        })
+        .replace(/_x([0-9A-F]{4})_/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+}
+
+/**
+ * Attributes of an XML start tag
+ * @param {string} tag - Attribute part of the tag
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+        attributes[name] = decodeXml(value);
+    }
+    return attributes;
+}
+
+/**
+ * Concatenated text runs (<t>) of a string item, without phonetic hints
+ * @param {string} xml - Content of an <si> or <is> element
+ * @returns {string}
+ */
+function textOf(xml) {
+    const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*[^/>])?>([\s\S]*?)<\/t>/g);
+    return [...runs].map(([, text]) => decodeXml(text)).join('');
+}
+
+/**
+ * Read a whole zip entry as UTF-8 text (workbook parts, not sheets)
+ * @param {string} filePath - Local path of the workbook
+ * @param {Object|undefined} entry - Entry from readZipEntries()
+ * @returns {Promise<string>} Empty string when the part does not exist
+ */
+async function readPart(filePath, entry) {
+    if (!entry) return '';
+    const chunks = [];
+    for await (const chunk of await openZipEntry(filePath, entry)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * 0-based column index of a cell reference ('A1' -> 0, 'AB7' -> 27)
+ * @param {string} ref
+ * @returns {number}
+ */
+function columnIndex(ref) {
+    let index = 0;
+    for (const letter of ref.replace(/\d+$/, '').toUpperCase()) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * How a number format displays values
+ * @param {number} numFmtId
+ * @param {Object<number, string>} customFormats - numFmtId -> formatCode
+ * @returns {{ kind: 'date' } | { kind: 'padded', width: number } | null}
+ */
+function formatKind(numFmtId, customFormats) {
+    if (DATE_FORMAT_IDS.has(numFmtId)) return { kind: 'date' };
+    const code = customFormats[numFmtId];
+    if (!code) return null;
+
+    // Ignore literal text, escaped characters and [color]/[condition] sections
+    const bare = code.replace(/"[^"]*"/g, '').replace(/\\./g, '').replace(/\[[^\]]*\]/g, '');
+    if (/^0+$/.test(bare)) return { kind: 'padded', width: bare.length };
+    if (/[ymdhs]/i.test(bare)) return { kind: 'date' };
+    return null;
+}
+
+/**
+ * Text of an Excel date serial number
+ * @param {number} serial - Days since the workbook epoch
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ * @returns {string} 'YYYY-MM-DD', or 'YYYY-MM-DD HH:MM:SS' when there is a time part
+ */
+function formatDateSerial(serial, date1904) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const ms = Math.round(serial * MS_PER_DAY / 1000) * 1000;
+    const iso = new Date(epoch + ms).toISOString();
+    return ms % MS_PER_DAY === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+/**
+ * Load workbook-level parts: sheet list, shared strings and styles
+ * @param {string} filePath - Local path of the workbook
+ * @returns {Promise<Object>}
+ */
+async function loadWorkbook(filePath) {
+    const entries = new Map((await readZipEntries(filePath)).map(entry => [entry.name, entry]));
+    if (!entries.has('xl/workbook.xml')) {
+        throw new Error('Not an Excel workbook (xl/workbook.xml not found)');
+    }
+
+    const workbookXml = await readPart(filePath, entries.get('xl/workbook.xml'));
+    const relsXml = await readPart(filePath, entries.get('xl/_rels/workbook.xml.rels'));
+    const targets = {};
+    for (const [, tag] of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+        const { Id, Target } = parseAttributes(tag);
+        targets[Id] = Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`;
+    }
+    const sheets = [...workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g)].map(([, tag]) => {
+        const attributes = parseAttributes(tag);
+        return { name: attributes.name, path: targets[attributes['r:id']] };
+    });
+    const date1904 = /<workbookPr\b[^>]*date1904="(1|true)"/.test(workbookXml);
+
+    const sharedStringsXml = await readPart(filePath, entries.get('xl/sharedStrings.xml'));
+    // Empty items (<si/>) still take their index in the table
+    const sharedStrings = [...sharedStringsXml.matchAll(/<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g)].map(([, xml = '']) => textOf(xml));
+
+    const stylesXml = await readPart(filePath, entries.get('xl/styles.xml'));
+    const customFormats = {};
+    for (const [, tag] of stylesXml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+        const { numFmtId, formatCode } = parseAttributes(tag);
+        customFormats[Number(numFmtId)] = formatCode;
+    }
+    const cellXfs = (/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(stylesXml) || [])[1] || '';
+    const styles = [...cellXfs.matchAll(/<xf\b([^>]*)\/?>/g)].map(([, tag]) =>
+        formatKind(Number(parseAttributes(tag).numFmtId || 0), customFormats)
+    );
+
+    return { entries, sheets, date1904, sharedStrings, styles };
+}
+
+/**
+ * Text of one cell
+ * @param {Object} attributes - <c> attributes (t: type, s: style index)
+ * @param {string} content - <c> content
+ * @param {Object} workbook - From loadWorkbook()
+ * @returns {string}
+ */
+function cellText(attributes, content, workbook) {
+    if (attributes.t === 'inlineStr') {
+        const inline = /<is>([\s\S]*?)<\/is>/.exec(content);
+        return inline ? textOf(inline[1]) : '';
+    }
+
+    const match = /<v>([\s\S]*?)<\/v>/.exec(content);
+    if (!match) return '';
+    const value = decodeXml(match[1]);
+
+    switch (attributes.t) {
+        case 's': return workbook.sharedStrings[Number(value)] ?? '';
+        case 'b': return value === '1' ? 'true' : 'false';
+        case 'str':
+        case 'e':
+        case 'd': return value;
+        default: {
+            const format = workbook.styles[Number(attributes.s || 0)];
+            const number = Number(value);
+            if (!format || Number.isNaN(number)) return value;
+            if (format.kind === 'date') return formatDateSerial(number, workbook.date1904);
+            if (format.kind === 'padded' && Number.isInteger(number) && number >= 0) {
+                return value.padStart(format.width, '0');
+            }
+            return value;
+        }
+    }
+}
+
+/**
+ * Stream the rows of one sheet as objects keyed by the header row
+ * @param {string} filePath - Local path of the .xlsx workbook
+ * @param {Object} [options]
+ * @param {string|number} [options.sheet=0] - Sheet name, or 0-based index in workbook order
+ * @param {number} [options.headerRow=1] - 1-based row number of the header row
+ * @returns {AsyncGenerator<Object<string, string>>}
+ * @throws {Error} When the header row is not a positive row number, or the workbook,
+ *                 the sheet or its header row cannot be found
+ */
+async function* readSheetRows(filePath, { sheet = 0, headerRow = 1 } = {}) {
+    if (!Number.isInteger(headerRow) || headerRow < 1) {
+        throw new Error(`Header row must be a positive row number, got ${JSON.stringify(headerRow)}`);
+    }
+    const workbook = await loadWorkbook(filePath);
+    const selected = typeof sheet === 'number'
+        ? workbook.sheets[sheet]
+        : workbook.sheets.find(candidate => candidate.name === sheet);
+    if (!selected || !workbook.entries.has(selected.path)) {
+        throw new Error(`Sheet ${JSON.stringify(sheet)} not found (sheets: ${workbook.sheets.map(s => s.name).join(', ')})`);
+    }
+
+    const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let headers = null;
+    let rowNumber = 0;
+    let buffer = '';
+    const decoder = new StringDecoder('utf8');
+
+    const stream = await openZipEntry(filePath, workbook.entries.get(selected.path));
+    for await (const chunk of stream) {
+        buffer += decoder.write(chunk);
+        let consumed = 0;
+        let match;
+        rowPattern.lastIndex = 0;
+        while ((match = rowPattern.exec(buffer)) !== null) {
+            consumed = rowPattern.lastIndex;
+            const rowAttributes = parseAttributes(match[1]);
+            rowNumber = rowAttributes.r ? Number(rowAttributes.r) : rowNumber + 1;
+            if (rowNumber < headerRow) continue;
+
+            const cells = [];
+            let position = 0;
+            for (const [, tag, content = ''] of (match[2] || '').matchAll(cellPattern)) {
+                const attributes = parseAttributes(tag);
+                position = attributes.r ? columnIndex(attributes.r) : position;
+                cells[position] = cellText(attributes, content, workbook);
+                position++;
+            }
+
+            if (!headers) {
+                headers = Array.from(cells, value => (value || '').trim());
+                if (rowNumber !== headerRow || headers.every(header => !header)) {
+                    throw new Error(`Header row ${headerRow} of sheet "${selected.name}" is empty`);
+                }
+                continue;
+            }
+
+            const row = {};
+            let hasValue = false;
+            headers.forEach((header, index) => {
+                if (!header) return;
+                row[header] = cells[index] ?? '';
+                if (row[header] !== '') hasValue = true;
+            });
+            if (hasValue) yield row;
+        }
+        // Keep the incomplete row (if any) for the next chunk
+        buffer = buffer.slice(consumed);
+    }
+
+    if (!headers && rowNumber > 0) {
+        throw new Error(`Header row ${headerRow} of sheet "${selected.name}" is empty`);
+    }
+}
+
+module.exports = {
+    readSheetRows
+};
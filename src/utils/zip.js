@@ -0,0 +1,145 @@
+/**
+ * Zip Archive Reader
+ * ==================
+ * Minimal reader for .zip source files, built on zlib so no archive library
+ * is needed. The archive must be on local disk: entries are located through
+ * the central directory at the end of the file, then each entry is streamed
+ * (and inflated) straight from disk, so no entry is ever held in memory.
+ *
+ * Supported: stored (0) and deflated (8) entries, the formats every common
+ * zip tool writes. Encrypted entries and ZIP64 archives (over 4 GB or
+ * 65535 entries) are rejected with an error.
+ *
+ * @example
+ * const entries = await readZipEntries('./logs/source_export.zip');
+ * for (const entry of entries) {
+ *     const stream = await openZipEntry('./logs/source_export.zip', entry);
+ * }
+ */
+
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const { createInflateRaw } = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// End of central directory record (22 bytes) plus the longest possible comment
+const MAX_EOCD_SEARCH = 22 + 0xffff;
+
+/**
+ * Read bytes from an open file
+ * @param {fs.FileHandle} handle
+ * @param {number} position - Byte offset
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>}
+ */
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * List the entries of a zip archive
+ * @param {string} filePath - Local path of the archive
+ * @returns {Promise<{ name: string, method: number, compressedSize: number, uncompressedSize: number, localHeaderOffset: number, directory: boolean }[]>}
+ * @throws {Error} When the file is not a zip archive, or uses encryption or ZIP64
+ */
+async function readZipEntries(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const tailStart = Math.max(0, size - MAX_EOCD_SEARCH);
+        const tail = await readAt(handle, tailStart, size - tailStart);
+
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Not a zip archive (end of central directory not found)');
+        }
+
+        const entryCount = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+        if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const directory = await readAt(handle, directoryOffset, directorySize);
+        const entries = [];
+        let offset = 0;
+        for (let n = 0; n < entryCount; n++) {
+            if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('Corrupt zip archive (bad central directory entry)');
+            }
+            const flags = directory.readUInt16LE(offset + 8);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+            const entry = {
+                name,
+                method: directory.readUInt16LE(offset + 10),
+                compressedSize: directory.readUInt32LE(offset + 20),
+                uncompressedSize: directory.readUInt32LE(offset + 24),
+                localHeaderOffset: directory.readUInt32LE(offset + 42),
+                directory: name.endsWith('/')
+            };
+            if (flags & 0x1) {
+                throw new Error(`Encrypted zip entries are not supported: ${name}`);
+            }
+            if (entry.compressedSize === 0xffffffff || entry.localHeaderOffset === 0xffffffff) {
+                throw new Error(`ZIP64 entries are not supported: ${name}`);
+            }
+            entries.push(entry);
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Open a readable stream of one entry's uncompressed content
+ * @param {string} filePath - Local path of the archive
+ * @param {Object} entry - Entry from readZipEntries()
+ * @returns {Promise<Stream>}
+ */
+async function openZipEntry(filePath, entry) {
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`Unsupported zip compression method ${entry.method}: ${entry.name}`);
+    }
+
+    // The local header repeats name and extra field with its own lengths
+    const handle = await fs.open(filePath, 'r');
+    let header;
+    try {
+        header = await readAt(handle, entry.localHeaderOffset, 30);
+    } finally {
+        await handle.close();
+    }
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Corrupt zip archive (bad local header): ${entry.name}`);
+    }
+
+    const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (entry.compressedSize === 0) {
+        return Readable.from([]);
+    }
+    const raw = createReadStream(filePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+    return entry.method === 0 ? raw : pipeline(raw, createInflateRaw(), () => {});
+}
+
+module.exports = {
+    readZipEntries,
+    openZipEntry
+};
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CoercionError, RowCoercionError, createRowCoercer,
+    toText, toInteger, toDecimal, toBoolean, toDate, toEnum
+} = require('../src/utils/coerce');
+
+test('returns null for empty input of every type', () => {
+    for (const parse of [toText, toInteger, toDecimal, toBoolean, toDate, value => toEnum(value, ['A'])]) {
+        for (const empty of [undefined, null, '', '   ']) {
+            assert.equal(parse(empty), null);
+        }
+    }
+});
+
+test('parses numbers with currency symbols, separators and accounting negatives', () => {
+    assert.equal(toDecimal('$1,234.50'), 1234.5);
+    assert.equal(toDecimal('$(1,234.50)'), -1234.5);
+    assert.equal(toDecimal('€ 12'), 12);
+    assert.equal(toDecimal('.5'), 0.5);
+    assert.equal(toDecimal(3.25), 3.25);
+    assert.equal(toInteger('1,000'), 1000);
+    assert.equal(toInteger(' 42 '), 42);
+
+    assert.throws(() => toDecimal('12abc'), CoercionError);
+    assert.throws(() => toDecimal('1,23'), /'1,23' is not a number/);
+    assert.throws(() => toDecimal(NaN), CoercionError);
+    assert.throws(() => toInteger('1.5'), /'1.5' is not an integer/);
+    assert.throws(() => toInteger('9007199254740993'), CoercionError);
+});
+
+test('parses booleans case-insensitively', () => {
+    assert.deepEqual(['TRUE', 't', 'Yes', 'y', '1'].map(toBoolean), [true, true, true, true, true]);
+    assert.deepEqual(['false', 'F', 'no', 'N', '0'].map(toBoolean), [false, false, false, false, false]);
+    assert.equal(toBoolean(false), false);
+    assert.throws(() => toBoolean('maybe'), /'maybe' is not a boolean/);
+});
+
+test('normalizes ISO and US dates with optional times', () => {
+    assert.equal(toDate('2025-03-01'), '2025-03-01');
+    assert.equal(toDate('2025/3/1'), '2025-03-01');
+    assert.equal(toDate('03/01/2025'), '2025-03-01');
+    assert.equal(toDate('3-1-25'), '2025-03-01');
+    assert.equal(toDate('3/1/85'), '1985-03-01');
+    assert.equal(toDate('2025-03-01T14:05'), '2025-03-01 14:05:00');
+    assert.equal(toDate('03/01/2025 2:05:09 PM'), '2025-03-01 14:05:09');
+    assert.equal(toDate('03/01/2025 12:00 AM'), '2025-03-01 00:00:00');
+    assert.equal(toDate('2025-03-01 14:05:00Z'), '2025-03-01 14:05:00+00:00');
+    assert.equal(toDate('2025-03-01 14:05:00-0500'), '2025-03-01 14:05:00-0500');
+    assert.equal(toDate(new Date(Date.UTC(2025, 2, 1))), '2025-03-01T00:00:00.000Z');
+
+    assert.throws(() => toDate('2025-02-30'), /'2025-02-30' is not a valid date/);
+    assert.throws(() => toDate('2025-03-01 24:00'), /is not a valid time/);
+    assert.throws(() => toDate('03/01/2025 13:00 PM'), /is not a valid time/);
+    assert.throws(() => toDate('March 1st'), /is not a recognised date/);
+    assert.throws(() => toDate(new Date('nope')), CoercionError);
+});
+
+test('matches enums to their canonical value or an alias', () => {
+    const allowed = ['Active', 'On Hold'];
+    assert.equal(toEnum(' active ', allowed), 'Active');
+    assert.equal(toEnum('on   hold', allowed), 'On Hold');
+    assert.equal(toEnum('HOLD', allowed, { hold: 'On Hold' }), 'On Hold');
+    assert.throws(() => toEnum('Closed', allowed), /'Closed' is not one of Active, On Hold/);
+});
+
+test('collects every failed field of a row into one error', () => {
+    const c = createRowCoercer();
+    const row = {
+        lab_id: c.integer('lab_id', 'x7'),
+        cost: c.decimal('cost', '12.50'),
+        active: c.boolean('active', 'perhaps'),
+        status: c.enum('status', 'active', ['Active'])
+    };
+
+    assert.deepEqual(row, { lab_id: null, cost: 12.5, active: null, status: 'Active' });
+    assert.throws(() => c.finish(row), error => {
+        assert.ok(error instanceof RowCoercionError);
+        assert.deepEqual(error.fields, ['lab_id', 'active']);
+        assert.deepEqual(error.errors.map(e => e.type), ['integer', 'boolean']);
+        assert.equal(error.message, "Invalid values: lab_id ('x7' is not an integer); active ('perhaps' is not a boolean)");
+        return true;
+    });
+
+    const clean = createRowCoercer();
+    const mapped = { id: clean.integer('id', '5') };
+    assert.equal(clean.finish(mapped), mapped);
+    assert.throws(() => clean.coerce('money', 'cost', '1'), /Unknown coercion type 'money' for field cost/);
+});
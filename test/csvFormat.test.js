@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { once } = require('events');
+const { SAMPLE_BYTES, sniffCsvStream } = require('../src/utils/csvFormat');
+
+function csvSource(rowCount) {
+    let row = 0;
+    return new Readable({
+        read() {
+            this.push(row === 0 ? 'id;name\n' : `${row};name ${row}\n`);
+            if (++row > rowCount) this.push(null);
+        }
+    });
+}
+
+test('transcodes a windows-1252 stream past the sample to UTF-8', async () => {
+    const rows = ['id;name', ...Array.from({ length: 5000 }, (_, i) => `${i};café ${i}`)];
+    const raw = Buffer.from(rows.join('\n') + '\n', 'latin1');
+    assert.ok(raw.length > SAMPLE_BYTES);
+
+    const { format, stream } = await sniffCsvStream(Readable.from([raw.subarray(0, 1000), raw.subarray(1000)]));
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+
+    assert.equal(format.delimiter, ';');
+    assert.equal(format.encoding, 'windows-1252');
+    assert.equal(Buffer.concat(chunks).toString('utf8'), rows.join('\n') + '\n');
+});
+
+test('destroys the source when the reader stops early', async () => {
+    const source = csvSource(100000);
+    const { stream } = await sniffCsvStream(source);
+
+    for await (const chunk of stream) {
+        assert.ok(chunk.length > 0);
+        break;
+    }
+
+    if (!source.destroyed) await once(source, 'close');
+    assert.equal(source.destroyed, true);
+});
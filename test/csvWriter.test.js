@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CsvFileWriter } = require('../src/utils/csvWriter');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'etl-csvwriter-'));
+}
+
+test('writes rows in the given column order', async () => {
+    const dir = tempDir();
+    try {
+        const writer = new CsvFileWriter(path.join(dir, 'out.csv'), ['id', 'name', 'note']);
+        await writer.write({ name: 'a', id: 1 });
+        await writer.write({ id: 2, name: 'b "quoted"', note: 'two\nlines', extra: 'x' });
+        const filePath = await writer.close();
+
+        assert.equal(fs.readFileSync(filePath, 'utf8'), 'id,name,note\n"1","a",""\n"2","b ""quoted""","two lines"');
+        assert.deepEqual([...writer.unknownColumns], ['extra']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('takes columns set after construction, before the first row', async () => {
+    const dir = tempDir();
+    try {
+        const writer = new CsvFileWriter(path.join(dir, 'out.csv'));
+        await assert.rejects(writer.write({ id: 1 }), /columns .* must be set/);
+        writer.setColumns(['id']);
+        await writer.write({ id: 1 });
+        assert.throws(() => writer.setColumns(['id', 'name']), /already written/);
+        await writer.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('closing without rows leaves an empty file', async () => {
+    const dir = tempDir();
+    try {
+        const writer = new CsvFileWriter(path.join(dir, 'empty.csv'));
+        assert.equal(fs.readFileSync(await writer.close(), 'utf8'), '');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a file system error rejects write and close instead of crashing', async () => {
+    const dir = tempDir();
+    try {
+        // The target path is a directory, so opening it for writing fails
+        const target = path.join(dir, 'taken');
+        fs.mkdirSync(target);
+        const writer = new CsvFileWriter(target, ['id', 'payload']);
+        const payload = 'x'.repeat(64 * 1024);
+
+        await assert.rejects(async () => {
+            for (let i = 0; i < 100; i++) {
+                await writer.write({ id: i, payload });
+            }
+        }, { code: 'EISDIR' });
+        await assert.rejects(writer.close(), { code: 'EISDIR' });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
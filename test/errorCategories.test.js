@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyDatabaseError, classifyCoercionError, addErrorCategories } = require('../src/utils/errorCategories');
+const { createRowCoercer } = require('../src/utils/coerce');
+const BasePipeline = require('../src/core/BasePipeline');
+const { createMockPool } = require('./fixtures/database');
+
+function pgError(code, message, fields = {}) {
+    return Object.assign(new Error(message), { code, ...fields });
+}
+
+test('classifies invalid text input by the column type', () => {
+    const row = { lab_id: '12a', ship_date: '2025-13-01', flag: 'maybe' };
+
+    assert.deepEqual(classifyDatabaseError(pgError('22P02', 'invalid input syntax for type bigint: "12a"'), row),
+        { category: 'BAD_NUMBER', column: 'lab_id' });
+    assert.deepEqual(classifyDatabaseError(pgError('22P02', 'invalid input syntax for type boolean: "maybe"'), row),
+        { category: 'BAD_VALUE', column: 'flag' });
+    assert.deepEqual(classifyDatabaseError(pgError('22007', 'invalid input syntax for type date: "2025-13-01"'), row),
+        { category: 'BAD_DATE', column: 'ship_date' });
+});
+
+test('takes the column from the error, the key detail or the value length', () => {
+    assert.deepEqual(classifyDatabaseError(pgError('23502', 'null value in column "name"', { column: 'name' }), {}),
+        { category: 'MISSING_VALUE', column: 'name' });
+    assert.deepEqual(classifyDatabaseError(pgError('23503', 'insert violates foreign key', {
+        detail: 'Key (lab_id, product_id)=(1, 2) is not present in table "products".'
+    }), {}), { category: 'MISSING_REFERENCE', column: 'lab_id, product_id' });
+    assert.deepEqual(classifyDatabaseError(pgError('22001', 'value too long for type character varying(3)'),
+        { code: 'AB', name: 'Acme' }), { category: 'VALUE_TOO_LONG', column: 'name' });
+    assert.deepEqual(classifyDatabaseError(pgError('23514', 'violates check constraint "qty_positive"'), { qty: -1 }),
+        { category: 'CHECK_FAILED', column: '' });
+    assert.deepEqual(classifyDatabaseError(pgError('40001', 'could not serialize access'), null),
+        { category: 'DATABASE_ERROR', column: '' });
+});
+
+test('classifies coercion failures by the first failed type', () => {
+    const coerce = (fill) => {
+        const c = createRowCoercer();
+        fill(c);
+        try {
+            return c.finish({});
+        } catch (error) {
+            return classifyCoercionError(error);
+        }
+    };
+
+    assert.deepEqual(coerce(c => { c.date('shipped', 'soon'); c.integer('qty', 'x'); }),
+        { category: 'BAD_DATE', column: 'shipped, qty' });
+    assert.deepEqual(coerce(c => c.decimal('price', 'free')), { category: 'BAD_NUMBER', column: 'price' });
+    assert.deepEqual(coerce(c => c.boolean('active', 'perhaps')), { category: 'BAD_VALUE', column: 'active' });
+});
+
+test('adds category counts into a running total', () => {
+    const total = addErrorCategories({ BAD_DATE: 1 }, { BAD_DATE: 2, DUPLICATE_KEY: 1 });
+    assert.deepEqual(total, { BAD_DATE: 3, DUPLICATE_KEY: 1 });
+    assert.equal(addErrorCategories(total, undefined), total);
+});
+
+test('counts failed rows by category in the file result', async () => {
+    class WidgetsPipeline extends BasePipeline {
+        get name() { return 'widgets'; }
+        get tableName() { return 'widgets'; }
+        get columns() {
+            return [
+                { header: 'widgetid', column: 'widget_id', type: 'integer', required: true, conflictKey: true },
+                { header: 'madeon', column: 'made_on', type: 'date' }
+            ];
+        }
+    }
+    const db = createMockPool((sql, values) => values[0] === 3
+        ? pgError('23514', 'new row violates check constraint "widget_id_odd"')
+        : null);
+    const pipeline = new WidgetsPipeline(db.pool, null, {});
+
+    const result = await pipeline.processRows([
+        { widgetid: '1', madeon: '2025-03-01' },
+        { widgetid: '', madeon: '2025-03-01' },
+        { widgetid: '2', madeon: 'yesterday' },
+        { widgetid: '3', madeon: '2025-03-01' }
+    ], 'widgets.csv');
+
+    assert.equal(result.successCount, 1);
+    assert.deepEqual(result.errorCategories, { MISSING_VALUE: 1, BAD_DATE: 1, CHECK_FAILED: 1 });
+    assert.deepEqual(result.errorRows.map(row => row.errorColumn), ['widget_id', 'made_on', '']);
+});
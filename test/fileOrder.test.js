@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BasePipeline = require('../src/core/BasePipeline');
+const { orderFiles } = require('../src/utils/fileOrder');
+
+class PricingPipeline extends BasePipeline {
+    get name() {
+        return 'test-pricing';
+    }
+
+    get orderIndependent() {
+        return true;
+    }
+}
+
+test('orders files by the timestamp in their names and sets aside the rest', () => {
+    const { ordered, unordered } = orderFiles([
+        { name: 'groups-2025-03-04T12-30-45-123Z.csv' },
+        { name: 'groups.csv' },
+        { name: 'groups-20250302.csv' },
+        { name: 'groups-2025-13-45.csv' }
+    ], { strategy: 'fileNameTimestamp' });
+
+    assert.deepEqual(ordered, [
+        { name: 'groups-20250302.csv', orderKey: Date.UTC(2025, 2, 2) },
+        { name: 'groups-2025-03-04T12-30-45-123Z.csv', orderKey: Date.UTC(2025, 2, 4, 12, 30, 45, 123) }
+    ]);
+    assert.deepEqual(unordered, ['groups.csv', 'groups-2025-13-45.csv']);
+});
+
+test('loads order-independent files concurrently only when they are ordered by name', () => {
+    const concurrency = config => new PricingPipeline(null, null, { fileConcurrency: 4, ...config }).fileConcurrency;
+
+    assert.equal(concurrency({ fileOrder: 'name' }), 4);
+    assert.equal(concurrency({}), 1, 'lastModified (default) loads oldest first');
+    assert.equal(concurrency({ fileOrder: 'fileNameTimestamp' }), 1);
+    assert.equal(concurrency({ fileOrder: 'name', rejectOutOfOrderFiles: true }), 1);
+});
+
+test('keeps files of the pricing pipelines serial', () => {
+    const ProductLabMarkupPipeline = require('../src/pipelines/product-lab-markup');
+    const ProductLabRevSharePipeline = require('../src/pipelines/product-lab-rev-share');
+
+    for (const Pipeline of [ProductLabMarkupPipeline, ProductLabRevSharePipeline]) {
+        assert.equal(new Pipeline(null, null, { fileConcurrency: 4, fileOrder: 'name' }).fileConcurrency, 1);
+    }
+});
@@ -0,0 +1,166 @@
+/**
+ * Archive Fixtures
+ * ================
+ * Builds small .zip and .xlsx files in memory for the reader tests, so no
+ * binary fixtures are checked in and each test shows exactly which archive
+ * features it covers.
+ *
+ * @example
+ * const zip = buildZip([
+ *     { name: 'a.csv', data: 'id\n1\n' },
+ *     { name: 'b.csv', data: 'id\n2\n', method: 0 }
+ * ], { dataDescriptor: true });
+ */
+
+const { deflateRawSync } = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * @param {Buffer} data
+ * @returns {number} CRC-32 of the data
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive
+ * @param {{ name: string, data: string|Buffer, method?: 0|8 }[]} entries - method 8 (deflate) by default
+ * @param {Object} [options]
+ * @param {boolean} [options.dataDescriptor] - Write sizes/CRC after the data (flag bit 3), as streaming zip tools do
+ * @param {boolean} [options.zip64] - Mark the end of central directory as ZIP64 (0xffff entries)
+ * @returns {Buffer}
+ */
+function buildZip(entries, { dataDescriptor = false, zip64 = false } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data, method = 8 } of entries) {
+        const content = Buffer.from(data);
+        const compressed = method === 8 ? deflateRawSync(content) : content;
+        const nameBuffer = Buffer.from(name);
+        const crc = crc32(content);
+        const flags = dataDescriptor ? 0x8 : 0;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(dataDescriptor ? 0 : crc, 14);
+        local.writeUInt32LE(dataDescriptor ? 0 : compressed.length, 18);
+        local.writeUInt32LE(dataDescriptor ? 0 : content.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        const parts = [local, nameBuffer, compressed];
+        if (dataDescriptor) {
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(crc, 4);
+            descriptor.writeUInt32LE(compressed.length, 8);
+            descriptor.writeUInt32LE(content.length, 12);
+            parts.push(descriptor);
+        }
+        const localRecord = Buffer.concat(parts);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(Buffer.concat([central, nameBuffer]));
+
+        locals.push(localRecord);
+        offset += localRecord.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(zip64 ? 0xffff : entries.length, 8);
+    end.writeUInt16LE(zip64 ? 0xffff : entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Escape text for XML content
+ * @param {string} text
+ * @returns {string}
+ */
+function xmlText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build an .xlsx workbook from raw sheet XML
+ * @param {Object} workbook
+ * @param {{ name: string, rows: string }[]} workbook.sheets - rows: <row> elements of the sheet
+ * @param {string[]} [workbook.sharedStrings] - Shared string table, plain text items
+ * @param {string} [workbook.sharedStringsXml] - Raw <sst> content instead of sharedStrings
+ * @param {string} [workbook.numFmts] - <numFmt> elements
+ * @param {number[]} [workbook.cellFormats] - numFmtId per cell style index (style 0 first)
+ * @param {boolean} [workbook.date1904]
+ * @returns {Buffer}
+ */
+function buildXlsx({ sheets, sharedStrings = [], sharedStringsXml = null, numFmts = '', cellFormats = [0], date1904 = false }) {
+    const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+    const relNs = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+    const parts = [
+        {
+            name: 'xl/workbook.xml',
+            data: `<?xml version="1.0" encoding="UTF-8"?><workbook ${ns} ${relNs}>`
+                + `<workbookPr${date1904 ? ' date1904="1"' : ''}/><sheets>`
+                + sheets.map((sheet, i) => `<sheet name="${xmlText(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                + '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/sharedStrings.xml',
+            data: `<?xml version="1.0" encoding="UTF-8"?><sst ${ns}>`
+                + (sharedStringsXml ?? sharedStrings.map(text => `<si><t xml:space="preserve">${xmlText(text)}</t></si>`).join(''))
+                + '</sst>'
+        },
+        {
+            name: 'xl/styles.xml',
+            data: `<?xml version="1.0" encoding="UTF-8"?><styleSheet ${ns}><numFmts>${numFmts}</numFmts>`
+                + `<cellXfs count="${cellFormats.length}">`
+                + cellFormats.map(id => `<xf numFmtId="${id}" fontId="0" fillId="0" borderId="0" xfId="0"/>`).join('')
+                + '</cellXfs></styleSheet>'
+        },
+        ...sheets.map((sheet, i) => ({
+            name: `xl/worksheets/sheet${i + 1}.xml`,
+            data: `<?xml version="1.0" encoding="UTF-8"?><worksheet ${ns}><sheetData>${sheet.rows}</sheetData></worksheet>`
+        }))
+    ];
+    return buildZip(parts);
+}
+
+module.exports = {
+    buildZip,
+    buildXlsx,
+    crc32
+};
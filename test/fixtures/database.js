@@ -0,0 +1,53 @@
+/**
+ * Mock Database
+ * =============
+ * A pg-like pool for the pipeline tests: its one client records every query
+ * and answers through a responder, so a test can play the target tables and
+ * then check the statements the pipeline sent.
+ *
+ * @example
+ * const db = createMockPool((sql, values) => {
+ *     if (sql.startsWith('SELECT DISTINCT dental_group_id')) return { rows: [{ dental_group_id: 7 }] };
+ *     return null;
+ * });
+ * const pipeline = new PracticesPipeline(db.pool, null, { loadMode: 'batch' });
+ * await pipeline.processRows(rows, 'practices.csv');
+ * db.statements('INSERT INTO');  // -> [{ sql, values }, ...]
+ */
+
+// A pipeline that needs more statements than this for a test file is looping
+const MAX_QUERIES = 1000;
+
+/**
+ * @param {function(string, any[]): (Object|Error|null|Promise<Object|Error|null>)} [respond] -
+ *        Result fields for a statement (merged over { rows: [], rowCount: 0 }),
+ *        an Error to make it fail, or null for the default
+ * @returns {{ pool: Object, client: Object, queries: { sql: string, values: any[] }[], statements: function(string): Object[] }}
+ */
+function createMockPool(respond = () => null) {
+    const queries = [];
+    const client = {
+        async query(sql, values = []) {
+            const text = String(sql).replace(/\s+/g, ' ').trim();
+            queries.push({ sql: text, values });
+            if (queries.length > MAX_QUERIES) {
+                throw new Error(`More than ${MAX_QUERIES} queries - runaway loop? Last: ${text.slice(0, 80)}`);
+            }
+            const result = await respond(text, values);
+            if (result instanceof Error) throw result;
+            return { rows: [], rowCount: 0, ...result };
+        },
+        release() {}
+    };
+
+    return {
+        pool: { connect: async () => client, query: (sql, values) => client.query(sql, values) },
+        client,
+        queries,
+        statements: prefix => queries.filter(query => query.sql.startsWith(prefix))
+    };
+}
+
+module.exports = {
+    createMockPool
+};
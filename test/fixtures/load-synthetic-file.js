@@ -0,0 +1,120 @@
+/**
+ * Synthetic Large File Load
+ * =========================
+ * Child process for test/streaming.test.js: streams a generated CSV of
+ * SYNTHETIC_FILE_MB megabytes through Orchestrator.processFile with an
+ * in-memory S3 handler and database pool, then reports the result and the
+ * peak heap to the parent. Run with a small --max-old-space-size: any step
+ * that buffers the file runs out of heap instead of finishing.
+ */
+
+const { Readable } = require('stream');
+const BasePipeline = require('../../src/core/BasePipeline');
+const Orchestrator = require('../../src/etl/Orchestrator');
+
+const FILE_BYTES = Number(process.env.SYNTHETIC_FILE_MB || 256) * 1024 * 1024;
+const NOTE = 'x'.repeat(1000);
+
+class SyntheticPipeline extends BasePipeline {
+    static pipelineName = 'synthetic';
+
+    get name() {
+        return 'synthetic';
+    }
+
+    get tableName() {
+        return 'synthetic_rows';
+    }
+
+    get envKey() {
+        return 'SYNTHETIC_SOURCEPATH';
+    }
+
+    get columns() {
+        return [
+            { header: 'id', column: 'id', type: 'integer', required: true, conflictKey: true },
+            { header: 'notes', column: 'notes', type: 'text' }
+        ];
+    }
+}
+
+/**
+ * CSV generated chunk by chunk as it is read - never held in memory
+ * @returns {{ stream: Readable, rowCount: function(): number }}
+ */
+function syntheticCsv() {
+    let bytes = 0;
+    let rows = 0;
+    function* chunks() {
+        yield Buffer.from('id,notes\n');
+        while (bytes < FILE_BYTES) {
+            const lines = [];
+            for (let i = 0; i < 64; i++) {
+                rows++;
+                lines.push(`${rows},"${rows} ${NOTE}"`);
+            }
+            const chunk = Buffer.from(lines.join('\n') + '\n');
+            bytes += chunk.length;
+            yield chunk;
+        }
+    }
+    return { stream: Readable.from(chunks()), rowCount: () => rows, byteCount: () => bytes };
+}
+
+// Only what processFile touches; uploads are dropped
+function fakeS3(source) {
+    const noop = async () => 'key';
+    return {
+        bucket: 'synthetic',
+        ensureFolderExists: noop,
+        checkFileExists: async () => true,
+        getFile: async () => source.stream,
+        uploadProcessedFile: noop,
+        uploadQuarantineFile: noop,
+        uploadLogFile: noop,
+        deleteFile: noop,
+        moveToRejected: noop
+    };
+}
+
+function fakeDatabase() {
+    const client = {
+        query: async () => ({ rows: [], rowCount: 1 }),
+        release() {}
+    };
+    return { getPool: () => ({ connect: async () => client, query: client.query }), query: client.query };
+}
+
+async function main() {
+    process.env.SYNTHETIC_SOURCEPATH = 'synthetic';
+    const source = syntheticCsv();
+    const orchestrator = new Orchestrator(
+        fakeS3(source),
+        fakeDatabase(),
+        { synthetic: SyntheticPipeline },
+        { processing: { schemaCheck: false, batchSize: 500 } }
+    );
+
+    let peakHeapUsed = 0;
+    const sampler = setInterval(() => {
+        peakHeapUsed = Math.max(peakHeapUsed, process.memoryUsage().heapUsed);
+    }, 100);
+
+    const result = await orchestrator.processFile('synthetic', 'synthetic.csv');
+    clearInterval(sampler);
+
+    process.send({
+        success: result.success,
+        rowCount: result.rowCount,
+        successCount: result.successCount,
+        errorCount: result.errorCount,
+        generatedRows: source.rowCount(),
+        generatedBytes: source.byteCount(),
+        peakHeapUsed
+    });
+}
+
+main().catch((error) => {
+    process.send({ error: error.stack || error.message });
+    process.exitCode = 1;
+});
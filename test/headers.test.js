@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkHeaders, describeHeaderDrift } = require('../src/utils/headers');
+const { HeaderContractError } = require('../src/core/errors');
+const BasePipeline = require('../src/core/BasePipeline');
+const { createMockPool } = require('./fixtures/database');
+
+const normalize = key => key.toLowerCase().trim().replace(/[^a-z0-9]/g, '');
+const contract = { expected: ['practiceid', 'dentalgroupid'], optional: ['zip'], aliases: { practiceid: ['Practice #'] } };
+
+test('accepts headers that match after normalization', () => {
+    const report = checkHeaders(contract, ['Practice ID', 'Dental Group ID'], normalize);
+
+    assert.equal(report.satisfied, true);
+    assert.deepEqual(report.missing, []);
+    assert.deepEqual(report.unexpected, []);
+    assert.equal(describeHeaderDrift(report), '');
+    assert.equal(describeHeaderDrift(null), '');
+});
+
+test('reads alias headers as their canonical header', () => {
+    const report = checkHeaders(contract, ['Practice #', 'DentalGroupId', 'Zip'], normalize);
+
+    assert.equal(report.satisfied, true);
+    assert.deepEqual(report.renamed, [{ from: 'Practice #', to: 'practiceid' }]);
+    assert.deepEqual(report.headerMap, { practice: 'practiceid' });
+
+    // The canonical header wins when a file has both
+    const both = checkHeaders(contract, ['Practice #', 'practiceid', 'dentalgroupid'], normalize);
+    assert.deepEqual(both.renamed, []);
+    assert.deepEqual(both.unexpected, ['Practice #']);
+});
+
+test('reports missing and unexpected headers with likely renames', () => {
+    const report = checkHeaders(contract, ['practiceid', 'dental_grp_id', 'Region'], normalize);
+
+    assert.equal(report.satisfied, false);
+    assert.deepEqual(report.missing, ['dentalgroupid']);
+    assert.deepEqual(report.unexpected, ['dental_grp_id', 'Region']);
+    assert.deepEqual(report.possibleRenames, [{ from: 'dental_grp_id', to: 'dentalgroupid' }]);
+    assert.equal(describeHeaderDrift(report),
+        'missing: dentalgroupid; unexpected: dental_grp_id, Region; possibly renamed: dental_grp_id -> dentalgroupid?');
+});
+
+test('suggests a rename when one header contains the other', () => {
+    const report = checkHeaders({ expected: ['feeschedule'] }, ['Fee Schedule Name'], normalize);
+    assert.deepEqual(report.possibleRenames, [{ from: 'Fee Schedule Name', to: 'feeschedule' }]);
+
+    const unrelated = checkHeaders({ expected: ['feeschedule'] }, ['Status'], normalize);
+    assert.deepEqual(unrelated.possibleRenames, []);
+});
+
+class WidgetsPipeline extends BasePipeline {
+    get name() { return 'widgets'; }
+    get tableName() { return 'widgets'; }
+    get columns() {
+        return [
+            { header: 'widgetid', column: 'widget_id', type: 'integer', conflictKey: true, headerAliases: ['Widget #'] },
+            { header: 'color', column: 'color', type: 'text' },
+            { header: 'notes', column: 'notes', type: 'text', headerOptional: true }
+        ];
+    }
+}
+
+test('loads alias columns under their canonical header', async () => {
+    const db = createMockPool();
+    const pipeline = new WidgetsPipeline(db.pool, null, {});
+    let seen = null;
+
+    const result = await pipeline.processRows([{ 'Widget #': '4', Color: 'red' }], 'widgets.csv', {
+        onHeader: report => { seen = report; }
+    });
+
+    assert.equal(result.successCount, 1);
+    assert.deepEqual(seen.renamed, [{ from: 'Widget #', to: 'widgetid' }]);
+    assert.deepEqual(db.statements('INSERT INTO widgets')[0].values, [4, 'red', null]);
+});
+
+test('rejects a file missing expected headers only under the reject policy', async () => {
+    const rows = [{ widgetid: '4', colour: 'red' }];
+
+    const db = createMockPool();
+    const strict = new WidgetsPipeline(db.pool, null, { headerMismatch: 'reject' });
+    await assert.rejects(strict.processRows(rows, 'widgets.csv'), error => {
+        assert.ok(error instanceof HeaderContractError);
+        assert.deepEqual(error.headerReport.missing, ['color']);
+        return true;
+    });
+    assert.deepEqual(db.statements('INSERT'), []);
+
+    const lenient = new WidgetsPipeline(createMockPool().pool, null, {});
+    const result = await lenient.processRows(rows, 'widgets.csv');
+    assert.equal(result.successCount, 1);
+});
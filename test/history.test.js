@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BasePipeline = require('../src/core/BasePipeline');
+const { createMockPool } = require('./fixtures/database');
+
+class WidgetsPipeline extends BasePipeline {
+    get name() { return 'widgets'; }
+    get tableName() { return 'widgets'; }
+    get columns() {
+        return [
+            { header: 'widgetid', column: 'widget_id', type: 'integer', conflictKey: true },
+            { header: 'color', column: 'color', type: 'text' },
+            { header: 'size', column: 'size', type: 'text' }
+        ];
+    }
+    get history() {
+        return { trackedColumns: ['color'] };
+    }
+}
+
+// Closing reports closedCount versions, opening reports openedCount
+function historyDatabase({ closedCount = 0, openedCount = 0, liveRows = 0 } = {}) {
+    return createMockPool(sql => {
+        if (sql.startsWith('UPDATE widgets_history AS h')) return { rowCount: closedCount };
+        if (sql.startsWith('INSERT INTO widgets_history')) return { rowCount: openedCount };
+        if (sql.startsWith('SELECT COUNT(*)')) return { rows: [{ count: liveRows }] };
+        return null;
+    });
+}
+
+const rows = [{ widgetid: '1', color: 'red', size: 'L' }, { widgetid: '2', color: 'blue', size: 'S' }];
+
+test('closes changed versions and opens new ones after the load', async () => {
+    const db = historyDatabase({ closedCount: 1, openedCount: 2 });
+    const pipeline = new WidgetsPipeline(db.pool, null, { historyTracking: true });
+
+    const result = await pipeline.processRows(rows, 'widgets.csv');
+
+    assert.deepEqual(result.history, { closedCount: 1, openedCount: 2 });
+    const [close] = db.statements('UPDATE widgets_history');
+    assert.equal(close.sql, 'UPDATE widgets_history AS h SET valid_to = NOW() FROM widgets AS m ' +
+        'WHERE h.valid_to IS NULL AND h.widget_id = m.widget_id AND (h.color IS DISTINCT FROM m.color)');
+    const [open] = db.statements('INSERT INTO widgets_history');
+    assert.equal(open.sql, 'INSERT INTO widgets_history (widget_id, color, valid_from) ' +
+        'SELECT m.widget_id, m.color, NOW() FROM widgets AS m WHERE NOT EXISTS ( ' +
+        'SELECT 1 FROM widgets_history AS h WHERE h.valid_to IS NULL AND h.widget_id = m.widget_id )');
+
+    // Versions are written after the rows, in the file's transaction
+    const sqls = db.queries.map(query => query.sql);
+    assert.ok(sqls.indexOf(close.sql) > sqls.findLastIndex(sql => sql.startsWith('INSERT INTO widgets ')));
+    assert.ok(sqls.indexOf(open.sql) > sqls.indexOf(close.sql));
+    assert.equal(sqls.at(-1), 'COMMIT');
+});
+
+test('tracks every non-key column by default', () => {
+    class AllColumnsPipeline extends WidgetsPipeline {
+        get history() { return { table: 'widget_versions' }; }
+    }
+    assert.deepEqual(new AllColumnsPipeline(null, null, {}).historySettings, {
+        table: 'widget_versions', trackedColumns: ['color', 'size'], validFromColumn: 'valid_from', validToColumn: 'valid_to'
+    });
+});
+
+test('closes the version of soft-deleted rows and opens none for them', async () => {
+    class SnapshotWidgetsPipeline extends WidgetsPipeline {
+        get snapshot() { return { deletedAtColumn: 'deleted_at' }; }
+    }
+    const db = historyDatabase({ liveRows: 2 });
+    const pipeline = new SnapshotWidgetsPipeline(db.pool, null, { historyTracking: true, snapshotDeletes: true });
+
+    await pipeline.processRows(rows, 'widgets.csv');
+
+    const [close] = db.statements('UPDATE widgets_history');
+    assert.match(close.sql, /AND \(h\.color IS DISTINCT FROM m\.color OR m\.deleted_at IS NOT NULL\)$/);
+    const [open] = db.statements('INSERT INTO widgets_history');
+    assert.match(open.sql, /FROM widgets AS m WHERE m\.deleted_at IS NULL AND NOT EXISTS/);
+    // History follows the snapshot deletes
+    const sqls = db.queries.map(query => query.sql);
+    assert.ok(sqls.findIndex(sql => sql.startsWith('UPDATE widgets AS t')) < sqls.indexOf(close.sql));
+});
+
+test('writes no history without HISTORY_TRACKING and rolls it back on a dry run', async () => {
+    const off = historyDatabase();
+    const result = await new WidgetsPipeline(off.pool, null, {}).processRows(rows, 'widgets.csv');
+    assert.equal(result.history, null);
+    assert.deepEqual(off.statements('UPDATE widgets_history'), []);
+
+    const dry = historyDatabase();
+    await new WidgetsPipeline(dry.pool, null, { historyTracking: true, dryRun: true }).processRows(rows, 'widgets.csv');
+    assert.equal(dry.statements('INSERT INTO widgets_history').length, 1);
+    assert.equal(dry.queries.at(-1).sql, 'ROLLBACK');
+});
+
+test('refuses history without tracked columns', async () => {
+    class UntrackedPipeline extends WidgetsPipeline {
+        get history() { return { trackedColumns: [] }; }
+    }
+    const db = historyDatabase();
+    await assert.rejects(new UntrackedPipeline(db.pool, null, { historyTracking: true }).processRows(rows, 'widgets.csv'),
+        /Pipeline widgets tracks history but has no conflict key or tracked columns/);
+    assert.deepEqual(db.queries, []);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { readJsonRecords, flattenRecord } = require('../src/utils/json');
+
+async function readAll(body, format) {
+    const records = [];
+    for await (const record of readJsonRecords(body, format)) records.push(record);
+    return records;
+}
+
+// Every byte in its own chunk, so each string, escape and UTF-8 sequence is split
+function byteChunks(text) {
+    return Readable.from([...Buffer.from(text)].map(byte => Buffer.from([byte])));
+}
+
+test('reads array elements split inside strings, escapes and multi-byte characters', async () => {
+    const records = [
+        { id: 1, name: 'Dr. Müller', note: 'says "hi" \\ }], {[' },
+        { id: 2, name: '東京 🦷', tags: ['a', { b: '}' }] }
+    ];
+    const text = '\uFEFF [\n' + records.map(record => JSON.stringify(record, null, 2)).join(' ,\n') + '\n]\n';
+
+    assert.deepEqual(await readAll(byteChunks(text), 'json'), records);
+    assert.deepEqual(await readAll(Buffer.from(text), 'json'), records);
+});
+
+test('reads an empty array and an empty file as no records', async () => {
+    assert.deepEqual(await readAll(Buffer.from('[ ]'), 'json'), []);
+    assert.deepEqual(await readAll(Buffer.from(''), 'json'), []);
+});
+
+test('rejects a trailing or missing comma between array elements', async () => {
+    await assert.rejects(readAll(Buffer.from('[{"a":1},]'), 'json'), /Trailing comma after array element 1/);
+    await assert.rejects(readAll(Buffer.from('[{"a":1} {"a":2}]'), 'json'), /Expected "," or "\]" after array element 1/);
+    await assert.rejects(readAll(Buffer.from('[{"a":1},,{"a":2}]'), 'json'), /Expected a JSON object at array element 2/);
+    await assert.rejects(readAll(Buffer.from('[,{"a":1}]'), 'json'), /Expected a JSON object at array element 1/);
+});
+
+test('rejects other malformed arrays', async () => {
+    await assert.rejects(readAll(Buffer.from('{"a":1}'), 'json'), /file must start with "\["/);
+    await assert.rejects(readAll(Buffer.from('[{"a":1}, 2]'), 'json'), /Expected a JSON object at array element 2/);
+    await assert.rejects(readAll(Buffer.from('[{"a":1}] x'), 'json'), /Unexpected content after the JSON array/);
+    await assert.rejects(readAll(Buffer.from('[{"a":1}, {"a":'), 'json'), /Unexpected end of JSON array/);
+    await assert.rejects(readAll(Buffer.from('[{"a":}]'), 'json'), /Invalid JSON at array element 1/);
+});
+
+test('reads NDJSON lines, skipping blank ones, across chunk splits', async () => {
+    const text = '\uFEFF{"id":1,"name":"Zoë"}\r\n\n   \n{"id":2}\n\n{"id":3}';
+
+    assert.deepEqual(await readAll(byteChunks(text), 'ndjson'), [{ id: 1, name: 'Zoë' }, { id: 2 }, { id: 3 }]);
+    await assert.rejects(readAll(Buffer.from('{"id":1}\n\n[1]\n'), 'ndjson'), /Expected a JSON object at line 3/);
+    await assert.rejects(readAll(Buffer.from('{"id":1}\n{"id":\n'), 'ndjson'), /Invalid JSON at line 2/);
+});
+
+test('flattens nested fields into dot-joined text cells', () => {
+    const row = flattenRecord({
+        id: 7,
+        active: true,
+        closed: null,
+        doctor: { name: 'Dr. Lee', address: { city: 'Austin', zip: '07301' } },
+        extra: {},
+        items: [{ sku: 'A1' }]
+    });
+
+    assert.deepEqual(row, {
+        id: '7',
+        active: 'true',
+        closed: '',
+        'doctor.name': 'Dr. Lee',
+        'doctor.address.city': 'Austin',
+        'doctor.address.zip': '07301',
+        extra: '',
+        items: '[{"sku":"A1"}]'
+    });
+});
+
+test('maps headers to paths with jsonFields', () => {
+    const record = { lab: { id: 12 }, items: [{ sku: 'A1' }, { sku: 'B2' }], doctor: null };
+
+    assert.deepEqual(flattenRecord(record, {
+        'Lab ID': 'lab.id',
+        SKU: 'items.1.sku',
+        Items: 'items',
+        'Doctor Name': 'doctor.name',
+        Missing: 'nope.deeper'
+    }), {
+        'Lab ID': '12',
+        SKU: 'B2',
+        Items: '[{"sku":"A1"},{"sku":"B2"}]',
+        'Doctor Name': '',
+        Missing: ''
+    });
+});
@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Orchestrator = require('../src/etl/Orchestrator');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+function pipelineClass(pipelineName, dependsOn = [], fileOrder = { strategy: 'lastModified', rejectOlder: false }) {
+    return class {
+        static pipelineName = pipelineName;
+        static dependsOn = dependsOn;
+        get envKey() {
+            return `ORCHESTRATOR_TEST_${pipelineName.toUpperCase()}_SOURCEPATH`;
+        }
+        get fileOrder() {
+            return fileOrder;
+        }
+        get fileConcurrency() {
+            return 1;
+        }
+    };
+}
+
+/**
+ * Orchestrator over a parent -> child pipeline pair whose processPipeline()
+ * returns (or throws) the given parent result
+ */
+function parentChildOrchestrator(parentResult) {
+    const pipelines = { parent: pipelineClass('parent'), child: pipelineClass('child', ['parent']) };
+    const orchestrator = new Orchestrator(null, null, pipelines, { processing: { schemaCheck: false } });
+    orchestrator.getLogger = () => silentLogger;
+    orchestrator.processPipeline = async (name) => {
+        if (name === 'child') return { processed: 1, successful: 1, failed: 0, errorCategories: {}, results: [] };
+        if (parentResult instanceof Error) throw parentResult;
+        return { errorCategories: {}, results: [], ...parentResult };
+    };
+    return orchestrator;
+}
+
+test('runs dependents when the upstream pipeline loaded some of its files', async () => {
+    const summary = await parentChildOrchestrator({ processed: 3, successful: 2, failed: 1 }).processAllPipelines();
+
+    assert.equal(summary.pipelines.child.successful, 1);
+    assert.equal(summary.pipelines.child.skipped, undefined);
+});
+
+test('runs dependents when the upstream pipeline had no files', async () => {
+    const summary = await parentChildOrchestrator({ processed: 0, successful: 0, failed: 0 }).processAllPipelines();
+
+    assert.equal(summary.pipelines.child.successful, 1);
+});
+
+test('skips dependents when every upstream file failed', async () => {
+    const summary = await parentChildOrchestrator({ processed: 2, successful: 0, failed: 2 }).processAllPipelines();
+
+    assert.equal(summary.pipelines.child.skipped, true);
+    assert.equal(summary.pipelines.child.blockedBy, 'parent');
+});
+
+test('skips dependents when the upstream pipeline throws', async () => {
+    const summary = await parentChildOrchestrator(new Error('listing failed')).processAllPipelines();
+
+    assert.equal(summary.pipelines.parent.error, 'listing failed');
+    assert.equal(summary.pipelines.child.skipped, true);
+});
+
+/**
+ * Orchestrator over one 'groups' pipeline whose source folder lists the given
+ * files; processFile() fails the files named in failing
+ */
+function fileOrchestrator(fileNames, fileOrder, { failing = [], watermark = null } = {}) {
+    const pipelines = { groups: pipelineClass('groups', [], fileOrder) };
+    process.env.ORCHESTRATOR_TEST_GROUPS_SOURCEPATH = 'groups';
+    const s3Handler = {
+        bucket: 'test',
+        ensureFolderExists: async () => {},
+        listFileObjects: async () => fileNames.map(name => ({ name, lastModified: new Date(0), size: 1 })),
+        moveToRejected: async (name) => `groups/rejected/${name}`
+    };
+    const orchestrator = new Orchestrator(s3Handler, null, pipelines, { processing: { schemaCheck: false } });
+    orchestrator.getLogger = () => silentLogger;
+    orchestrator.processedFiles = [];
+    orchestrator.processFile = async (pipelineName, file) => {
+        orchestrator.processedFiles.push(file);
+        return failing.includes(file)
+            ? { success: false, reason: 'too many failed rows' }
+            : { success: true, rowCount: 1 };
+    };
+    orchestrator.advanced = [];
+    orchestrator.fileWatermarks = {
+        get: async () => watermark,
+        advance: async (pipelineName, file) => { orchestrator.advanced.push(file.fileName); }
+    };
+    return orchestrator;
+}
+
+test('leaves files without a timestamp in the source folder without failing the pipeline', async () => {
+    const orchestrator = fileOrchestrator(['groups.csv', 'groups-2025-03-01.csv'], { strategy: 'fileNameTimestamp', rejectOlder: false });
+    const result = await orchestrator.processPipeline('groups');
+
+    assert.equal(result.successful, 1);
+    assert.equal(result.failed, 0);
+    assert.equal(result.unordered, 1);
+    assert.deepEqual(result.results[0], {
+        file: 'groups.csv',
+        success: false,
+        unordered: true,
+        reason: 'Cannot order file by fileNameTimestamp: no timestamp in its name'
+    });
+});
+
+test('runs dependents when the upstream pipeline only has files it cannot order', async () => {
+    const orchestrator = fileOrchestrator(['groups.csv'], { strategy: 'fileNameTimestamp', rejectOlder: false });
+    orchestrator.pipelines.practices = pipelineClass('practices', ['groups']);
+    const processPipeline = orchestrator.processPipeline.bind(orchestrator);
+    orchestrator.processPipeline = async (name) => (name === 'practices'
+        ? { processed: 1, successful: 1, failed: 0, errorCategories: {}, results: [] }
+        : processPipeline(name));
+
+    const summary = await orchestrator.processAllPipelines();
+
+    assert.equal(summary.unordered, 1);
+    assert.equal(summary.pipelines.practices.successful, 1);
+});
+
+test('stops loading and the watermark at the first failed file', async () => {
+    const orchestrator = fileOrchestrator(
+        ['groups_3.csv', 'groups_1.csv', 'groups_4.csv', 'groups_2.csv', 'groups_5.csv'],
+        { strategy: 'sequence', rejectOlder: true },
+        { failing: ['groups_3.csv'] }
+    );
+    const result = await orchestrator.processPipeline('groups');
+
+    assert.deepEqual(orchestrator.processedFiles, ['groups_1.csv', 'groups_2.csv', 'groups_3.csv']);
+    assert.equal(result.successful, 2);
+    assert.equal(result.failed, 1);
+    assert.equal(result.held, 2);
+    assert.deepEqual(result.results.filter(file => file.held).map(file => [file.file, file.reason]), [
+        ['groups_4.csv', 'Not loaded: older file groups_3.csv failed'],
+        ['groups_5.csv', 'Not loaded: older file groups_3.csv failed']
+    ]);
+    assert.deepEqual(orchestrator.advanced, ['groups_2.csv']);
+});
+
+test('keeps loading after a failed file when files are ordered by name only', async () => {
+    const orchestrator = fileOrchestrator(['a.csv', 'b.csv', 'c.csv'], { strategy: 'name', rejectOlder: false }, { failing: ['b.csv'] });
+    const result = await orchestrator.processPipeline('groups');
+
+    assert.deepEqual(orchestrator.processedFiles, ['a.csv', 'b.csv', 'c.csv']);
+    assert.equal(result.successful, 2);
+    assert.equal(result.held, 0);
+});
+
+test('moves the watermark to the newest file when every file loads', async () => {
+    const orchestrator = fileOrchestrator(
+        ['groups_6.csv', 'groups_5.csv', 'groups_1.csv'],
+        { strategy: 'sequence', rejectOlder: true },
+        { watermark: { orderKey: 4, fileName: 'groups_4.csv' } }
+    );
+    const result = await orchestrator.processPipeline('groups');
+
+    assert.equal(result.successful, 2);
+    assert.equal(result.results.find(file => file.file === 'groups_1.csv').rejected, true);
+    assert.deepEqual(orchestrator.advanced, ['groups_6.csv']);
+});
+
+test('leaves the watermark alone when the oldest file fails', async () => {
+    const orchestrator = fileOrchestrator(
+        ['groups_1.csv', 'groups_2.csv'],
+        { strategy: 'sequence', rejectOlder: true },
+        { failing: ['groups_1.csv'] }
+    );
+    await orchestrator.processPipeline('groups');
+
+    assert.deepEqual(orchestrator.advanced, []);
+});
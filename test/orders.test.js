@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const OrdersPipeline = require('../src/pipelines/orders');
+const DentalGroupsPipeline = require('../src/pipelines/dental-groups');
+const { generateRowHash } = require('../src/utils/hash');
+
+test('takes the orders load mode from its own setting, then LOAD_MODE', () => {
+    const config = { loadMode: 'row', loadModes: { orders: 'copy' } };
+
+    assert.equal(new OrdersPipeline(null, null, config).loadMode, 'copy');
+    assert.equal(new DentalGroupsPipeline(null, null, config).loadMode, 'row');
+    assert.equal(new OrdersPipeline(null, null, { loadMode: 'batch', loadModes: { orders: null } }).loadMode, 'batch');
+    assert.equal(new OrdersPipeline(null, null, {}).loadMode, 'row');
+});
+
+test('warns on case statuses outside ORDER_CASE_STATUSES only when it is set', () => {
+    const pipeline = new OrdersPipeline(null, null, { orderCaseStatuses: ['Open', 'Shipped'] });
+    const row = { quantity: 1, casedate: '2025-03-01', shippingdate: '2025-03-04' };
+
+    assert.deepEqual(pipeline.applyValidationRules({ ...row, casestatus: 'Shipped' }), { rejections: [], warnings: [] });
+    const { rejections, warnings } = pipeline.applyValidationRules({ ...row, casestatus: 'Lost' });
+    assert.deepEqual(rejections, []);
+    assert.deepEqual(warnings, ["casestatus 'Lost' is not an allowed value"]);
+
+    const unchecked = new OrdersPipeline(null, null, {});
+    assert.deepEqual(unchecked.applyValidationRules({ ...row, casestatus: 'Lost' }), { rejections: [], warnings: [] });
+});
+
+test('keeps caseid as text and hashes the source values, not the coerced ones', () => {
+    const pipeline = new OrdersPipeline(null, null, {});
+    const row = { labid: '12', caseid: 'MT-00981', casedate: '3/1/2025', quantity: '2', productprice: '$1,200.00' };
+
+    const mapped = pipeline.mapRow(row);
+    assert.equal(mapped.caseid, 'MT-00981');
+    assert.equal(pipeline.mapRow({ ...row, caseid: '00981' }).caseid, '00981');
+    assert.equal(mapped.casedate, '2025-03-01');
+    assert.equal(mapped.productprice, 1200);
+
+    // The staged source values: raw strings, numeric lab_id and quantity, null when absent
+    const source = Object.fromEntries(Object.keys(mapped)
+        .filter(column => column !== 'row_hash')
+        .map(column => [column, null]));
+    Object.assign(source, { lab_id: 12, caseid: 'MT-00981', casedate: '3/1/2025', quantity: 2, productprice: '$1,200.00' });
+    assert.equal(mapped.row_hash, generateRowHash(source));
+
+    // A re-sent order with the same date written another way is a change
+    assert.notEqual(pipeline.mapRow({ ...row, casedate: '2025-03-01' }).row_hash, mapped.row_hash);
+});
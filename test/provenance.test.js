@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BasePipeline = require('../src/core/BasePipeline');
+const DentalPracticesPipeline = require('../src/pipelines/dental-practices');
+const { createMockPool } = require('./fixtures/database');
+
+const PROVENANCE = ['etl_run_id', 'source_file_key', 'source_row_number', 'loaded_at'];
+
+function groupsDatabase() {
+    return createMockPool((sql, values) => {
+        if (sql.startsWith('SELECT DISTINCT dental_group_id FROM dental_groups')) {
+            return { rows: values[0].map(id => ({ dental_group_id: id })) };
+        }
+        return null;
+    });
+}
+
+const rows = [
+    { practiceid: '100', dentalgroupid: '7', status: 'Active' },
+    { practiceid: '101', dentalgroupid: '7', status: 'Active' }
+];
+
+const settings = { provenanceColumns: true, runId: 'run-1', sourcePath: 'incoming/' };
+
+for (const loadMode of ['row', 'batch']) {
+    test(`appends the provenance columns and values to the generated insert (${loadMode})`, async () => {
+        const db = groupsDatabase();
+        const pipeline = new DentalPracticesPipeline(db.pool, null, { ...settings, loadMode });
+
+        const result = await pipeline.processRows(rows, 'practices.csv');
+
+        assert.equal(result.successCount, 2);
+        const inserts = db.statements('INSERT INTO dental_practices');
+        const columns = /^INSERT INTO dental_practices \(([^)]*)\)/.exec(inserts[0].sql)[1].split(', ');
+        assert.deepEqual(columns, pipeline.loadColumns);
+        assert.deepEqual(columns.slice(-4), PROVENANCE);
+
+        const width = columns.length;
+        const values = inserts.flatMap(insert => insert.values);
+        assert.equal(values.length, width * 2);
+        for (const row of [0, 1]) {
+            const [runId, fileKey, rowNumber, loadedAt] = values.slice(row * width + width - 4, (row + 1) * width);
+            assert.equal(runId, 'run-1');
+            assert.equal(fileKey, 'incoming/practices.csv');
+            assert.equal(rowNumber, row + 1);
+            assert.ok(loadedAt instanceof Date);
+        }
+    });
+}
+
+test('numbers the placeholders of the row insert through the provenance values', () => {
+    const pipeline = new DentalPracticesPipeline(null, null, settings);
+    const { sql, values } = pipeline.buildLoadQuery(pipeline.mapRow(rows[0]), 'practices.csv', 1);
+
+    const placeholders = /VALUES \(([^)]*)\)/.exec(sql)[1].split(/,\s*/);
+    assert.deepEqual(placeholders, values.map((_, i) => `$${i + 1}`));
+    assert.match(sql, /ON CONFLICT/);
+});
+
+test('rejects provenance on a pipeline with a hand-written insert before loading', async () => {
+    class HandWrittenPipeline extends BasePipeline {
+        get name() { return 'hand-written'; }
+        get tableName() { return 'widgets'; }
+        get provenance() { return true; }
+        mapRow(row) { return { id: row.id }; }
+        buildInsertQuery(mappedRow) {
+            return { sql: 'INSERT INTO widgets (id, seen_at) VALUES ($1, NOW())', values: [mappedRow.id] };
+        }
+    }
+    const db = createMockPool();
+    const pipeline = new HandWrittenPipeline(db.pool, null, settings);
+
+    await assert.rejects(pipeline.processRows([{ id: '1' }], 'widgets.csv'),
+        /Pipeline hand-written declares provenance but has no column spec/);
+    assert.deepEqual(db.statements('INSERT'), []);
+
+    // Without PROVENANCE_COLUMNS the hand-written statement is used as is
+    const plain = new HandWrittenPipeline(null, null, {});
+    assert.equal(plain.buildLoadQuery({ id: '1' }, 'widgets.csv', 1).sql,
+        'INSERT INTO widgets (id, seen_at) VALUES ($1, NOW())');
+});
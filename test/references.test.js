@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DentalPracticesPipeline = require('../src/pipelines/dental-practices');
+const { createMockPool } = require('./fixtures/database');
+
+// dental_groups holds only group 7
+function groupsDatabase() {
+    return createMockPool((sql, values) => {
+        if (sql.startsWith('SELECT DISTINCT dental_group_id FROM dental_groups')) {
+            return { rows: values[0].filter(id => id === 7).map(id => ({ dental_group_id: id })) };
+        }
+        if (sql.startsWith('INSERT INTO dental_practices')) {
+            return { rows: [] };
+        }
+        return null;
+    });
+}
+
+function practiceRows(groupIds) {
+    return groupIds.map((groupId, i) => ({ practiceid: String(100 + i), dentalgroupid: String(groupId), status: 'Active' }));
+}
+
+for (const loadMode of ['row', 'batch']) {
+    test(`quarantines a file whose rows all have an unknown group (${loadMode})`, async () => {
+        const db = groupsDatabase();
+        const pipeline = new DentalPracticesPipeline(db.pool, null, { loadMode, batchSize: 2 });
+
+        const result = await pipeline.processRows(practiceRows([8, 8, 9, 9, 9]), 'practices.csv');
+
+        assert.equal(result.successCount, 0);
+        assert.equal(result.quarantinedCount, 5);
+        assert.deepEqual(result.errorCategories, { MISSING_REFERENCE: 5 });
+        assert.deepEqual(result.errorRows.map(row => row.reason), [
+            'unknown dental group 8', 'unknown dental group 8', 'unknown dental group 9',
+            'unknown dental group 9', 'unknown dental group 9'
+        ]);
+        assert.equal(result.errorRows[0].quarantined, true);
+        assert.deepEqual(db.statements('INSERT'), []);
+        assert.deepEqual(db.statements('SAVEPOINT'), []);
+        assert.equal(db.queries.at(-1).sql, 'COMMIT');
+    });
+}
+
+test('loads the rows of known groups and quarantines the rest of a chunk', async () => {
+    const db = groupsDatabase();
+    const pipeline = new DentalPracticesPipeline(db.pool, null, { loadMode: 'batch', batchSize: 3 });
+
+    const result = await pipeline.processRows(practiceRows([7, 8, 7, 9, 9, 9, 7]), 'practices.csv');
+
+    assert.equal(result.successCount, 3);
+    assert.equal(result.quarantinedCount, 4);
+    const inserts = db.statements('INSERT INTO dental_practices');
+    assert.deepEqual(inserts.map(insert => insert.values.filter((_, i) => i % 15 === 0)), [[100, 102], [106]]);
+    // Found groups are remembered: the last chunk (group 7 only) needs no lookup
+    assert.deepEqual(db.statements('SELECT DISTINCT').map(lookup => lookup.values[0]), [[7, 8], [9]]);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BasePipeline = require('../src/core/BasePipeline');
+const RejectedRowStore = require('../src/etl/RejectedRowStore');
+const { createMockPool } = require('./fixtures/database');
+
+class WidgetsPipeline extends BasePipeline {
+    get name() { return 'widgets'; }
+    get tableName() { return 'widgets'; }
+    get columns() {
+        return [
+            { header: 'widgetid', column: 'widget_id', type: 'integer', conflictKey: true },
+            { header: 'qty', column: 'qty', type: 'integer' }
+        ];
+    }
+    get provenance() {
+        return { runId: false, loadedAt: false };
+    }
+}
+
+// Unresolved etl_rejected_rows entries of the widgets pipeline
+const stored = [
+    { id: 11, source_path: 'in/', file_name: 'a.csv', row_number: 3, raw_row: { widgetid: '1', qty: '5' } },
+    { id: 12, source_path: 'in/', file_name: 'a.csv', row_number: 7, raw_row: { widgetid: '2', qty: 'lots' } },
+    { id: 13, source_path: 'in/', file_name: 'b.csv', row_number: 2, raw_row: { widgetid: '3', qty: '1' } }
+];
+
+function rejectedRowsDatabase() {
+    const db = createMockPool(sql => {
+        if (sql.startsWith('SELECT id, source_path, file_name, row_number, raw_row FROM etl_rejected_rows')) {
+            return { rows: stored };
+        }
+        return null;
+    });
+    const dbConnection = { query: db.pool.query, getPool: () => db.pool };
+    return { db, store: new RejectedRowStore(dbConnection, { widgets: WidgetsPipeline }, { provenanceColumns: true }) };
+}
+
+test('records each rejected row of a load in etl_rejected_rows', async () => {
+    const { db, store } = rejectedRowsDatabase();
+    const pipeline = new WidgetsPipeline(db.pool, null, { rejectSink: store.createSink('widgets', 'in/', 'run-1') });
+
+    await pipeline.processRows([{ widgetid: '1', qty: '5' }, { widgetid: '2', qty: 'lots' }], 'a.csv');
+
+    const [insert] = db.statements('INSERT INTO etl_rejected_rows');
+    const [pipelineName, sourcePath, fileName, rowNumber, rawRow, reason, , quarantined, runId] = insert.values;
+    assert.deepEqual([pipelineName, sourcePath, fileName, rowNumber, quarantined, runId], ['widgets', 'in/', 'a.csv', 2, false, 'run-1']);
+    assert.deepEqual(JSON.parse(rawRow), { widgetid: '2', qty: 'lots' });
+    assert.match(reason, /qty \('lots' is not an integer\)/);
+    // Written in the file's transaction
+    assert.ok(db.queries.indexOf(insert) < db.queries.findIndex(query => query.sql === 'COMMIT'));
+});
+
+test('retries stored rows per source file, resolving rows that now load', async () => {
+    const { db, store } = rejectedRowsDatabase();
+
+    const summary = await store.retry('widgets', { runId: 'run-2' });
+
+    assert.deepEqual(summary, {
+        retried: 3, resolved: 2, failed: 1, quarantined: 0,
+        files: [
+            { fileName: 'a.csv', retried: 2, resolved: 1, failed: 1 },
+            { fileName: 'b.csv', retried: 1, resolved: 1, failed: 0 }
+        ]
+    });
+
+    const [failed] = db.statements('UPDATE etl_rejected_rows SET reason');
+    assert.equal(failed.values[0], 12);
+    assert.match(failed.values[1], /'lots' is not an integer/);
+    assert.match(failed.sql, /retry_count = retry_count \+ 1/);
+
+    const resolved = db.statements('UPDATE etl_rejected_rows SET resolved_at = NOW()');
+    assert.deepEqual(resolved.map(update => update.values), [[[11], 'run-2'], [[13], 'run-2']]);
+    assert.equal(db.statements('COMMIT').length, 2);
+});
+
+test('keeps the original file and row number in provenance columns', async () => {
+    const { db, store } = rejectedRowsDatabase();
+
+    await store.retry('widgets');
+
+    const inserts = db.statements('INSERT INTO widgets');
+    assert.match(inserts[0].sql, /\(widget_id, qty, source_file_key, source_row_number\)/);
+    assert.deepEqual(inserts.map(insert => insert.values.slice(-2)), [['in/a.csv', 3], ['in/b.csv', 2]]);
+});
+
+test('resolves nothing on a dry run', async () => {
+    const { db, store } = rejectedRowsDatabase();
+
+    const summary = await store.retry('widgets', { dryRun: true });
+
+    assert.equal(summary.resolved, 2);
+    assert.equal(db.statements('COMMIT').length, 0);
+    assert.equal(db.statements('ROLLBACK').length, 2);
+});
+
+test('refuses to retry an unknown pipeline', async () => {
+    const { db, store } = rejectedRowsDatabase();
+
+    await assert.rejects(store.retry('gadgets'), /Pipeline not found: gadgets/);
+    assert.deepEqual(db.queries, []);
+});
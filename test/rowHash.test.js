@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BasePipeline = require('../src/core/BasePipeline');
+const { generateRowHash } = require('../src/utils/hash');
+const { createMockPool } = require('./fixtures/database');
+
+class WidgetsPipeline extends BasePipeline {
+    get name() { return 'widgets'; }
+    get tableName() { return 'widgets'; }
+    get columns() {
+        return [
+            { header: 'widgetid', column: 'widget_id', type: 'integer', conflictKey: true },
+            { header: 'color', column: 'color', type: 'text' },
+            { header: 'size', column: 'size', type: 'text' }
+        ];
+    }
+    get rowHash() {
+        return { column: 'row_hash' };
+    }
+}
+
+/**
+ * widgets as widget_id -> row_hash; an upsert only touches a stored row
+ * when the hash differs, as the conflict clause's WHERE does in Postgres
+ */
+function widgetsTable(stored = new Map()) {
+    const db = createMockPool((sql, values) => {
+        if (!sql.startsWith('INSERT INTO widgets ')) return null;
+        const returned = [];
+        for (let i = 0; i < values.length; i += 4) {
+            const [id, , , hash] = values.slice(i, i + 4);
+            if (stored.get(id) === hash) continue;
+            returned.push({ etl_inserted: !stored.has(id), widget_id: id });
+            stored.set(id, hash);
+        }
+        return { rows: returned };
+    });
+    return { db, stored };
+}
+
+const rows = [{ widgetid: '1', color: 'red', size: 'L' }, { widgetid: '2', color: 'blue', size: 'S' }];
+
+test('compares the stored hash instead of every column', () => {
+    const pipeline = new WidgetsPipeline(null, null, { rowHashes: true });
+
+    assert.deepEqual(pipeline.bulkColumns, ['widget_id', 'color', 'size', 'row_hash']);
+    assert.equal(pipeline.conflictClause,
+        'ON CONFLICT (widget_id) DO UPDATE SET color = EXCLUDED.color, size = EXCLUDED.size, row_hash = EXCLUDED.row_hash ' +
+        'WHERE widgets.row_hash IS DISTINCT FROM EXCLUDED.row_hash');
+
+    const { values } = pipeline.buildInsertQuery(pipeline.mapRow(rows[0]));
+    assert.deepEqual(values, [1, 'red', 'L', generateRowHash({ color: 'red', size: 'L' })]);
+});
+
+for (const loadMode of ['row', 'batch']) {
+    test(`reports rows whose hash did not change as unchanged (${loadMode})`, async () => {
+        const { db, stored } = widgetsTable();
+        const config = { rowHashes: true, loadMode };
+
+        const first = await new WidgetsPipeline(db.pool, null, config).processRows(rows, 'widgets.csv');
+        assert.deepEqual([first.insertedCount, first.updatedCount, first.unchangedCount], [2, 0, 0]);
+
+        const resent = [rows[0], { ...rows[1], color: 'green' }];
+        const second = await new WidgetsPipeline(db.pool, null, config).processRows(resent, 'widgets.csv');
+        assert.deepEqual([second.insertedCount, second.updatedCount, second.unchangedCount], [0, 1, 1]);
+        assert.equal(stored.get(2), generateRowHash({ color: 'green', size: 'S' }));
+    });
+}
+
+test('hashes only the configured columns', () => {
+    class ColorHashPipeline extends WidgetsPipeline {
+        get rowHash() { return { column: 'attrs_hash', columns: ['color'] }; }
+    }
+    const pipeline = new ColorHashPipeline(null, null, { rowHashes: true });
+
+    const { values } = pipeline.buildInsertQuery(pipeline.mapRow(rows[0]));
+    assert.equal(values.at(-1), generateRowHash({ color: 'red' }));
+    assert.equal(values.at(-1), pipeline.buildInsertQuery(pipeline.mapRow({ ...rows[0], size: 'XL' })).values.at(-1));
+    assert.match(pipeline.conflictClause, /WHERE widgets\.attrs_hash IS DISTINCT FROM EXCLUDED\.attrs_hash$/);
+});
+
+test('compares column by column without ROW_HASHES', () => {
+    const pipeline = new WidgetsPipeline(null, null, {});
+
+    assert.deepEqual(pipeline.bulkColumns, ['widget_id', 'color', 'size']);
+    assert.match(pipeline.conflictClause,
+        /WHERE \(widgets\.color, widgets\.size\) IS DISTINCT FROM \(EXCLUDED\.color, EXCLUDED\.size\)$/);
+    assert.equal(pipeline.buildInsertQuery(pipeline.mapRow(rows[0])).values.length, 3);
+});
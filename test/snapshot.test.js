@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BasePipeline = require('../src/core/BasePipeline');
+const { createMockPool } = require('./fixtures/database');
+
+class WidgetsPipeline extends BasePipeline {
+    get name() { return 'widgets'; }
+    get tableName() { return 'widgets'; }
+    get columns() {
+        return [
+            { header: 'widgetid', column: 'widget_id', type: 'integer', conflictKey: true },
+            { header: 'color', column: 'color', type: 'text' }
+        ];
+    }
+    get snapshot() {
+        return { deletedAtColumn: 'deleted_at' };
+    }
+}
+
+// widgets has liveRows live rows; the soft delete reports deletedCount of them
+function widgetsDatabase({ liveRows, deletedCount = 0 }) {
+    return createMockPool(sql => {
+        if (sql.startsWith('SELECT COUNT(*)::int AS count FROM widgets WHERE deleted_at IS NULL')) {
+            return { rows: [{ count: liveRows }] };
+        }
+        if (sql.startsWith('UPDATE widgets AS t SET deleted_at = NOW()')) {
+            return { rowCount: deletedCount };
+        }
+        return null;
+    });
+}
+
+function widgetRows(ids) {
+    return ids.map(id => ({ widgetid: id, color: 'red' }));
+}
+
+test('soft-deletes live rows whose key is not in a complete file', async () => {
+    const db = widgetsDatabase({ liveRows: 4, deletedCount: 2 });
+    const pipeline = new WidgetsPipeline(db.pool, null, { snapshotDeletes: true });
+
+    const result = await pipeline.processRows(widgetRows(['1', '2', '2']), 'widgets.csv');
+
+    assert.equal(result.successCount, 3);
+    assert.deepEqual(result.snapshot, { deletedCount: 2, skipped: null });
+    const [update] = db.statements('UPDATE widgets');
+    assert.deepEqual(update.values, [['1', '2']]);
+    assert.match(update.sql, /WHERE t\.deleted_at IS NULL AND NOT EXISTS \( SELECT 1 FROM unnest\(\$1::text\[\]\) AS s\(widget_id\) WHERE s\.widget_id = t\.widget_id::text \)/);
+    // Deletes run after the rows are loaded, in the same transaction
+    const sqls = db.queries.map(query => query.sql);
+    assert.ok(sqls.indexOf(update.sql) > sqls.findLastIndex(sql => sql.startsWith('INSERT INTO widgets')));
+    assert.equal(sqls.at(-1), 'COMMIT');
+});
+
+test('revives a soft-deleted key that reappears', async () => {
+    const db = widgetsDatabase({ liveRows: 1 });
+    const pipeline = new WidgetsPipeline(db.pool, null, { snapshotDeletes: true });
+
+    await pipeline.processRows(widgetRows(['1']), 'widgets.csv');
+
+    const [insert] = db.statements('INSERT INTO widgets');
+    assert.match(insert.sql, /DO UPDATE SET .*deleted_at = NULL WHERE .* OR widgets\.deleted_at IS NOT NULL /);
+});
+
+test('skips deletes when a row key could not be read', async () => {
+    const db = widgetsDatabase({ liveRows: 2 });
+    const pipeline = new WidgetsPipeline(db.pool, null, { snapshotDeletes: true });
+
+    const result = await pipeline.processRows(widgetRows(['1', 'two']), 'widgets.csv');
+
+    assert.equal(result.errorCount, 1);
+    assert.deepEqual(result.snapshot, {
+        deletedCount: 0, skipped: '1 row(s) had no readable key, file is not a complete snapshot'
+    });
+    assert.deepEqual(db.statements('UPDATE'), []);
+});
+
+test('skips deletes for files under minRows or minRatio of the live rows', async () => {
+    const few = widgetsDatabase({ liveRows: 10 });
+    const ratio = new WidgetsPipeline(few.pool, null, { snapshotDeletes: true });
+    const partial = await ratio.processRows(widgetRows(['1', '2', '3', '4']), 'widgets.csv');
+    assert.equal(partial.snapshot.skipped, 'file has 4 keys, under 50% of the 10 live rows');
+    assert.deepEqual(few.statements('UPDATE'), []);
+
+    const small = widgetsDatabase({ liveRows: 0 });
+    const rows = new WidgetsPipeline(small.pool, null, { snapshotDeletes: true, snapshotMinRows: 3 });
+    const tiny = await rows.processRows(widgetRows(['1', '2']), 'widgets.csv');
+    assert.equal(tiny.snapshot.skipped, 'file has 2 keys, fewer than the minimum of 3');
+    assert.deepEqual(small.statements('UPDATE'), []);
+});
+
+test('only upserts without SNAPSHOT_DELETES', async () => {
+    const db = widgetsDatabase({ liveRows: 4 });
+    const pipeline = new WidgetsPipeline(db.pool, null, {});
+
+    const result = await pipeline.processRows(widgetRows(['1']), 'widgets.csv');
+
+    assert.equal(result.snapshot, null);
+    assert.deepEqual(db.statements('SELECT COUNT'), []);
+    assert.deepEqual(db.statements('UPDATE'), []);
+    assert.doesNotMatch(db.statements('INSERT INTO widgets')[0].sql, /deleted_at/);
+});
+
+test('refuses snapshot deletes without a conflict key', async () => {
+    class UnkeyedPipeline extends WidgetsPipeline {
+        get columns() {
+            return super.columns.map(col => ({ ...col, conflictKey: false }));
+        }
+    }
+    const db = widgetsDatabase({ liveRows: 0 });
+    const pipeline = new UnkeyedPipeline(db.pool, null, { snapshotDeletes: true });
+
+    await assert.rejects(pipeline.processRows(widgetRows(['1']), 'widgets.csv'),
+        /Pipeline widgets uses snapshot deletes but has no conflict key columns/);
+    assert.deepEqual(db.queries, []);
+});
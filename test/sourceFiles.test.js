@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createGzip } = require('zlib');
+const BasePipeline = require('../src/core/BasePipeline');
+const { HeaderContractError } = require('../src/core/errors');
+const { openSourceEntries } = require('../src/utils/sourceFiles');
+const { buildZip } = require('./fixtures/archives');
+
+class LabsPipeline extends BasePipeline {
+    get name() {
+        return 'test-labs';
+    }
+
+    get columns() {
+        return [
+            { header: 'labid', column: 'lab_id', type: 'integer', required: true, conflictKey: true },
+            { header: 'name', column: 'name', type: 'text' }
+        ];
+    }
+}
+
+/**
+ * Rows of a source file as createSourceRowStream() yields them
+ */
+async function readSource(body, fileName) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'etl-source-'));
+    try {
+        const pipeline = new LabsPipeline(null, null, {});
+        const formats = [];
+        const entries = openSourceEntries(Readable.from([body]), fileName, path.join(dir, `source_${fileName}`));
+        const rows = [];
+        for await (const row of pipeline.createSourceRowStream(entries, formats)) {
+            rows.push(row);
+        }
+        return { rows, formats, leftovers: fs.readdirSync(dir) };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('loads every CSV of a zip, skipping folders and macOS metadata', async () => {
+    const zip = buildZip([
+        { name: 'exports/', data: '', method: 0 },
+        { name: 'exports/a.csv', data: 'LabID,Name\n1,Alpha\n2,Beta\n' },
+        { name: '__MACOSX/exports/._a.csv', data: 'junk' },
+        { name: 'exports/b.csv', data: 'Name;LabID\r\nGamma;3\r\n', method: 0 },
+        { name: 'readme.txt', data: 'not loaded' }
+    ]);
+
+    const { rows, formats, leftovers } = await readSource(zip, 'labs.zip');
+
+    assert.deepEqual(rows, [
+        { LabID: '1', Name: 'Alpha' },
+        { LabID: '2', Name: 'Beta' },
+        { Name: 'Gamma', LabID: '3' }
+    ]);
+    assert.deepEqual(formats.map(format => [format.entry, format.delimiter]), [['exports/a.csv', ','], ['exports/b.csv', ';']]);
+    assert.deepEqual(leftovers, [], 'downloaded archive is removed');
+});
+
+test('rejects a zip whose later CSV has other columns than the first', async () => {
+    const zip = buildZip([
+        { name: 'a.csv', data: 'LabID,Name\n1,Alpha\n' },
+        { name: 'b.csv', data: 'Lab ID,Name,Region\n2,Beta,West\n' }
+    ]);
+
+    await assert.rejects(readSource(zip, 'labs.zip'), (error) => {
+        assert.ok(error instanceof HeaderContractError);
+        assert.match(error.message, /b\.csv has other columns than a\.csv/);
+        assert.deepEqual(error.headerReport.missing, ['LabID']);
+        assert.deepEqual(error.headerReport.unexpected, ['Lab ID', 'Region']);
+        return true;
+    });
+});
+
+test('reads a gzip CSV and a zip without CSVs fails', async () => {
+    const gzip = await new Promise((resolve) => {
+        const chunks = [];
+        Readable.from([Buffer.from('LabID,Name\n7,Delta\n')]).pipe(createGzip())
+            .on('data', chunk => chunks.push(chunk))
+            .on('end', () => resolve(Buffer.concat(chunks)));
+    });
+    const { rows } = await readSource(gzip, 'labs.csv.gz');
+    assert.deepEqual(rows, [{ LabID: '7', Name: 'Delta' }]);
+
+    await assert.rejects(readSource(buildZip([{ name: 'notes.txt', data: 'x' }]), 'labs.zip'), /No CSV files in zip archive/);
+});
@@ -0,0 +1,56 @@
+/**
+ * Bounded-memory file flow
+ * Loads a 256 MB synthetic CSV through Orchestrator.processFile in a child
+ * process limited to a 64 MB heap (see fixtures/load-synthetic-file.js).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fork } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FILE_MB = 256;
+const HEAP_LIMIT_MB = 64;
+
+test(`loads a ${FILE_MB} MB file with a ${HEAP_LIMIT_MB} MB heap`, { timeout: 10 * 60 * 1000 }, async () => {
+    // Outputs and pipeline logs go to ./logs of the child's working directory
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'etl-streaming-'));
+    try {
+        const { message, code, stderr } = await new Promise((resolve, reject) => {
+            const child = fork(path.join(__dirname, 'fixtures', 'load-synthetic-file.js'), [], {
+                cwd: workDir,
+                execArgv: [`--max-old-space-size=${HEAP_LIMIT_MB}`],
+                env: { ...process.env, SYNTHETIC_FILE_MB: String(FILE_MB) },
+                silent: true
+            });
+            let received = null;
+            let errorOutput = '';
+            child.stdout.resume();
+            child.stderr.on('data', (data) => {
+                errorOutput = (errorOutput + data).slice(-4000);
+            });
+            child.on('message', (data) => {
+                received = data;
+            });
+            child.on('error', reject);
+            child.on('exit', exitCode => resolve({ message: received, code: exitCode, stderr: errorOutput }));
+        });
+
+        assert.equal(code, 0, `child exited with ${code}:\n${stderr}`);
+        assert.ok(message && !message.error, message ? message.error : 'child sent no result');
+        assert.ok(message.generatedBytes >= FILE_MB * 1024 * 1024);
+        assert.equal(message.success, true);
+        assert.equal(message.rowCount, message.generatedRows);
+        assert.equal(message.successCount, message.generatedRows);
+        assert.equal(message.errorCount, 0);
+        assert.ok(message.peakHeapUsed < HEAP_LIMIT_MB * 1024 * 1024);
+
+        // Every row reached the processed output (header + one line per row)
+        const validPath = path.join(workDir, 'logs', 'synthetic', 'valid_synthetic.csv');
+        assert.equal(fs.statSync(validPath).size > FILE_MB * 1024 * 1024, true);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+});
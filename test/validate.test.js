@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRule, applyRules, US_STATES } = require('../src/utils/validate');
+const BasePipeline = require('../src/core/BasePipeline');
+const { createMockPool } = require('./fixtures/database');
+
+test('checks built-in and custom patterns', () => {
+    assert.equal(evaluateRule({ field: 'zip', pattern: 'zip' }, { zip: '02139-4307' }), null);
+    assert.equal(evaluateRule({ field: 'zip', pattern: 'zip' }, { zip: '2139' }), "zip '2139' does not match zip format");
+    assert.equal(evaluateRule({ field: 'email', pattern: 'email' }, { email: 'lab@example.com' }), null);
+    assert.equal(evaluateRule({ field: 'phone', pattern: 'phone' }, { phone: '+1 (617) 555-0100 ext. 12' }), null);
+    assert.equal(evaluateRule({ field: 'code', pattern: /^[A-Z]{3}$/ }, { code: 'ab1' }), "code 'ab1' does not match expected format");
+    assert.throws(() => evaluateRule({ field: 'zip', pattern: 'postcode' }, { zip: '1' }), /Unknown validation pattern 'postcode'/);
+});
+
+test('checks enumerations case-insensitively for strings', () => {
+    const rule = { field: 'state', oneOf: US_STATES };
+    assert.equal(evaluateRule(rule, { state: 'ma' }), null);
+    assert.equal(evaluateRule(rule, { state: 'XX' }), "state 'XX' is not an allowed value");
+    assert.equal(evaluateRule({ field: 'tier', oneOf: [1, 2] }, { tier: 3 }), "tier '3' is not an allowed value");
+});
+
+test('checks inclusive and exclusive bounds', () => {
+    const share = { field: 'share', min: 0, max: 1 };
+    assert.equal(evaluateRule(share, { share: 0 }), null);
+    assert.equal(evaluateRule(share, { share: 1.5 }), 'share 1.5 must be <= 1');
+    assert.equal(evaluateRule(share, { share: -0.1 }), 'share -0.1 must be >= 0');
+    assert.equal(evaluateRule({ field: 'qty', gt: 0 }, { qty: 0 }), 'qty 0 must be > 0');
+    assert.equal(evaluateRule({ field: 'qty', lt: 10 }, { qty: 10 }), 'qty 10 must be < 10');
+});
+
+test('compares two fields and skips empty sides', () => {
+    const rule = { field: 'shippingdate', compare: '>=', to: 'casedate' };
+    assert.equal(evaluateRule(rule, { shippingdate: '2025-03-04', casedate: '2025-03-01' }), null);
+    assert.equal(evaluateRule(rule, { shippingdate: '2025-02-27', casedate: '2025-03-01' }),
+        'shippingdate 2025-02-27 must be >= casedate 2025-03-01');
+    assert.equal(evaluateRule(rule, { shippingdate: '2025-02-27', casedate: null }), null);
+    assert.equal(evaluateRule(rule, { shippingdate: '', casedate: '2025-03-01' }), null);
+    assert.throws(() => evaluateRule({ field: 'a', compare: '~', to: 'b' }, { a: 1, b: 2 }), /Unknown comparison '~'/);
+});
+
+test('runs custom checks and uses the rule message', () => {
+    const rule = { check: row => row.a + row.b === row.total, message: 'total does not add up' };
+    assert.equal(evaluateRule(rule, { a: 1, b: 2, total: 3 }), null);
+    assert.equal(evaluateRule(rule, { a: 1, b: 2, total: 4 }), 'total does not add up');
+    assert.equal(evaluateRule({ check: () => false }, {}), 'Custom validation failed');
+    assert.equal(evaluateRule({ field: 'zip', pattern: 'zip', message: 'bad zip' }, { zip: 'x' }), 'bad zip');
+});
+
+test('splits failures by severity', () => {
+    const rules = [
+        { field: 'qty', gt: 0 },
+        { field: 'zip', pattern: 'zip', severity: 'warn' },
+        { field: 'state', oneOf: US_STATES, severity: 'reject' }
+    ];
+    assert.deepEqual(applyRules(rules, { qty: 0, zip: 'x', state: 'MA' }), {
+        rejections: ['qty 0 must be > 0'],
+        warnings: ["zip 'x' does not match zip format"]
+    });
+    assert.deepEqual(applyRules(rules, { qty: 2, zip: '02139', state: 'MA' }), { rejections: [], warnings: [] });
+});
+
+test('rejects rows failing a reject rule and loads rows that only warn', async () => {
+    class WidgetsPipeline extends BasePipeline {
+        get name() { return 'widgets'; }
+        get tableName() { return 'widgets'; }
+        get columns() {
+            return [
+                { header: 'id', column: 'id', type: 'integer', conflictKey: true },
+                { header: 'qty', column: 'qty', type: 'integer' },
+                { header: 'zip', column: 'zip', type: 'text' }
+            ];
+        }
+        get validationRules() {
+            return [{ field: 'qty', gt: 0 }, { field: 'zip', pattern: 'zip', severity: 'warn' }];
+        }
+    }
+    const db = createMockPool();
+    const pipeline = new WidgetsPipeline(db.pool, null, {});
+
+    const result = await pipeline.processRows([
+        { id: '1', qty: '0', zip: '02139' },
+        { id: '2', qty: '3', zip: 'n/a' }
+    ], 'widgets.csv');
+
+    assert.equal(result.successCount, 1);
+    assert.equal(result.errorCount, 1);
+    assert.equal(result.warningCount, 1);
+    assert.deepEqual(result.errorCategories, { VALIDATION_FAILED: 1 });
+    assert.deepEqual(db.statements('INSERT INTO widgets').map(insert => insert.values[0]), [2]);
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readSheetRows } = require('../src/utils/xlsx');
+const ProductLabMarkupPipeline = require('../src/pipelines/product-lab-markup');
+const { buildXlsx } = require('./fixtures/archives');
+
+async function readWorkbook(workbook, options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'etl-xlsx-'));
+    const filePath = path.join(dir, 'book.xlsx');
+    fs.writeFileSync(filePath, buildXlsx(workbook));
+    try {
+        const rows = [];
+        for await (const row of readSheetRows(filePath, options)) {
+            rows.push(row);
+        }
+        return rows;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Pricing sheet as Excel saves it: text cells in the shared string table,
+// one zero-padded number format (style 1), a date (style 2)
+const PRICING = {
+    sharedStrings: ['Lab ID', 'Lab Product ID', 'Cost', 'Commitment Eligible', 'Updated', '00123', 'A&B <rush>'],
+    numFmts: '<numFmt numFmtId="164" formatCode="00000"/>',
+    cellFormats: [0, 164, 14],
+    sheets: [
+        { name: 'Notes', rows: '<row r="1"><c r="A1" t="inlineStr"><is><t>not pricing</t></is></c></row>' },
+        {
+            name: 'Markup',
+            rows: '<row r="1"><c r="A1" t="inlineStr"><is><t>Prices as of March</t></is></c></row>'
+                + '<row r="2"><c r="A2" t="s"><v>0</v></c><c r="B2" t="s"><v>1</v></c><c r="C2" t="s"><v>2</v></c>'
+                + '<c r="D2" t="s"><v>3</v></c><c r="E2" t="s"><v>4</v></c></row>'
+                // Text cell from the shared string table keeps its leading zeros
+                + '<row r="3"><c r="A3"><v>12</v></c><c r="B3" t="s"><v>5</v></c><c r="C3"><v>1234.5</v></c>'
+                + '<c r="D3" t="b"><v>1</v></c><c r="E3" s="2"><v>45717</v></c></row>'
+                // Number shown with the 00000 format is padded back to its displayed text
+                + '<row r="4"><c r="A4"><v>12</v></c><c r="B4" s="1"><v>456</v></c><c r="C4"><v>99</v></c>'
+                + '<c r="D4" t="b"><v>0</v></c></row>'
+                // Blank row (formatting only) is skipped
+                + '<row r="5"><c r="A5" s="1"/></row>'
+                // Inline string, sparse cells and an escaped shared string
+                + '<row r="6"><c r="A6"><v>13</v></c><c r="B6" t="inlineStr"><is><t>007</t></is></c>'
+                + '<c r="D6" t="e"><v>#N/A</v></c><c r="E6" t="s"><v>6</v></c></row>'
+        }
+    ]
+};
+
+test('reads the selected sheet below its header row as text', async () => {
+    const rows = await readWorkbook(PRICING, { sheet: 'Markup', headerRow: 2 });
+
+    assert.deepEqual(rows, [
+        { 'Lab ID': '12', 'Lab Product ID': '00123', Cost: '1234.5', 'Commitment Eligible': 'true', Updated: '2025-03-01' },
+        { 'Lab ID': '12', 'Lab Product ID': '00456', Cost: '99', 'Commitment Eligible': 'false', Updated: '' },
+        { 'Lab ID': '13', 'Lab Product ID': '007', Cost: '', 'Commitment Eligible': '#N/A', Updated: 'A&B <rush>' }
+    ]);
+});
+
+test('selects sheets by index and reports missing ones', async () => {
+    const rows = await readWorkbook(PRICING, { sheet: 0, headerRow: 1 });
+    assert.deepEqual(rows, []);
+
+    await assert.rejects(readWorkbook(PRICING, { sheet: 'Prices' }), /Sheet "Prices" not found \(sheets: Notes, Markup\)/);
+    await assert.rejects(readWorkbook(PRICING, { sheet: 'Markup', headerRow: 7 }), /Header row 7 of sheet "Markup" is empty/);
+});
+
+test('rejects a header row that is not a positive row number', async () => {
+    await assert.rejects(readWorkbook(PRICING, { sheet: 'Markup', headerRow: Number('two') }), /Header row must be a positive row number, got null/);
+    await assert.rejects(readWorkbook(PRICING, { sheet: 'Markup', headerRow: 0 }), /got 0/);
+});
+
+test('reads the pricing sheet settings from the environment', async () => {
+    const configPath = require.resolve('../src/config');
+    const loadConfig = (env) => {
+        Object.assign(process.env, env);
+        delete require.cache[configPath];
+        try {
+            return require(configPath);
+        } finally {
+            Object.keys(env).forEach(name => delete process.env[name]);
+            delete require.cache[configPath];
+        }
+    };
+
+    const config = loadConfig({ PRODUCT_LAB_MARKUP_SHEET: '1', PRODUCT_LAB_MARKUP_HEADER_ROW: '2', PRODUCT_LAB_REV_SHARE_SHEET: 'Rev Share' });
+    assert.deepEqual(config.processing.workbooks, {
+        'product-lab-markup': { sheet: 1, headerRow: 2 },
+        'product-lab-rev-share': { sheet: 'Rev Share' }
+    });
+
+    // Index 1 is the Markup sheet
+    const pipeline = new ProductLabMarkupPipeline(null, null, config.processing);
+    assert.deepEqual(pipeline.workbook, { sheet: 1, headerRow: 2 });
+    const rows = await readWorkbook(PRICING, pipeline.workbook);
+    assert.equal(rows.length, 3);
+
+    assert.deepEqual(new ProductLabMarkupPipeline(null, null, {}).workbook, { sheet: 0, headerRow: 1 });
+    assert.throws(() => loadConfig({ PRODUCT_LAB_REV_SHARE_HEADER_ROW: 'two' }), /PRODUCT_LAB_REV_SHARE_HEADER_ROW must be a positive row number, got 'two'/);
+});
+
+test('joins rich text runs and skips phonetic hints in shared strings', async () => {
+    const rows = await readWorkbook({
+        sharedStringsXml: '<si><t>id</t></si>'
+            + '<si><r><rPr><b/></rPr><t xml:space="preserve">Crown </t></r><r><t>Zirconia</t></r></si>'
+            + '<si><t>東京</t><rPh sb="0" eb="2"><t>トウキョウ</t></rPh></si>'
+            + '<si/>'
+            + '<si><t>line_x000D_break</t></si>'
+            + '<si><t>last</t></si>',
+        sheets: [{
+            name: 'Sheet1',
+            rows: '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="inlineStr"><is><t>name</t></is></c></row>'
+                + '<row r="2"><c r="A2"><v>1</v></c><c r="B2" t="s"><v>1</v></c></row>'
+                + '<row r="3"><c r="A3"><v>2</v></c><c r="B3" t="s"><v>2</v></c></row>'
+                + '<row r="4"><c r="A4"><v>3</v></c><c r="B4" t="s"><v>3</v></c></row>'
+                + '<row r="5"><c r="A5"><v>4</v></c><c r="B5" t="s"><v>4</v></c></row>'
+                + '<row r="6"><c r="A6"><v>5</v></c><c r="B6" t="s"><v>5</v></c></row>'
+        }]
+    });
+
+    assert.deepEqual(rows.map(row => row.name), ['Crown Zirconia', '東京', '', 'line\rbreak', 'last']);
+});
+
+test('keeps lab_product_id leading zeros through the markup pipeline', async () => {
+    const pipeline = new ProductLabMarkupPipeline(null, null, {});
+    const rows = await readWorkbook(PRICING, { sheet: 'Markup', headerRow: 2 });
+
+    const mapped = rows.slice(0, 2).map(row => pipeline.mapRow(pipeline.normalizeRow(row)));
+    assert.deepEqual(mapped.map(row => [row.lab_id, row.lab_product_id, row.cost]), [[12, '00123', 1234.5], [12, '00456', 99]]);
+});
+
+test('streams a sheet larger than one read chunk without losing rows', async () => {
+    const rows = ['<row r="1"><c r="A1" t="inlineStr"><is><t>id</t></is></c><c r="B1" t="inlineStr"><is><t>code</t></is></c></row>'];
+    for (let r = 2; r <= 20001; r++) {
+        rows.push(`<row r="${r}" spans="1:2"><c r="A${r}"><v>${r}</v></c><c r="B${r}" t="inlineStr"><is><t>${String(r).padStart(8, '0')}</t></is></c></row>`);
+    }
+
+    const read = await readWorkbook({ sheets: [{ name: 'Sheet1', rows: rows.join('') }] });
+
+    assert.equal(read.length, 20000);
+    assert.deepEqual(read[0], { id: '2', code: '00000002' });
+    assert.deepEqual(read[19999], { id: '20001', code: '00020001' });
+    assert.ok(read.every((row, i) => row.id === String(i + 2)));
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readZipEntries, openZipEntry } = require('../src/utils/zip');
+const { buildZip } = require('./fixtures/archives');
+
+/**
+ * Write an archive to a temp file and run fn with its path
+ */
+async function withArchive(buffer, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'etl-zip-'));
+    const filePath = path.join(dir, 'archive.zip');
+    fs.writeFileSync(filePath, buffer);
+    try {
+        return await fn(filePath);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function readEntry(filePath, entry) {
+    const chunks = [];
+    for await (const chunk of await openZipEntry(filePath, entry)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+test('lists and reads stored and deflated entries in archive order', async () => {
+    const zip = buildZip([
+        { name: 'data/', data: '', method: 0 },
+        { name: 'data/first.csv', data: 'id,name\n1,a\n' },
+        { name: 'data/second.csv', data: 'id,name\n2,b\n', method: 0 },
+        { name: 'data/empty.csv', data: '' }
+    ]);
+
+    await withArchive(zip, async (filePath) => {
+        const entries = await readZipEntries(filePath);
+        assert.deepEqual(entries.map(entry => [entry.name, entry.method, entry.directory]), [
+            ['data/', 0, true],
+            ['data/first.csv', 8, false],
+            ['data/second.csv', 0, false],
+            ['data/empty.csv', 8, false]
+        ]);
+        assert.equal(await readEntry(filePath, entries[1]), 'id,name\n1,a\n');
+        assert.equal(await readEntry(filePath, entries[2]), 'id,name\n2,b\n');
+        assert.equal(await readEntry(filePath, entries[3]), '');
+    });
+});
+
+test('reads entries written with data descriptors (sizes after the data)', async () => {
+    const zip = buildZip([
+        { name: 'a.csv', data: 'id\n1\n' },
+        { name: 'b.csv', data: 'id\n2\n', method: 0 }
+    ], { dataDescriptor: true });
+
+    await withArchive(zip, async (filePath) => {
+        const entries = await readZipEntries(filePath);
+        assert.deepEqual(await Promise.all(entries.map(entry => readEntry(filePath, entry))), ['id\n1\n', 'id\n2\n']);
+    });
+});
+
+test('streams a large deflated entry intact', async () => {
+    const lines = Array.from({ length: 100000 }, (_, i) => `${i},lab-${String(i).padStart(6, '0')}`);
+    const content = `id,code\n${lines.join('\n')}\n`;
+
+    await withArchive(buildZip([{ name: 'big.csv', data: content }]), async (filePath) => {
+        const [entry] = await readZipEntries(filePath);
+        assert.ok(entry.compressedSize < entry.uncompressedSize);
+        assert.equal(await readEntry(filePath, entry), content);
+    });
+});
+
+test('names files it cannot read', async () => {
+    await withArchive(Buffer.from('id,name\n1,a\n'), filePath =>
+        assert.rejects(readZipEntries(filePath), /Not a zip archive/));
+
+    await withArchive(buildZip([{ name: 'a.csv', data: 'id\n' }], { zip64: true }), filePath =>
+        assert.rejects(readZipEntries(filePath), /ZIP64 archives are not supported/));
+
+    await withArchive(buildZip([{ name: 'a.csv', data: 'id\n', method: 12 }]), async (filePath) => {
+        const [entry] = await readZipEntries(filePath);
+        await assert.rejects(openZipEntry(filePath, entry), /Unsupported zip compression method 12: a\.csv/);
+    });
+});